@@ -0,0 +1,403 @@
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import { runMigrations, migrations } from '../src/db/migrations.js';
+import { migrateDown, getMigrationStatus } from '../src/db/migrator.js';
+
+let db;
+
+beforeEach(async () => {
+    db = await open({
+        filename: ':memory:',
+        driver: sqlite3.Database
+    });
+
+    // Flat schema as it existed before normalization
+    await db.exec(`
+        CREATE TABLE media (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            title TEXT NOT NULL,
+            author TEXT,
+            media_type TEXT NOT NULL,
+            start_date TEXT NOT NULL,
+            end_date TEXT,
+            volume_episode TEXT,
+            tags TEXT,
+            notes TEXT,
+            discontinued INTEGER DEFAULT 0,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        )
+    `);
+});
+
+afterEach(async () => {
+    await db.close();
+});
+
+describe('Database Migrations', () => {
+    describe('migrateToNormalizedSchema', () => {
+        it('should split flat rows into titles and entries', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, author, media_type, start_date, end_date, volume_episode, tags, notes, discontinued) VALUES
+                    (3, 'Diuna', 'Frank Herbert', 'book', '2024-01-01', '2024-01-20', 'Tom 1', 'scifi, classic', 'Great', 0),
+                    (7, 'Diuna', 'Frank Herbert', 'book', '2025-03-01', NULL, 'Tom 1', 'scifi', '', 1),
+                    (9, 'Diuna', NULL, 'movie', '2025-04-01', '2025-04-01', '', '', '', 0)
+            `);
+
+            await runMigrations(db);
+
+            const titles = await db.all('SELECT title, author, media_type FROM media_titles ORDER BY id');
+            expect(titles).toEqual([
+                { title: 'Diuna', author: 'Frank Herbert', media_type: 'book' },
+                { title: 'Diuna', author: '', media_type: 'movie' }
+            ]);
+
+            const entries = await db.all('SELECT * FROM media ORDER BY id');
+            expect(entries.map(e => e.id)).toEqual([3, 7, 9]);
+            expect(entries[0]).toMatchObject({
+                volume_episode: 'Tom 1',
+                notes: 'Great',
+                end_date: '2024-01-20',
+                discontinued: 0
+            });
+            expect(entries[1]).toMatchObject({ end_date: null, discontinued: 1 });
+            expect(entries[0].media_title_id).toBe(entries[1].media_title_id);
+        });
+
+        it('should keep tags attached to the migrated entries', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, media_type, start_date, tags)
+                VALUES (5, 'Tagged', 'book', '2025-01-01', 'Fantasy, adventure')
+            `);
+
+            await runMigrations(db);
+
+            const tags = await db.all(`
+                SELECT t.name FROM media_tags mt
+                INNER JOIN tags t ON t.id = mt.tag_id
+                INNER JOIN media_entries e ON e.id = mt.media_id
+                WHERE e.id = 5
+                ORDER BY t.name
+            `);
+            expect(tags.map(t => t.name)).toEqual(['adventure', 'fantasy']);
+        });
+
+        it('should keep old rows in media_old and continue ids after them', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, media_type, start_date)
+                VALUES (42, 'Old', 'series', '2025-01-01')
+            `);
+
+            await runMigrations(db);
+
+            const backup = await db.all('SELECT id FROM media_old');
+            expect(backup).toEqual([{ id: 42 }]);
+
+            const { lastID } = await db.run(`
+                INSERT INTO media_entries (media_title_id, start_date)
+                VALUES (1, '2025-02-01')
+            `);
+            expect(lastID).toBe(43);
+        });
+
+        it('should be safe to run twice', async () => {
+            await db.exec(`
+                INSERT INTO media (title, media_type, start_date)
+                VALUES ('Once', 'book', '2025-01-01')
+            `);
+
+            await runMigrations(db);
+            await runMigrations(db);
+
+            const entries = await db.all('SELECT * FROM media');
+            expect(entries).toHaveLength(1);
+        });
+    });
+
+    describe('addStatus', () => {
+        it('should derive statuses and keep tags, search and ids', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, media_type, start_date, end_date, tags, discontinued) VALUES
+                    (4, 'Diuna', 'book', '2024-01-01', '2024-01-20', 'scifi', 0),
+                    (5, 'Arcane', 'series', '2024-02-01', NULL, '', 0),
+                    (9, 'Lost', 'series', '2024-03-01', NULL, '', 1)
+            `);
+
+            await runMigrations(db);
+
+            const rows = await db.all('SELECT id, status, discontinued FROM media ORDER BY id');
+            expect(rows).toEqual([
+                { id: 4, status: 'completed', discontinued: 0 },
+                { id: 5, status: 'in_progress', discontinued: 0 },
+                { id: 9, status: 'dropped', discontinued: 1 }
+            ]);
+            expect(await db.get('SELECT COUNT(*) AS count FROM media_tags WHERE media_id = 4'))
+                .toEqual({ count: 1 });
+
+            // Planned entries have no dates; ids continue after the old ones
+            const { lastID } = await db.run(
+                "INSERT INTO media_entries (media_title_id, status) VALUES (1, 'planned')"
+            );
+            expect(lastID).toBe(10);
+            const found = await db.all("SELECT rowid FROM media_search WHERE media_search MATCH 'diuna'");
+            expect(found.map(r => r.rowid)).toEqual([4, 10]);
+        });
+    });
+
+    describe('createMediaTypes', () => {
+        it('should seed the built-in types and keep unknown ones in use', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, media_type, start_date) VALUES
+                    (1, 'Diuna', 'book', '2024-01-01'),
+                    (2, 'Koncert', 'concert', '2024-02-01')
+            `);
+
+            await runMigrations(db);
+
+            const types = await db.all('SELECT key, label, calendar_group FROM media_types ORDER BY position, key');
+            expect(types.map(t => t.key)).toEqual([
+                'book', 'comic', 'audiobook', 'movie', 'series', 'anime', 'cartoon', 'podcast', 'game', 'concert'
+            ]);
+            expect(types[0]).toEqual({ key: 'book', label: 'Książka', calendar_group: 'read' });
+            expect(types.at(-1)).toEqual({ key: 'concert', label: 'concert', calendar_group: 'watch' });
+        });
+    });
+
+    describe('unescapeStoredText', () => {
+        it('should decode escaped text and merge titles and tags it duplicates', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, media_type, start_date, tags, notes) VALUES
+                    (1, 'Tom &amp; Jerry', 'cartoon', '2024-01-01', 'r&amp;d', '&lt;3 &amp;lt;'),
+                    (2, 'Tom & Jerry', 'cartoon', '2024-02-01', 'r&d', NULL)
+            `);
+            await runMigrations(db, { to: 11 });
+            await db.run(
+                "INSERT INTO goals (tag, year, target) VALUES ('r&amp;d', 2024, 2)"
+            );
+            await db.run(
+                "INSERT INTO media_audit (media_id, action, changes, snapshot) VALUES (1, 'create', ?, ?)",
+                [JSON.stringify({ title: { before: null, after: 'Tom &amp; Jerry' } }), JSON.stringify({ title: 'Tom &amp; Jerry' })]
+            );
+
+            await runMigrations(db);
+
+            const titles = await db.all('SELECT id, title FROM media_titles');
+            expect(titles).toHaveLength(1);
+            expect(titles[0].title).toBe('Tom & Jerry');
+            const entries = await db.all('SELECT id, media_title_id, notes FROM media_entries ORDER BY id');
+            expect(entries).toEqual([
+                { id: 1, media_title_id: titles[0].id, notes: '<3 &lt;' },
+                { id: 2, media_title_id: titles[0].id, notes: null }
+            ]);
+
+            const tags = await db.all('SELECT t.name, mt.media_id FROM tags t INNER JOIN media_tags mt ON mt.tag_id = t.id ORDER BY mt.media_id');
+            expect(tags).toEqual([{ name: 'r&d', media_id: 1 }, { name: 'r&d', media_id: 2 }]);
+            expect(await db.get('SELECT tag FROM goals')).toEqual({ tag: 'r&d' });
+            const { snapshot } = await db.get('SELECT snapshot FROM media_audit');
+            expect(JSON.parse(snapshot)).toEqual({ title: 'Tom & Jerry' });
+
+            const found = await db.all("SELECT rowid, tags FROM media_search WHERE media_search MATCH 'jerry' ORDER BY rowid");
+            expect(found).toEqual([{ rowid: 1, tags: 'r&d' }, { rowid: 2, tags: 'r&d' }]);
+        });
+    });
+
+    describe('addUsers', () => {
+        it('should give existing data to a default user and merge users back on revert', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, media_type, start_date, tags) VALUES
+                    (3, 'Diuna', 'book', '2024-01-01', 'scifi')
+            `);
+            await runMigrations(db, { to: 12 });
+            await db.run("INSERT INTO goals (media_type, year, target) VALUES ('book', 2024, 2)");
+
+            await runMigrations(db, { to: 13 });
+
+            const owner = await db.get('SELECT id, username, password_hash FROM users');
+            expect(owner).toEqual({ id: 1, username: 'default', password_hash: null });
+            expect(await db.all('SELECT id, user_id FROM media_titles')).toEqual([{ id: 1, user_id: 1 }]);
+            expect(await db.get('SELECT user_id FROM tags')).toEqual({ user_id: 1 });
+            expect(await db.get('SELECT user_id FROM goals')).toEqual({ user_id: 1 });
+            expect(await db.get('SELECT id, user_id FROM media')).toEqual({ id: 3, user_id: 1 });
+
+            // Another user can log the same title and tag
+            await db.run("INSERT INTO users (username) VALUES ('anna')");
+            const { lastID: titleId } = await db.run(
+                "INSERT INTO media_titles (user_id, title, media_type) VALUES (2, 'Diuna', 'book')"
+            );
+            expect(titleId).toBe(2);
+            const { lastID: entryId } = await db.run(
+                "INSERT INTO media_entries (media_title_id, status, start_date) VALUES (2, 'in_progress', '2024-05-01')"
+            );
+            await db.run("INSERT INTO tags (user_id, name) VALUES (2, 'scifi')");
+            await db.run('INSERT INTO media_tags (media_id, tag_id) VALUES (?, 2)', [entryId]);
+            const found = await db.all("SELECT rowid FROM media_search WHERE media_search MATCH 'diuna' ORDER BY rowid");
+            expect(found.map(r => r.rowid)).toEqual([3, entryId]);
+
+            await migrateDown(db, migrations, { steps: 1 });
+
+            expect(await db.all('SELECT id, title FROM media_titles')).toEqual([{ id: 1, title: 'Diuna' }]);
+            expect(await db.all('SELECT id, title FROM media ORDER BY id')).toEqual([
+                { id: 3, title: 'Diuna' },
+                { id: entryId, title: 'Diuna' }
+            ]);
+            const tags = await db.all('SELECT tag_id, media_id FROM media_tags ORDER BY media_id');
+            expect(tags).toEqual([{ tag_id: 1, media_id: 3 }, { tag_id: 1, media_id: entryId }]);
+            expect(await db.get("SELECT name FROM sqlite_master WHERE name = 'users'")).toBeUndefined();
+        });
+    });
+
+    describe('addUserAdmin', () => {
+        it('should make the oldest user the administrator', async () => {
+            await runMigrations(db, { to: 15 });
+            await db.run("INSERT INTO users (username) VALUES ('anna')");
+
+            await runMigrations(db);
+
+            expect(await db.all('SELECT username, is_admin FROM users ORDER BY id')).toEqual([
+                { username: 'default', is_admin: 1 },
+                { username: 'anna', is_admin: 0 }
+            ]);
+
+            await migrateDown(db, migrations, { steps: 1 });
+            const columns = await db.all('PRAGMA table_info(users)');
+            expect(columns.map(col => col.name)).not.toContain('is_admin');
+        });
+    });
+
+    describe('addProgress', () => {
+        it('should parse volume/episode text into progress columns', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, media_type, start_date, volume_episode) VALUES
+                    (1, 'Arcane', 'series', '2024-01-01', 'S02E05/9'),
+                    (2, 'Berserk', 'comic', '2024-01-01', 'Tom 7 z 41'),
+                    (3, 'Diuna', 'book', '2024-01-01', '12'),
+                    (4, 'Akira', 'anime', '2024-01-01', 'odc. 3'),
+                    (5, 'Film', 'movie', '2024-01-01', 'wersja reżyserska')
+            `);
+
+            await runMigrations(db);
+
+            const rows = await db.all(`
+                SELECT id, season, episode, episodes_total, volume, volumes_total, chapter
+                FROM media ORDER BY id
+            `);
+            expect(rows).toEqual([
+                { id: 1, season: 2, episode: 5, episodes_total: 9, volume: null, volumes_total: null, chapter: null },
+                { id: 2, season: null, episode: null, episodes_total: null, volume: 7, volumes_total: 41, chapter: null },
+                { id: 3, season: null, episode: null, episodes_total: null, volume: null, volumes_total: null, chapter: 12 },
+                { id: 4, season: null, episode: 3, episodes_total: null, volume: null, volumes_total: null, chapter: null },
+                { id: 5, season: null, episode: null, episodes_total: null, volume: null, volumes_total: null, chapter: null }
+            ]);
+        });
+    });
+
+    describe('createMediaTable', () => {
+        it('should upgrade a legacy table with missing columns and NOT NULL end_date', async () => {
+            await db.exec('DROP TABLE media');
+            await db.exec(`
+                CREATE TABLE media (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    title TEXT NOT NULL,
+                    media_type TEXT NOT NULL,
+                    start_date TEXT NOT NULL,
+                    end_date TEXT NOT NULL,
+                    notes TEXT,
+                    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+                    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+                )
+            `);
+            await db.exec(`
+                INSERT INTO media (title, media_type, start_date, end_date)
+                VALUES ('Legacy', 'book', '2020-01-01', '2020-01-05')
+            `);
+
+            await runMigrations(db, { to: 1 });
+
+            const columns = await db.all('PRAGMA table_info(media)');
+            const endDate = columns.find(col => col.name === 'end_date');
+            expect(endDate.notnull).toBe(0);
+            expect(columns.map(col => col.name)).toEqual(
+                expect.arrayContaining(['author', 'volume_episode', 'tags', 'discontinued'])
+            );
+
+            const rows = await db.all('SELECT title, discontinued FROM media');
+            expect(rows).toEqual([{ title: 'Legacy', discontinued: 0 }]);
+        });
+    });
+
+    describe('Migration runner', () => {
+        it('should record applied migrations in schema_migrations', async () => {
+            const applied = await runMigrations(db);
+
+            expect(applied.map(m => m.version)).toEqual(migrations.map(m => m.version));
+            const status = await getMigrationStatus(db, migrations);
+            expect(status.every(m => m.applied)).toBe(true);
+
+            // Nothing left to do on the second run
+            expect(await runMigrations(db)).toEqual([]);
+        });
+
+        it('should leave the database untouched on a dry run', async () => {
+            const pending = await runMigrations(db, { dryRun: true });
+
+            expect(pending).toHaveLength(migrations.length);
+            const tables = await db.all(
+                "SELECT name FROM sqlite_master WHERE name IN ('media_titles', 'tags')"
+            );
+            expect(tables).toEqual([]);
+            const { count } = await db.get('SELECT COUNT(*) AS count FROM schema_migrations');
+            expect(count).toBe(0);
+        });
+
+        it('should revert the normalization back to the flat table', async () => {
+            await db.exec(`
+                INSERT INTO media (id, title, author, media_type, start_date, tags)
+                VALUES (4, 'Round Trip', 'Someone', 'book', '2025-01-01', 'one, two')
+            `);
+            await runMigrations(db);
+
+            // Revert everything above the normalization, then the normalization
+            const reverted = await migrateDown(db, migrations, { steps: migrations.length - 2 });
+            expect(reverted.at(-1)).toEqual({ version: 3, name: 'normalize_media' });
+
+            const { type } = await db.get("SELECT type FROM sqlite_master WHERE name = 'media'");
+            expect(type).toBe('table');
+            const row = await db.get('SELECT id, title, author FROM media');
+            expect(row).toEqual({ id: 4, title: 'Round Trip', author: 'Someone' });
+            const tagCount = await db.get('SELECT COUNT(*) AS count FROM media_tags WHERE media_id = 4');
+            expect(tagCount.count).toBe(2);
+
+            // Reverting the tags migration writes tags back into the column
+            await migrateDown(db, migrations, { steps: 1 });
+            const { tags } = await db.get('SELECT tags FROM media WHERE id = 4');
+            expect(tags.split(', ').sort()).toEqual(['one', 'two']);
+
+            // And everything can be applied again
+            await runMigrations(db);
+            const entries = await db.all('SELECT id, title FROM media');
+            expect(entries).toEqual([{ id: 4, title: 'Round Trip' }]);
+        });
+
+        it('should not change anything when reverting on a dry run', async () => {
+            await runMigrations(db);
+
+            await migrateDown(db, migrations, { steps: 3, dryRun: true });
+
+            const status = await getMigrationStatus(db, migrations);
+            expect(status.every(m => m.applied)).toBe(true);
+            expect(await db.get("SELECT name FROM sqlite_master WHERE name = 'media_entries'")).toBeDefined();
+        });
+
+        it('should baseline databases migrated before schema_migrations existed', async () => {
+            // Databases from before the runner had the normalized schema at most
+            await runMigrations(db, { to: 3 });
+            await db.exec('DROP TABLE schema_migrations');
+
+            const applied = await runMigrations(db);
+
+            expect(applied.map(m => m.version)).not.toContain(3);
+            const status = await getMigrationStatus(db, migrations);
+            expect(status.every(m => m.applied)).toBe(true);
+        });
+    });
+});
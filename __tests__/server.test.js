@@ -3,9 +3,15 @@ import fs from 'fs';
 import sqlite3 from 'sqlite3';
 import { open } from 'sqlite';
 import { app, setDb } from '../server.js';
+import { runMigrations } from '../src/db/migrations.js';
+import { getGoalProgress } from '../src/db/goals.js';
+import { formatLocalDate } from '../src/utils/date.js';
+import { createMediaSchemas } from '../src/schemas/media.js';
 
 const TEST_DB = 'test_medialog.db';
 let db;
+// Logged in as the test user; the agent keeps the session cookie
+let api;
 
 // Clean up test database before and after tests
 beforeAll(async () => {
@@ -38,40 +44,28 @@ beforeAll(async () => {
         )
     `);
 
-    // Create tags tables for many-to-many relationship
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS tags (
-            id INTEGER PRIMARY KEY AUTOINCREMENT,
-            name TEXT NOT NULL UNIQUE,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-    `);
-
-    await db.exec(`
-        CREATE TABLE IF NOT EXISTS media_tags (
-            media_id INTEGER NOT NULL,
-            tag_id INTEGER NOT NULL,
-            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-            PRIMARY KEY (media_id, tag_id),
-            FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE,
-            FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
-        )
-    `);
-
-    // Create indices
-    await db.exec(`CREATE INDEX IF NOT EXISTS idx_media_tags_media ON media_tags(media_id)`);
-    await db.exec(`CREATE INDEX IF NOT EXISTS idx_media_tags_tag ON media_tags(tag_id)`);
-    await db.exec(`CREATE INDEX IF NOT EXISTS idx_tags_name ON tags(name)`);
+    // Bring the legacy flat table up to the current schema
+    await runMigrations(db);
 
     // Set database for the server
-    setDb(db);
+    await setDb(db);
+
+    // The first login sets up the account owning the existing data
+    api = request.agent(app);
+    await api
+        .post('/api/v1/auth/setup')
+        .send({ username: 'tester', password: 'test-password' })
+        .expect(200);
 });
 
 beforeEach(async () => {
     // Clear database before each test
     await db.run('DELETE FROM media_tags');
     await db.run('DELETE FROM tags');
-    await db.run('DELETE FROM media');
+    await db.run('DELETE FROM media_entries');
+    await db.run('DELETE FROM media_titles');
+    await db.run('DELETE FROM media_audit');
+    await db.run('DELETE FROM goals');
 });
 
 afterAll(async () => {
@@ -87,7 +81,7 @@ afterAll(async () => {
 describe('Media Log API', () => {
     describe('GET /', () => {
         it('should render the index page', async () => {
-            const response = await request(app).get('/');
+            const response = await api.get('/');
             expect(response.status).toBe(200);
             expect(response.text).toContain('Media Log');
         });
@@ -95,14 +89,14 @@ describe('Media Log API', () => {
 
     describe('GET /api/media', () => {
         it('should return empty array when no media exists', async () => {
-            const response = await request(app).get('/api/media');
+            const response = await api.get('/api/media');
             expect(response.status).toBe(200);
             expect(response.body).toEqual([]);
         });
 
         it('should return media for specified year', async () => {
             // Add test data
-            await request(app)
+            await api
                 .post('/api/media')
                 .send({
                     title: 'Test Book',
@@ -112,7 +106,7 @@ describe('Media Log API', () => {
                     notes: 'Great book'
                 });
 
-            const response = await request(app).get('/api/media?year=2025');
+            const response = await api.get('/api/media?year=2025');
             expect(response.status).toBe(200);
             expect(response.body).toHaveLength(1);
             expect(response.body[0].title).toBe('Test Book');
@@ -129,7 +123,7 @@ describe('Media Log API', () => {
                 notes: 'Fantasy novel'
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send(newEntry);
 
@@ -146,7 +140,7 @@ describe('Media Log API', () => {
                 end_date: '2025-04-05'
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send(newEntry);
 
@@ -159,12 +153,15 @@ describe('Media Log API', () => {
                 title: 'Incomplete Entry'
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send(invalidEntry);
 
             expect(response.status).toBe(400);
-            expect(response.body.error).toBe('Missing required fields');
+            expect(response.body.error).toBe('Media type is required');
+            expect(response.body.errors).toEqual([
+                expect.objectContaining({ path: 'media_type', msg: 'Media type is required', location: 'body' })
+            ]);
         });
 
         it('should return 400 for invalid media type', async () => {
@@ -175,12 +172,12 @@ describe('Media Log API', () => {
                 end_date: '2025-01-05'
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send(invalidEntry);
 
             expect(response.status).toBe(400);
-            expect(response.body.error).toContain('Invalid media type');
+            expect(response.body.error).toContain('Media type must be one of');
         });
 
         it('should return 400 for invalid date format', async () => {
@@ -191,19 +188,20 @@ describe('Media Log API', () => {
                 end_date: '01/05/2025'
             };
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send(invalidEntry);
 
             expect(response.status).toBe(400);
-            expect(response.body.error).toContain('Invalid date format');
+            expect(response.body.error).toBe('Start date must be a valid date in YYYY-MM-DD format');
+            expect(response.body.errors.map(e => e.path)).toEqual(['start_date', 'end_date']);
         });
     });
 
     describe('DELETE /api/media/:id', () => {
         it('should delete an existing media entry', async () => {
             // First, add an entry
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/media')
                 .send({
                     title: 'To Delete',
@@ -215,26 +213,26 @@ describe('Media Log API', () => {
             const mediaId = addResponse.body.id;
 
             // Now delete it
-            const deleteResponse = await request(app)
+            const deleteResponse = await api
                 .delete(`/api/media/${mediaId}`);
 
             expect(deleteResponse.status).toBe(200);
             expect(deleteResponse.body.message).toBe('Media entry deleted successfully');
 
             // Verify it's deleted
-            const getResponse = await request(app).get('/api/media');
+            const getResponse = await api.get('/api/media');
             const deletedEntry = getResponse.body.find(entry => entry.id === mediaId);
             expect(deletedEntry).toBeUndefined();
         });
 
         it('should return 404 for non-existent media entry', async () => {
-            const response = await request(app).delete('/api/media/99999');
+            const response = await api.delete('/api/media/99999');
             expect(response.status).toBe(404);
             expect(response.body.error).toBe('Media entry not found');
         });
 
         it('should return 400 for invalid media ID', async () => {
-            const response = await request(app).delete('/api/media/invalid');
+            const response = await api.delete('/api/media/invalid');
             expect(response.status).toBe(400);
             expect(response.body.error).toBe('Invalid media ID');
         });
@@ -243,7 +241,7 @@ describe('Media Log API', () => {
     describe('PUT /api/media/:id', () => {
         it('should update an existing media entry', async () => {
             // First create an entry
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/media')
                 .send({
                     title: 'Original Title',
@@ -256,7 +254,7 @@ describe('Media Log API', () => {
             const mediaId = addResponse.body.id;
 
             // Now update it
-            const updateResponse = await request(app)
+            const updateResponse = await api
                 .put(`/api/media/${mediaId}`)
                 .send({
                     title: 'Updated Title',
@@ -270,7 +268,7 @@ describe('Media Log API', () => {
             expect(updateResponse.body.message).toBe('Media entry updated successfully');
 
             // Verify the update
-            const getResponse = await request(app).get('/api/media');
+            const getResponse = await api.get('/api/media');
             const updatedEntry = getResponse.body.find(entry => entry.id === mediaId);
             expect(updatedEntry.title).toBe('Updated Title');
             expect(updatedEntry.media_type).toBe('series');
@@ -280,7 +278,7 @@ describe('Media Log API', () => {
         });
 
         it('should return 404 for non-existent media entry', async () => {
-            const response = await request(app)
+            const response = await api
                 .put('/api/media/99999')
                 .send({
                     title: 'Updated Title',
@@ -294,7 +292,7 @@ describe('Media Log API', () => {
 
         it('should return 400 for invalid data', async () => {
             // First create an entry
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/media')
                 .send({
                     title: 'Test Entry',
@@ -306,7 +304,7 @@ describe('Media Log API', () => {
             const mediaId = addResponse.body.id;
 
             // Try to update with invalid data (missing required field - title)
-            const response = await request(app)
+            const response = await api
                 .put(`/api/media/${mediaId}`)
                 .send({
                     media_type: 'book',
@@ -337,17 +335,17 @@ describe('Media Log API', () => {
             ];
 
             for (const entry of entries) {
-                await request(app).post('/api/media').send(entry);
+                await api.post('/api/media').send(entry);
             }
 
             // Retrieve all entries
-            const response = await request(app).get('/api/media?year=2025');
+            const response = await api.get('/api/media?year=2025');
             expect(response.status).toBe(200);
             expect(response.body.length).toBeGreaterThanOrEqual(2);
         });
 
         it('should handle entries spanning multiple years', async () => {
-            await request(app)
+            await api
                 .post('/api/media')
                 .send({
                     title: 'Long Book',
@@ -357,8 +355,8 @@ describe('Media Log API', () => {
                 });
 
             // Should appear in both years
-            const response2024 = await request(app).get('/api/media?year=2024');
-            const response2025 = await request(app).get('/api/media?year=2025');
+            const response2024 = await api.get('/api/media?year=2024');
+            const response2025 = await api.get('/api/media?year=2025');
 
             const book2024 = response2024.body.find(e => e.title === 'Long Book');
             const book2025 = response2025.body.find(e => e.title === 'Long Book');
@@ -370,7 +368,7 @@ describe('Media Log API', () => {
 
     describe('Discontinued Feature', () => {
         it('should add a discontinued media entry', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send({
                     title: 'Abandoned Book',
@@ -385,7 +383,7 @@ describe('Media Log API', () => {
         });
 
         it('should retrieve discontinued status correctly', async () => {
-            await request(app)
+            await api
                 .post('/api/media')
                 .send({
                     title: 'Discontinued Series',
@@ -395,7 +393,7 @@ describe('Media Log API', () => {
                     discontinued: true
                 });
 
-            const response = await request(app).get('/api/media?year=2025');
+            const response = await api.get('/api/media?year=2025');
             expect(response.status).toBe(200);
 
             const discontinuedItem = response.body.find(e => e.title === 'Discontinued Series');
@@ -405,7 +403,7 @@ describe('Media Log API', () => {
 
         it('should update discontinued status via PUT', async () => {
             // Add a normal entry
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/media')
                 .send({
                     title: 'Book to Discontinue',
@@ -418,7 +416,7 @@ describe('Media Log API', () => {
             const mediaId = addResponse.body.id;
 
             // Update to discontinued
-            const updateResponse = await request(app)
+            const updateResponse = await api
                 .put(`/api/media/${mediaId}`)
                 .send({
                     title: 'Book to Discontinue',
@@ -431,13 +429,13 @@ describe('Media Log API', () => {
             expect(updateResponse.status).toBe(200);
 
             // Verify the update
-            const getResponse = await request(app).get('/api/media?year=2025');
+            const getResponse = await api.get('/api/media?year=2025');
             const updatedItem = getResponse.body.find(e => e.id === mediaId);
             expect(updatedItem.discontinued).toBe(1);
         });
 
         it('should handle discontinued field as false by default', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send({
                     title: 'Regular Book',
@@ -448,7 +446,7 @@ describe('Media Log API', () => {
 
             expect(response.status).toBe(201);
 
-            const getResponse = await request(app).get('/api/media?year=2025');
+            const getResponse = await api.get('/api/media?year=2025');
             const item = getResponse.body.find(e => e.title === 'Regular Book');
             expect(item.discontinued).toBe(0);
         });
@@ -456,7 +454,7 @@ describe('Media Log API', () => {
 
     describe('Optional End Date', () => {
         it('should allow creating media entry without end_date', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send({
                     title: 'Currently Reading Book',
@@ -471,7 +469,7 @@ describe('Media Log API', () => {
 
         it('should allow updating media entry to remove end_date', async () => {
             // First create an entry with end_date
-            const addResponse = await request(app)
+            const addResponse = await api
                 .post('/api/media')
                 .send({
                     title: 'Test Book',
@@ -483,7 +481,7 @@ describe('Media Log API', () => {
             const mediaId = addResponse.body.id;
 
             // Update to remove end_date
-            const updateResponse = await request(app)
+            const updateResponse = await api
                 .put(`/api/media/${mediaId}`)
                 .send({
                     title: 'Test Book',
@@ -496,7 +494,7 @@ describe('Media Log API', () => {
         });
 
         it('should retrieve media entries without end_date', async () => {
-            await request(app)
+            await api
                 .post('/api/media')
                 .send({
                     title: 'In Progress Series',
@@ -504,7 +502,7 @@ describe('Media Log API', () => {
                     start_date: '2025-09-15'
                 });
 
-            const response = await request(app).get('/api/media?year=2025');
+            const response = await api.get('/api/media?year=2025');
             const inProgressEntry = response.body.find(e => e.title === 'In Progress Series');
 
             expect(inProgressEntry).toBeDefined();
@@ -514,7 +512,7 @@ describe('Media Log API', () => {
 
     describe('Tag Management', () => {
         it('should create tags from comma-separated string', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send({
                     title: 'Tagged Book',
@@ -527,7 +525,7 @@ describe('Media Log API', () => {
             expect(response.status).toBe(201);
 
             // Verify tags were created
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const book = mediaResponse.body.find(e => e.title === 'Tagged Book');
             expect(book.tags).toBeTruthy();
             expect(book.tags.split(', ').sort()).toEqual(['adventure', 'bestseller', 'fantasy']);
@@ -535,7 +533,7 @@ describe('Media Log API', () => {
 
         it('should handle duplicate tags', async () => {
             // Create first entry with tags
-            await request(app)
+            await api
                 .post('/api/media')
                 .send({
                     title: 'Book 1',
@@ -546,7 +544,7 @@ describe('Media Log API', () => {
                 });
 
             // Create second entry with overlapping tags
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send({
                     title: 'Book 2',
@@ -559,7 +557,7 @@ describe('Media Log API', () => {
             expect(response.status).toBe(201);
 
             // Both books should have correct tags
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const book1 = mediaResponse.body.find(e => e.title === 'Book 1');
             const book2 = mediaResponse.body.find(e => e.title === 'Book 2');
 
@@ -569,7 +567,7 @@ describe('Media Log API', () => {
 
         it('should update tags when updating media entry', async () => {
             // Create entry with tags
-            const createResponse = await request(app)
+            const createResponse = await api
                 .post('/api/media')
                 .send({
                     title: 'Updatable Book',
@@ -582,7 +580,7 @@ describe('Media Log API', () => {
             const mediaId = createResponse.body.id;
 
             // Update with new tags
-            const updateResponse = await request(app)
+            const updateResponse = await api
                 .put(`/api/media/${mediaId}`)
                 .send({
                     title: 'Updatable Book',
@@ -595,13 +593,13 @@ describe('Media Log API', () => {
             expect(updateResponse.status).toBe(200);
 
             // Verify tags were updated
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const book = mediaResponse.body.find(e => e.title === 'Updatable Book');
             expect(book.tags.split(', ').sort()).toEqual(['new', 'tags', 'updated']);
         });
 
         it('should handle empty tags', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send({
                     title: 'No Tags Book',
@@ -613,14 +611,14 @@ describe('Media Log API', () => {
 
             expect(response.status).toBe(201);
 
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const book = mediaResponse.body.find(e => e.title === 'No Tags Book');
             expect(book.tags).toBe('');
         });
 
         it('should get all tags via API', async () => {
             // Create entries with tags
-            await request(app)
+            await api
                 .post('/api/media')
                 .send({
                     title: 'Book 1',
@@ -630,7 +628,7 @@ describe('Media Log API', () => {
                     tags: 'fantasy, adventure'
                 });
 
-            await request(app)
+            await api
                 .post('/api/media')
                 .send({
                     title: 'Book 2',
@@ -641,7 +639,7 @@ describe('Media Log API', () => {
                 });
 
             // Get all tags
-            const response = await request(app).get('/api/v1/tags');
+            const response = await api.get('/api/v1/tags');
             expect(response.status).toBe(200);
             expect(response.body.length).toBe(4);
 
@@ -650,7 +648,7 @@ describe('Media Log API', () => {
         });
 
         it('should normalize tag names to lowercase', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media')
                 .send({
                     title: 'Mixed Case Book',
@@ -662,7 +660,7 @@ describe('Media Log API', () => {
 
             expect(response.status).toBe(201);
 
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const book = mediaResponse.body.find(e => e.title === 'Mixed Case Book');
             expect(book.tags.split(', ').sort()).toEqual(['adventure', 'fantasy', 'scifi']);
         });
@@ -696,7 +694,7 @@ describe('Media Log API', () => {
                 }
             ];
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items });
 
@@ -707,7 +705,7 @@ describe('Media Log API', () => {
             expect(response.body.message).toContain('3/3 succeeded');
 
             // Verify all items were inserted
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             expect(mediaResponse.body).toHaveLength(3);
         });
 
@@ -729,7 +727,7 @@ describe('Media Log API', () => {
                 }
             ];
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items });
 
@@ -737,7 +735,7 @@ describe('Media Log API', () => {
             expect(response.body.results.success).toHaveLength(2);
 
             // Verify tags were created
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const book1 = mediaResponse.body.find(e => e.title === 'Tagged Book 1');
             const book2 = mediaResponse.body.find(e => e.title === 'Tagged Book 2');
 
@@ -767,7 +765,7 @@ describe('Media Log API', () => {
                 }
             ];
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items });
 
@@ -776,10 +774,11 @@ describe('Media Log API', () => {
             expect(response.body.results.failed).toHaveLength(1);
             expect(response.body.results.total).toBe(3);
             expect(response.body.results.failed[0].index).toBe(1);
-            expect(response.body.results.failed[0].error).toContain('Invalid media type');
+            expect(response.body.results.failed[0].error).toContain('Media type must be one of');
+            expect(response.body.results.failed[0].errors[0].path).toBe('media_type');
 
             // Verify valid items were inserted
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const validBook = mediaResponse.body.find(e => e.title === 'Valid Book');
             const anotherValidBook = mediaResponse.body.find(e => e.title === 'Another Valid Book');
             const invalidBook = mediaResponse.body.find(e => e.title === 'Invalid Book');
@@ -790,16 +789,16 @@ describe('Media Log API', () => {
         });
 
         it('should reject empty array', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items: [] });
 
             expect(response.status).toBe(400);
-            expect(response.body.error).toContain('non-empty array');
+            expect(response.body.error).toBe('Items must be an array with 1-200 entries');
         });
 
         it('should reject non-array items', async () => {
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items: 'not an array' });
 
@@ -814,12 +813,12 @@ describe('Media Log API', () => {
                 end_date: '2025-01-10'
             });
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items });
 
             expect(response.status).toBe(400);
-            expect(response.body.error).toContain('200 items');
+            expect(response.body.error).toBe('Items must be an array with 1-200 entries');
         });
 
         it('should handle bulk insert with discontinued entries', async () => {
@@ -840,7 +839,7 @@ describe('Media Log API', () => {
                 }
             ];
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items });
 
@@ -848,7 +847,7 @@ describe('Media Log API', () => {
             expect(response.body.results.success).toHaveLength(2);
 
             // Verify discontinued status
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const discontinuedBook = mediaResponse.body.find(e => e.title === 'Discontinued Book');
             const regularBook = mediaResponse.body.find(e => e.title === 'Regular Book');
 
@@ -870,7 +869,7 @@ describe('Media Log API', () => {
             }
 
             const startTime = Date.now();
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items });
             const endTime = Date.now();
@@ -885,10 +884,56 @@ describe('Media Log API', () => {
             expect(duration).toBeLessThan(10000);
 
             // Verify all items were inserted
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             expect(mediaResponse.body.length).toBeGreaterThanOrEqual(100);
         });
 
+        it('should list media with a constant number of queries', async () => {
+            // Count every statement SQLite executes while serving a request
+            const countQueries = async (url) => {
+                let count = 0;
+                const onTrace = () => { count++; };
+                db.on('trace', onTrace);
+                try {
+                    const response = await api.get(url);
+                    expect(response.status).toBe(200);
+                    return { count, body: response.body };
+                } finally {
+                    db.getDatabaseInstance().removeListener('trace', onTrace);
+                }
+            };
+
+            const insertBooks = async (from, to) => {
+                const items = [];
+                for (let i = from; i <= to; i++) {
+                    items.push({
+                        title: `Book ${i}`,
+                        media_type: 'book',
+                        start_date: '2025-07-01',
+                        end_date: '2025-07-10',
+                        tags: `tag${i % 5}, shared`
+                    });
+                }
+                await api.post('/api/media/bulk').send({ items });
+            };
+
+            await insertBooks(1, 10);
+            const small = await countQueries('/api/media?year=2025');
+            const smallV1 = await countQueries('/api/v1/media?year=2025');
+
+            await insertBooks(11, 100);
+            const large = await countQueries('/api/media?year=2025');
+            const largeV1 = await countQueries('/api/v1/media?year=2025');
+
+            expect(large.body).toHaveLength(100);
+            expect(largeV1.body).toHaveLength(100);
+            expect(large.body[0].tags).toBe('shared, tag1');
+            expect(large.count).toBe(small.count);
+            expect(largeV1.count).toBe(smallV1.count);
+            expect(large.count).toBeGreaterThan(0);
+            expect(large.count).toBeLessThanOrEqual(2);
+        });
+
         it('should handle optional end_date in bulk insert', async () => {
             const items = [
                 {
@@ -904,7 +949,7 @@ describe('Media Log API', () => {
                 }
             ];
 
-            const response = await request(app)
+            const response = await api
                 .post('/api/media/bulk')
                 .send({ items });
 
@@ -912,7 +957,7 @@ describe('Media Log API', () => {
             expect(response.body.results.success).toHaveLength(2);
 
             // Verify entries
-            const mediaResponse = await request(app).get('/api/media?year=2025');
+            const mediaResponse = await api.get('/api/media?year=2025');
             const withEndDate = mediaResponse.body.find(e => e.title === 'Book with end date');
             const withoutEndDate = mediaResponse.body.find(e => e.title === 'Book without end date');
 
@@ -920,4 +965,2265 @@ describe('Media Log API', () => {
             expect(withoutEndDate.end_date).toBeNull();
         });
     });
+
+    describe('Titles and Consumption Entries', () => {
+        const reread = {
+            title: 'Diuna',
+            author: 'Frank Herbert',
+            media_type: 'book'
+        };
+
+        it('should share one title between re-reads', async () => {
+            await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-01-01', end_date: '2025-01-20' });
+            await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-06-01', end_date: '2025-06-15', volume_episode: 'Tom 1' });
+
+            const titles = await db.all('SELECT * FROM media_titles');
+            const entries = await db.all('SELECT * FROM media_entries');
+            expect(titles).toHaveLength(1);
+            expect(entries).toHaveLength(2);
+
+            // Old clients still get one flat row per consumption period
+            const response = await api.get('/api/media?year=2025');
+            expect(response.body).toHaveLength(2);
+            expect(response.body[1]).toMatchObject({
+                title: 'Diuna',
+                author: 'Frank Herbert',
+                media_type: 'book',
+                volume_episode: 'Tom 1'
+            });
+            expect(response.body[1]).not.toHaveProperty('media_title_id');
+        });
+
+        it('should keep titles with the same name but different type apart', async () => {
+            await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-01-01' });
+            await api
+                .post('/api/media')
+                .send({ ...reread, media_type: 'movie', start_date: '2025-02-01' });
+
+            const titles = await db.all('SELECT * FROM media_titles');
+            expect(titles).toHaveLength(2);
+        });
+
+        it('should return a title with all its entries', async () => {
+            const first = await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-01-01', end_date: '2025-01-20', tags: 'scifi' });
+            await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-06-01', discontinued: true });
+
+            const { media_title_id } = await db.get(
+                'SELECT media_title_id FROM media_entries WHERE id = ?',
+                [first.body.id]
+            );
+
+            const response = await api.get(`/api/v1/titles/${media_title_id}`);
+            expect(response.status).toBe(200);
+            expect(response.body.title).toBe('Diuna');
+            expect(response.body.entries).toHaveLength(2);
+            expect(response.body.entries[0].tags).toBe('scifi');
+            expect(response.body.entries[1].end_date).toBeNull();
+            expect(response.body.entries[1].discontinued).toBe(1);
+        });
+
+        it('should rename a title for every entry', async () => {
+            const first = await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-01-01' });
+            await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-06-01' });
+            const { media_title_id } = await db.get(
+                'SELECT media_title_id FROM media_entries WHERE id = ?',
+                [first.body.id]
+            );
+
+            const response = await api
+                .put(`/api/v1/titles/${media_title_id}`)
+                .send({ title: 'Dune', author: 'Frank Herbert', media_type: 'book' });
+            expect(response.status).toBe(200);
+
+            const media = await api.get('/api/media?year=2025');
+            expect(media.body.map(e => e.title)).toEqual(['Dune', 'Dune']);
+        });
+
+        it('should add a consumption entry to an existing title', async () => {
+            const first = await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-01-01', end_date: '2025-01-20' });
+            const { media_title_id } = await db.get(
+                'SELECT media_title_id FROM media_entries WHERE id = ?',
+                [first.body.id]
+            );
+
+            const response = await api
+                .post(`/api/v1/titles/${media_title_id}/entries`)
+                .send({ start_date: '2025-08-01', tags: 'reread' });
+            expect(response.status).toBe(201);
+            expect(response.body.media_title_id).toBe(media_title_id);
+
+            const media = await api.get('/api/media?year=2025');
+            const reReadEntry = media.body.find(e => e.id === response.body.id);
+            expect(reReadEntry.title).toBe('Diuna');
+            expect(reReadEntry.tags).toBe('reread');
+        });
+
+        it('should return 404 for entries on a missing title', async () => {
+            const response = await api
+                .post('/api/v1/titles/99999/entries')
+                .send({ start_date: '2025-08-01' });
+            expect(response.status).toBe(404);
+        });
+
+        it('should move an edited entry to its new title and drop orphaned titles', async () => {
+            const added = await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-01-01' });
+
+            await api
+                .put(`/api/media/${added.body.id}`)
+                .send({ ...reread, title: 'Mesjasz Diuny', start_date: '2025-01-01' });
+
+            const titles = await db.all('SELECT title FROM media_titles');
+            expect(titles).toEqual([{ title: 'Mesjasz Diuny' }]);
+        });
+
+        it('should remove the title together with its last entry once purged', async () => {
+            const added = await api
+                .post('/api/media')
+                .send({ ...reread, start_date: '2025-01-01', tags: 'scifi' });
+
+            await api.delete(`/api/media/${added.body.id}`);
+            expect(await db.all('SELECT * FROM media_titles')).toHaveLength(1);
+
+            await api.delete('/api/v1/trash?older_than_days=0');
+
+            expect(await db.all('SELECT * FROM media_titles')).toHaveLength(0);
+            expect(await db.all('SELECT * FROM media_tags')).toHaveLength(0);
+        });
+    });
+
+    describe('Title History', () => {
+        beforeEach(async () => {
+            const items = [
+                { title: 'Friends', media_type: 'series', start_date: '2024-01-01', end_date: '2024-01-10' },
+                { title: 'Friends', media_type: 'series', start_date: '2025-02-01', end_date: '2025-02-05', discontinued: true },
+                { title: 'Friends', media_type: 'series', start_date: '2025-09-01' },
+                { title: 'Hobbit', author: 'J.R.R. Tolkien', media_type: 'book', start_date: '2025-03-01', end_date: '2025-03-03' }
+            ];
+            await api.post('/api/media/bulk').send({ items });
+        });
+
+        it('should group consumption periods by title', async () => {
+            const response = await api.get('/api/v1/titles');
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(2);
+
+            const friends = response.body.find(t => t.title === 'Friends');
+            expect(friends).toMatchObject({
+                media_type: 'series',
+                total_count: 3,
+                first_date: '2024-01-01',
+                last_date: '2025-09-01',
+                total_days: 15,
+                discontinued: 1
+            });
+
+            const hobbit = response.body.find(t => t.title === 'Hobbit');
+            expect(hobbit).toMatchObject({ total_count: 1, total_days: 3, discontinued: 0 });
+        });
+
+        it('should filter titles by media type and minimum count', async () => {
+            const rewatched = await api.get('/api/v1/titles?min_count=2');
+            expect(rewatched.body.map(t => t.title)).toEqual(['Friends']);
+
+            const books = await api.get('/api/v1/titles?media_type=book');
+            expect(books.body.map(t => t.title)).toEqual(['Hobbit']);
+        });
+
+        it('should reject invalid title filters', async () => {
+            const response = await api.get('/api/v1/titles?min_count=0');
+            expect(response.status).toBe(400);
+        });
+
+        it('should return every consumption period of a title', async () => {
+            const list = await api.get('/api/v1/titles?media_type=series');
+            const titleId = list.body[0].id;
+
+            const response = await api.get(`/api/v1/titles/${titleId}/history`);
+            expect(response.status).toBe(200);
+            expect(response.body.total_count).toBe(3);
+            expect(response.body.entries.map(e => e.start_date)).toEqual([
+                '2024-01-01', '2025-02-01', '2025-09-01'
+            ]);
+            expect(response.body.entries.map(e => e.days)).toEqual([10, 5, null]);
+        });
+
+        it('should return 404 for history of a missing title', async () => {
+            const response = await api.get('/api/v1/titles/99999/history');
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Full-text Search', () => {
+        beforeEach(async () => {
+            const items = [
+                { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-01-01', end_date: '2025-01-20', tags: 'fantasy, polish', notes: 'Świetne opowiadania' },
+                { title: 'The Witcher', media_type: 'series', start_date: '2025-03-01', end_date: '2025-03-10', tags: 'fantasy', notes: 'Based on Sapkowski', discontinued: true },
+                { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2024-05-01', end_date: '2024-06-01', tags: 'scifi', notes: 'Spice and sand' }
+            ];
+            await api.post('/api/media/bulk').send({ items });
+        });
+
+        it('should match title prefixes and highlight them', async () => {
+            const response = await api.get('/api/v1/search?q=witch');
+            expect(response.status).toBe(200);
+            expect(response.body).toHaveLength(1);
+            expect(response.body[0].title).toBe('The Witcher');
+            expect(response.body[0].tags).toBe('fantasy');
+            expect(response.body[0].snippet).toContain('<mark>Witcher</mark>');
+        });
+
+        it('should search authors, notes and tags ignoring diacritics', async () => {
+            const byAuthor = await api.get('/api/v1/search?q=sapkowski');
+            expect(byAuthor.body.map(e => e.title).sort()).toEqual(['The Witcher', 'Wiedźmin']);
+
+            const byNotes = await api.get('/api/v1/search?q=spice');
+            expect(byNotes.body.map(e => e.title)).toEqual(['Dune']);
+
+            const byTag = await api.get('/api/v1/search?q=scifi');
+            expect(byTag.body.map(e => e.title)).toEqual(['Dune']);
+
+            const folded = await api.get('/api/v1/search?q=wiedzmin');
+            expect(folded.body.map(e => e.title)).toEqual(['Wiedźmin']);
+        });
+
+        it('should combine search with filters', async () => {
+            const byType = await api.get('/api/v1/search?q=sapkowski&media_type=book');
+            expect(byType.body.map(e => e.title)).toEqual(['Wiedźmin']);
+
+            const byTag = await api.get('/api/v1/search?q=sapkowski&tag=polish');
+            expect(byTag.body.map(e => e.title)).toEqual(['Wiedźmin']);
+
+            const byDate = await api.get('/api/v1/search?q=sapkowski&from=2025-02-01&to=2025-12-31');
+            expect(byDate.body.map(e => e.title)).toEqual(['The Witcher']);
+
+            const dropped = await api.get('/api/v1/search?q=sapkowski&discontinued=false');
+            expect(dropped.body.map(e => e.title)).toEqual(['Wiedźmin']);
+        });
+
+        it('should keep the index in sync with edits and deletes', async () => {
+            const media = await api.get('/api/media?year=2024');
+            const dune = media.body.find(e => e.title === 'Dune');
+
+            await api
+                .put(`/api/media/${dune.id}`)
+                .send({ title: 'Dune Messiah', author: 'Frank Herbert', media_type: 'book', start_date: '2024-05-01', tags: 'classic', notes: 'Paul' });
+
+            const renamed = await api.get('/api/v1/search?q=messiah');
+            expect(renamed.body.map(e => e.id)).toEqual([dune.id]);
+            expect((await api.get('/api/v1/search?q=spice')).body).toEqual([]);
+            expect((await api.get('/api/v1/search?q=scifi')).body).toEqual([]);
+            expect((await api.get('/api/v1/search?q=classic')).body).toHaveLength(1);
+
+            await api.delete(`/api/media/${dune.id}`);
+            expect((await api.get('/api/v1/search?q=messiah')).body).toEqual([]);
+        });
+
+        it('should reindex every entry when a title is renamed', async () => {
+            const media = await api.get('/api/media?year=2025');
+            const witcher = media.body.find(e => e.title === 'The Witcher');
+            const { media_title_id } = await db.get(
+                'SELECT media_title_id FROM media_entries WHERE id = ?',
+                [witcher.id]
+            );
+
+            await api
+                .put(`/api/v1/titles/${media_title_id}`)
+                .send({ title: 'Wiedźmin (serial)', media_type: 'series' });
+
+            const response = await api.get('/api/v1/search?q=serial');
+            expect(response.body.map(e => e.id)).toEqual([witcher.id]);
+        });
+
+        it('should treat search syntax as plain text', async () => {
+            const response = await api.get('/api/v1/search?q=' + encodeURIComponent('dune OR "'));
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([]);
+        });
+
+        it('should reject a missing or empty query', async () => {
+            expect((await api.get('/api/v1/search')).status).toBe(400);
+            expect((await api.get('/api/v1/search?q=%22%22')).status).toBe(400);
+        });
+    });
+
+    describe('Media Filtering and Pagination', () => {
+        beforeEach(async () => {
+            const items = [
+                { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-01-01', end_date: '2025-01-20', tags: 'fantasy, polish' },
+                { title: 'Sezon burz', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-02-01', tags: 'fantasy' },
+                { title: 'The Witcher', media_type: 'series', start_date: '2025-03-01', end_date: '2025-03-10', tags: 'fantasy', discontinued: true },
+                { title: 'Akira', author: 'Katsuhiro Otomo', media_type: 'comic', start_date: '2025-04-01', end_date: '2025-04-05', tags: 'scifi, classic' },
+                { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2024-12-20', end_date: '2025-01-05', tags: 'scifi' }
+            ];
+            await api.post('/api/media/bulk').send({ items });
+        });
+
+        const titles = (response) => response.body.map(e => e.title);
+
+        it('should filter by several media types', async () => {
+            const response = await api.get('/api/v1/media?year=2025&media_type=comic,series');
+            expect(response.status).toBe(200);
+            expect(titles(response)).toEqual(['The Witcher', 'Akira']);
+        });
+
+        it('should include entries overlapping the date range', async () => {
+            const response = await api.get('/api/v1/media?from=2025-01-01&to=2025-01-31');
+            expect(titles(response)).toEqual(['Dune', 'Wiedźmin']);
+        });
+
+        it('should match any or all of the given tags', async () => {
+            const any = await api.get('/api/v1/media?year=2025&tags=polish,classic');
+            expect(titles(any)).toEqual(['Wiedźmin', 'Akira']);
+
+            const all = await api.get('/api/v1/media?year=2025&tags=fantasy,polish&tags_match=all');
+            expect(titles(all)).toEqual(['Wiedźmin']);
+        });
+
+        it('should filter by author, progress and discontinued state', async () => {
+            const byAuthor = await api.get('/api/v1/media?author=sapkowski');
+            expect(titles(byAuthor)).toEqual(['Wiedźmin', 'Sezon burz']);
+
+            const inProgress = await api.get('/api/v1/media?in_progress=true');
+            expect(titles(inProgress)).toEqual(['Sezon burz']);
+
+            const discontinued = await api.get('/api/v1/media?discontinued=true');
+            expect(titles(discontinued)).toEqual(['The Witcher']);
+        });
+
+        it('should treat LIKE wildcards in author literally', async () => {
+            const response = await api.get('/api/v1/media?author=%25');
+            expect(response.status).toBe(200);
+            expect(response.body).toEqual([]);
+        });
+
+        it('should sort by the requested field and order', async () => {
+            const response = await api.get('/api/v1/media?year=2025&sort=title&order=desc');
+            expect(titles(response)).toEqual(['Wiedźmin', 'The Witcher', 'Sezon burz', 'Dune', 'Akira']);
+        });
+
+        it('should page through results with a cursor and Link header', async () => {
+            const first = await api.get('/api/v1/media?year=2025&sort=title&limit=2');
+            expect(titles(first)).toEqual(['Akira', 'Dune']);
+            expect(first.headers.link).toContain('rel="first"');
+
+            const next = first.headers.link.match(/<([^>]+)>; rel="next"/)[1];
+            expect(next).toContain('/api/v1/media?');
+            const second = await api.get(next);
+            expect(titles(second)).toEqual(['Sezon burz', 'The Witcher']);
+
+            const last = await api.get(second.headers.link.match(/<([^>]+)>; rel="next"/)[1]);
+            expect(titles(last)).toEqual(['Wiedźmin']);
+            expect(last.headers.link).not.toContain('rel="next"');
+        });
+
+        it('should reject invalid query parameters', async () => {
+            expect((await api.get('/api/v1/media?cursor=garbage')).status).toBe(400);
+            expect((await api.get('/api/v1/media?sort=notes')).status).toBe(400);
+            expect((await api.get('/api/v1/media?media_type=book,vinyl')).status).toBe(400);
+            expect((await api.get('/api/v1/media?limit=0')).status).toBe(400);
+        });
+    });
+
+    describe('CSV Import and Export', () => {
+        const csv = [
+            'Tytuł,Autor,Typ,Początek,Koniec,Tagi,Notatki',
+            'Wiedźmin,Andrzej Sapkowski,book,2025-01-01,2025-01-20,"fantasy, polish","Pierwszy tom, ""Ostatnie życzenie"""',
+            'Bez daty,,book,,,,',
+            'Akira,Katsuhiro Otomo,vinyl,2025-02-01,,,',
+            'Dune,Frank Herbert,book,2025-03-01,,scifi,"Wiele\nlinii"'
+        ].join('\r\n');
+        const mapping = {
+            'Tytuł': 'title',
+            'Autor': 'author',
+            'Typ': 'media_type',
+            'Początek': 'start_date',
+            'Koniec': 'end_date',
+            'Tagi': 'tags',
+            'Notatki': 'notes'
+        };
+
+        it('should preview an import without writing anything', async () => {
+            const response = await api
+                .post('/api/v1/import/csv')
+                .send({ csv, mapping });
+
+            expect(response.status).toBe(200);
+            expect(response.body.results.total).toBe(4);
+            expect(response.body.results.success.map(r => r.index)).toEqual([0, 3]);
+            expect(response.body.results.failed.map(r => r.index)).toEqual([1, 2]);
+            expect(response.body.results.failed[0].error).toContain('Start date is required');
+            expect(response.body.results.failed[1].error).toContain('Media type must be one of');
+
+            const count = await db.get('SELECT COUNT(*) AS count FROM media_entries');
+            expect(count.count).toBe(0);
+        });
+
+        it('should insert valid rows when committing', async () => {
+            const response = await api
+                .post('/api/v1/import/csv')
+                .send({ csv, mapping, commit: true });
+
+            expect(response.status).toBe(207);
+            expect(response.body.results.success).toHaveLength(2);
+            expect(response.body.results.success[0].id).toBeDefined();
+            expect(response.body.results.failed).toHaveLength(2);
+
+            const media = await api.get('/api/media?year=2025');
+            const dune = media.body.find(e => e.title === 'Dune');
+            expect(dune.notes).toBe('Wiele\nlinii');
+            expect(dune.end_date).toBeNull();
+            expect(media.body.find(e => e.title === 'Wiedźmin').tags).toBe('fantasy, polish');
+        });
+
+        it('should use headers named after fields and a custom delimiter', async () => {
+            const response = await api
+                .post('/api/v1/import/csv')
+                .send({
+                    csv: 'title;media_type;start_date;discontinued;ignored\nFrieren;anime;2025-05-01;true;x\n',
+                    delimiter: ';',
+                    commit: true
+                });
+
+            expect(response.status).toBe(201);
+            expect(response.body.mapping).toEqual({
+                title: 'title',
+                media_type: 'media_type',
+                start_date: 'start_date',
+                discontinued: 'discontinued'
+            });
+            const entry = await db.get('SELECT discontinued FROM media WHERE title = ?', ['Frieren']);
+            expect(entry.discontinued).toBe(1);
+        });
+
+        it('should reject CSV without required columns or with a bad mapping', async () => {
+            const missing = await api
+                .post('/api/v1/import/csv')
+                .send({ csv: 'title,start_date\nDune,2025-01-01' });
+            expect(missing.status).toBe(400);
+            expect(missing.body.error).toContain('media_type');
+
+            const badMapping = await api
+                .post('/api/v1/import/csv')
+                .send({ csv, mapping: { 'Tytuł': 'colour' } });
+            expect(badMapping.status).toBe(400);
+        });
+
+        it('should export entries filtered by year and type', async () => {
+            const items = [
+                { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-01-01', end_date: '2025-01-20', tags: 'polish, fantasy', notes: 'Tom 1, "Ostatnie życzenie"' },
+                { title: 'Frieren', media_type: 'anime', start_date: '2025-02-01', discontinued: true },
+                { title: 'Dune', media_type: 'book', start_date: '2024-03-01', end_date: '2024-03-20' }
+            ];
+            await api.post('/api/media/bulk').send({ items });
+
+            const response = await api.get('/api/v1/export.csv?year=2025&media_type=book');
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toContain('text/csv');
+            expect(response.headers['content-disposition']).toContain('medialog-2025.csv');
+
+            const lines = response.text.trim().split('\r\n');
+            expect(lines[0]).toBe('title,author,media_type,start_date,end_date,volume_episode,tags,notes,discontinued,status,priority,' +
+                'season,episode,episodes_total,volume,volumes_total,chapter,chapters_total,rating,review');
+            expect(lines).toHaveLength(2);
+            expect(lines[1]).toContain('Wiedźmin,Andrzej Sapkowski,book,2025-01-01,2025-01-20,,"fantasy, polish"');
+
+            const all = await api.get('/api/v1/export.csv');
+            expect(all.text.trim().split('\r\n')).toHaveLength(4);
+        });
+
+        it('should import its own export', async () => {
+            await api.post('/api/media/bulk').send({
+                items: [{ title: 'Akira', author: 'Katsuhiro Otomo', media_type: 'comic', start_date: '2025-04-01', end_date: '2025-04-05', tags: 'classic' }]
+            });
+            const exported = await api.get('/api/v1/export.csv');
+
+            const preview = await api
+                .post('/api/v1/import/csv')
+                .send({ csv: exported.text });
+            expect(preview.status).toBe(200);
+            expect(preview.body.results.failed).toEqual([]);
+            expect(preview.body.results.success).toEqual([{ index: 0, title: 'Akira' }]);
+        });
+
+        it('should keep progress, ratings and reviews in a round trip', async () => {
+            await db.run('DELETE FROM media_entries');
+            await api.post('/api/v1/media').send({
+                title: 'Frieren', media_type: 'anime', start_date: '2025-04-01', end_date: '2025-04-20',
+                season: 1, episode: 28, episodes_total: 28, rating: 4.5, review: 'Piękne, spokojne'
+            });
+            const exported = await api.get('/api/v1/export.csv');
+            expect(exported.text).toContain(',completed,0,1,28,28,,,,,4.5,"Piękne, spokojne"');
+
+            await db.run('DELETE FROM media_entries');
+            const imported = await api.post('/api/v1/import/csv').send({ csv: exported.text, commit: true });
+            expect(imported.status).toBe(201);
+
+            const [entry] = (await api.get('/api/v1/media?year=2025')).body;
+            expect(entry).toMatchObject({ season: 1, episode: 28, episodes_total: 28, rating: 4.5, review: 'Piękne, spokojne' });
+        });
+
+        it('should keep formula-like text from running in spreadsheets', async () => {
+            await db.run('DELETE FROM media_entries');
+            const entry = {
+                title: '=HYPERLINK("http://example.com")', author: '@Autor', media_type: 'book',
+                start_date: '2025-04-01', notes: '-- szkic', review: "'Cytat'"
+            };
+            await api.post('/api/v1/media').send(entry);
+            const exported = await api.get('/api/v1/export.csv');
+            expect(exported.text).toContain(`"'=HYPERLINK(""http://example.com"")",'@Autor,book,2025-04-01`);
+            expect(exported.text).toContain("'-- szkic");
+            expect(exported.text).toContain("''Cytat'");
+
+            await db.run('DELETE FROM media_entries');
+            const imported = await api.post('/api/v1/import/csv').send({ csv: exported.text, commit: true });
+            expect(imported.status).toBe(201);
+
+            const [restored] = (await api.get('/api/v1/media?year=2025')).body;
+            expect(restored).toMatchObject({
+                title: entry.title, author: entry.author, notes: entry.notes, review: entry.review
+            });
+        });
+
+        it('should keep planned entries in a round trip', async () => {
+            await db.run('DELETE FROM media_entries');
+            await api.post('/api/v1/backlog').send({ title: 'Hyperion', author: 'Dan Simmons', media_type: 'book', priority: 7 });
+            const exported = await api.get('/api/v1/export.csv');
+            expect(exported.text).toContain('Hyperion,Dan Simmons,book,,,,,,false,planned,7,');
+
+            await db.run('DELETE FROM media_entries');
+            const imported = await api.post('/api/v1/import/csv').send({ csv: exported.text, commit: true });
+            expect(imported.status).toBe(201);
+
+            const [entry] = (await api.get('/api/v1/backlog')).body;
+            expect(entry).toMatchObject({ title: 'Hyperion', status: 'planned', priority: 7 });
+        });
+
+        it('should still need a start date for entries that are not planned', async () => {
+            const csv = 'title,media_type,status\nHyperion,book,planned\nDune,book,completed';
+            const response = await api.post('/api/v1/import/csv').send({ csv });
+            expect(response.body.results.success).toEqual([{ index: 0, title: 'Hyperion' }]);
+            expect(response.body.results.failed[0].error).toContain('Start date is required');
+
+            const missing = await api.post('/api/v1/import/csv').send({ csv: 'title,media_type\nDune,book' });
+            expect(missing.status).toBe(400);
+            expect(missing.body.error).toBe('Missing required columns: start_date');
+        });
+    });
+
+    describe('Goodreads and Letterboxd Import', () => {
+        const goodreads = [
+            'Book Id,Title,Author,My Rating,Date Read,Date Added,Bookshelves,Exclusive Shelf,My Review',
+            '1,"The Last Wish (The Witcher, #0.5)",Andrzej Sapkowski,5,2025/01/20,2024/12/01,"fantasy, favorites",read,Great<br/>book',
+            '2,Dune,Frank Herbert,0,,2025/03/01,currently-reading,currently-reading,',
+            '3,Hyperion,Dan Simmons,0,,2025/02/01,to-read,to-read,'
+        ].join('\n');
+        const letterboxd = [
+            'Date,Name,Year,Letterboxd URI,Rating,Rewatch,Tags,Watched Date',
+            '2025-02-02,Dune: Part Two,2024,https://boxd.it/a,4.5,,"scifi, imax",2025-02-01',
+            '2025-03-02,Dune: Part Two,2024,https://boxd.it/b,5,Yes,,2025-03-01',
+            '2025-03-02,Dune: Part Two,2024,https://boxd.it/c,5,Yes,,2025-03-01'
+        ].join('\n');
+
+        it('should map Goodreads shelves, dates and reviews', async () => {
+            const response = await api
+                .post('/api/v1/import/goodreads')
+                .send({ csv: goodreads, commit: true });
+
+            expect(response.status).toBe(201);
+            expect(response.body.results.success).toHaveLength(2);
+            expect(response.body.results.skipped).toEqual([
+                { index: 2, title: 'Hyperion', reason: 'Book is on the to-read shelf' }
+            ]);
+
+            const media = await api.get('/api/v1/media?media_type=book');
+            const [wish, dune] = media.body;
+            expect(wish.author).toBe('Andrzej Sapkowski');
+            expect(wish.start_date).toBe('2025-01-20');
+            expect(wish.end_date).toBe('2025-01-20');
+            expect(wish.tags).toBe('fantasy, favorites');
+            expect(wish.notes).toBe('Great\nbook');
+            expect(wish.rating).toBe(5);
+            expect(dune.start_date).toBe('2025-03-01');
+            expect(dune.end_date).toBeNull();
+            expect(dune.rating).toBeNull();
+        });
+
+        it('should turn Letterboxd rewatches into separate entries', async () => {
+            const response = await api
+                .post('/api/v1/import/letterboxd')
+                .send({ csv: letterboxd, commit: true });
+
+            expect(response.status).toBe(201);
+            expect(response.body.results.success.map(r => r.index)).toEqual([0, 1]);
+            expect(response.body.results.skipped).toEqual([
+                { index: 2, title: 'Dune: Part Two', reason: 'Duplicate of an earlier row' }
+            ]);
+
+            const title = await api.get('/api/v1/titles?media_type=movie');
+            expect(title.body).toHaveLength(1);
+            expect(title.body[0].total_count).toBe(2);
+
+            const media = await api.get('/api/v1/media?media_type=movie&year=2025');
+            expect(media.body.map(e => e.rating)).toEqual([4.5, 5]);
+        });
+
+        it('should skip entries that already exist', async () => {
+            await api.post('/api/v1/import/goodreads').send({ csv: goodreads, commit: true });
+
+            const preview = await api
+                .post('/api/v1/import/goodreads')
+                .send({ csv: goodreads });
+
+            expect(preview.status).toBe(200);
+            expect(preview.body.results.success).toEqual([]);
+            expect(preview.body.results.skipped.map(r => r.reason)).toEqual([
+                expect.stringContaining('Duplicate of existing entry'),
+                expect.stringContaining('Duplicate of existing entry'),
+                'Book is on the to-read shelf'
+            ]);
+        });
+
+        it('should reject unknown sources and foreign files', async () => {
+            const unknown = await api
+                .post('/api/v1/import/imdb')
+                .send({ csv: letterboxd });
+            expect(unknown.status).toBe(400);
+
+            const foreign = await api
+                .post('/api/v1/import/goodreads')
+                .send({ csv: letterboxd });
+            expect(foreign.status).toBe(400);
+            expect(foreign.body.error).toContain('Not a Goodreads export');
+        });
+    });
+
+    describe('Backup and Restore', () => {
+        const items = [
+            { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-01-01', end_date: '2025-01-20', tags: 'fantasy, polish', notes: 'Tom 1' },
+            { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-06-01', tags: 'fantasy' },
+            { title: 'Frieren', media_type: 'anime', start_date: '2025-02-01', end_date: '2025-02-10', discontinued: true }
+        ];
+
+        const takeBackup = async () => {
+            const response = await api.get('/api/v1/backup');
+            expect(response.status).toBe(200);
+            return JSON.parse(response.text);
+        };
+
+        it('should stream every table with timestamps and the schema version', async () => {
+            await api.post('/api/media/bulk').send({ items });
+
+            const response = await api.get('/api/v1/backup');
+            expect(response.headers['content-type']).toContain('application/json');
+            expect(response.headers['content-disposition']).toContain('medialog-backup-');
+
+            const backup = JSON.parse(response.text);
+            const { version } = await db.get('SELECT MAX(version) AS version FROM schema_migrations');
+            expect(backup.format).toBe('medialog-backup');
+            expect(backup.version).toBe(1);
+            expect(backup.schema_version).toBe(version);
+            expect(backup.media_titles).toHaveLength(2);
+            expect(backup.media_entries).toHaveLength(3);
+            expect(backup.tags.map(t => t.name).sort()).toEqual(['fantasy', 'polish']);
+            expect(backup.media_tags).toHaveLength(3);
+            expect(backup.media_entries[0].created_at).toBeDefined();
+            expect(backup.media_entries[0].updated_at).toBeDefined();
+        });
+
+        it('should replace all data and keep ids', async () => {
+            await api.post('/api/media/bulk').send({ items });
+            const backup = await takeBackup();
+            const before = await api.get('/api/v1/media?year=2025');
+
+            await api.delete(`/api/media/${before.body[0].id}`);
+            await api.post('/api/media').send({ title: 'Dune', media_type: 'book', start_date: '2025-03-01' });
+
+            const response = await api
+                .post('/api/v1/restore?mode=replace')
+                .send(backup);
+            expect(response.status).toBe(200);
+            expect(response.body.restored.media_entries).toBe(3);
+
+            const after = await api.get('/api/v1/media?year=2025');
+            expect(after.body).toEqual(before.body);
+
+            const search = await api.get('/api/v1/search?q=polish');
+            expect(search.body.map(e => e.id)).toEqual([before.body[0].id]);
+        });
+
+        it('should merge new entries and skip ones already logged', async () => {
+            await api.post('/api/media/bulk').send({ items });
+            const backup = await takeBackup();
+
+            await db.run('DELETE FROM media_tags');
+            await db.run('DELETE FROM tags');
+            await db.run('DELETE FROM media_entries');
+            await db.run('DELETE FROM media_titles');
+            await api.post('/api/media').send({ title: 'Frieren', media_type: 'anime', start_date: '2025-02-01', end_date: '2025-02-10', tags: 'polish' });
+
+            const response = await api.post('/api/v1/restore').send(backup);
+            expect(response.status).toBe(200);
+            expect(response.body.mode).toBe('merge');
+            expect(response.body.restored.media_entries).toBe(2);
+            expect(response.body.restored.tags).toBe(1);
+            expect(response.body.skipped.media_entries).toBe(1);
+
+            const media = await api.get('/api/v1/media?year=2025');
+            expect(media.body.map(e => `${e.title} ${e.start_date} ${e.tags}`)).toEqual([
+                'Wiedźmin 2025-01-01 fantasy, polish',
+                'Frieren 2025-02-01 polish',
+                'Wiedźmin 2025-06-01 fantasy'
+            ]);
+            const titles = await db.get('SELECT COUNT(*) AS count FROM media_titles');
+            expect(titles.count).toBe(2);
+        });
+
+        it('should reject invalid backups without changing data', async () => {
+            await api.post('/api/media/bulk').send({ items });
+            const backup = await takeBackup();
+
+            const newer = await api
+                .post('/api/v1/restore?mode=replace')
+                .send({ ...backup, schema_version: backup.schema_version + 1 });
+            expect(newer.status).toBe(400);
+            expect(newer.body.error).toContain('newer than this database');
+
+            const wrongVersion = await api
+                .post('/api/v1/restore?mode=replace')
+                .send({ ...backup, version: 99 });
+            expect(wrongVersion.status).toBe(400);
+
+            const dangling = await api
+                .post('/api/v1/restore?mode=replace')
+                .send({ ...backup, media_titles: [] });
+            expect(dangling.status).toBe(400);
+
+            const badMode = await api
+                .post('/api/v1/restore?mode=overwrite')
+                .send(backup);
+            expect(badMode.status).toBe(400);
+
+            const duplicateTitles = await api
+                .post('/api/v1/restore?mode=replace')
+                .send({ ...backup, media_titles: [...backup.media_titles, { ...backup.media_titles[0], id: 999 }] });
+            expect(duplicateTitles.status).toBe(400);
+
+            const count = await db.get('SELECT COUNT(*) AS count FROM media_entries');
+            expect(count.count).toBe(3);
+        });
+    });
+
+    describe('Trash and Undo', () => {
+        let wiedzminId;
+        let duneId;
+
+        beforeEach(async () => {
+            const response = await api.post('/api/media/bulk').send({
+                items: [
+                    { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-01-01', end_date: '2025-01-20', tags: 'fantasy' },
+                    { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2025-02-01', end_date: '2025-02-20', tags: 'scifi' }
+                ]
+            });
+            [wiedzminId, duneId] = response.body.results.success.map(r => r.id);
+        });
+
+        it('should move deleted entries to the trash and hide them', async () => {
+            const response = await api.delete(`/api/v1/media/${wiedzminId}`);
+            expect(response.status).toBe(200);
+
+            const media = await api.get('/api/v1/media?year=2025');
+            expect(media.body.map(e => e.id)).toEqual([duneId]);
+            const legacy = await api.get('/api/media?year=2025');
+            expect(legacy.body.map(e => e.id)).toEqual([duneId]);
+            expect((await api.get('/api/v1/search?q=wiedzmin')).body).toEqual([]);
+            expect((await api.get('/api/v1/titles')).body.map(t => t.title)).toEqual(['Dune']);
+
+            const trash = await api.get('/api/v1/trash');
+            expect(trash.status).toBe(200);
+            expect(trash.body).toHaveLength(1);
+            expect(trash.body[0]).toMatchObject({ id: wiedzminId, title: 'Wiedźmin', tags: 'fantasy' });
+            expect(trash.body[0].deleted_at).toBeTruthy();
+
+            // A trashed entry cannot be deleted again or edited
+            expect((await api.delete(`/api/v1/media/${wiedzminId}`)).status).toBe(404);
+            const update = await api
+                .put(`/api/v1/media/${wiedzminId}`)
+                .send({ title: 'Wiedźmin', media_type: 'book', start_date: '2025-01-01' });
+            expect(update.status).toBe(404);
+        });
+
+        it('should restore an entry from the trash', async () => {
+            await api.delete(`/api/media/${wiedzminId}`);
+
+            const response = await api.post(`/api/v1/media/${wiedzminId}/restore`);
+            expect(response.status).toBe(200);
+
+            const media = await api.get('/api/v1/media?year=2025');
+            expect(media.body.map(e => e.id)).toEqual([wiedzminId, duneId]);
+            expect(media.body[0].tags).toBe('fantasy');
+            expect((await api.get('/api/v1/search?q=wiedzmin')).body).toHaveLength(1);
+            expect((await api.get('/api/v1/trash')).body).toEqual([]);
+
+            // Entries that are not in the trash cannot be restored
+            expect((await api.post(`/api/v1/media/${duneId}/restore`)).status).toBe(404);
+            expect((await api.post('/api/v1/media/99999/restore')).status).toBe(404);
+        });
+
+        it('should purge entries older than the retention period', async () => {
+            await api.delete(`/api/v1/media/${wiedzminId}`);
+            await api.delete(`/api/v1/media/${duneId}`);
+            await db.run(
+                "UPDATE media_entries SET deleted_at = datetime('now', '-40 days') WHERE id = ?",
+                [wiedzminId]
+            );
+
+            const response = await api.delete('/api/v1/trash');
+            expect(response.status).toBe(200);
+            expect(response.body.purged).toBe(1);
+
+            const trash = await api.get('/api/v1/trash');
+            expect(trash.body.map(e => e.id)).toEqual([duneId]);
+            const title = await db.get("SELECT id FROM media_titles WHERE title = 'Wiedźmin'");
+            expect(title).toBeUndefined();
+            const tags = await db.get('SELECT COUNT(*) AS count FROM media_tags WHERE media_id = ?', [wiedzminId]);
+            expect(tags.count).toBe(0);
+
+            const emptied = await api.delete('/api/v1/trash?older_than_days=0');
+            expect(emptied.body.purged).toBe(1);
+            expect((await api.get('/api/v1/trash')).body).toEqual([]);
+
+            expect((await api.delete('/api/v1/trash?older_than_days=-1')).status).toBe(400);
+        });
+    });
+
+    describe('Change History', () => {
+        const wiedzmin = {
+            title: 'Wiedźmin',
+            author: 'Andrzej Sapkowski',
+            media_type: 'book',
+            start_date: '2025-01-01',
+            end_date: '2025-01-20',
+            tags: 'fantasy'
+        };
+        let mediaId;
+
+        beforeEach(async () => {
+            const response = await api.post('/api/v1/media').send(wiedzmin);
+            mediaId = response.body.id;
+        });
+
+        it('should record field-level changes for every edit', async () => {
+            await api
+                .put(`/api/v1/media/${mediaId}`)
+                .send({ ...wiedzmin, end_date: '2025-01-25', notes: 'Świetna' });
+            await api
+                .put(`/api/v1/media/${mediaId}`)
+                .send({ ...wiedzmin, end_date: '2025-01-25', notes: 'Świetna', tags: 'fantasy, polish' });
+            // Saving without changes adds no version
+            await api
+                .put(`/api/v1/media/${mediaId}`)
+                .send({ ...wiedzmin, end_date: '2025-01-25', notes: 'Świetna', tags: 'polish, fantasy' });
+            await api.delete(`/api/v1/media/${mediaId}`);
+            await api.post(`/api/v1/media/${mediaId}/restore`);
+
+            const response = await api.get(`/api/v1/media/${mediaId}/history`);
+            expect(response.status).toBe(200);
+            expect(response.body.map(v => v.action)).toEqual(['restore', 'delete', 'tags', 'update', 'create']);
+
+            const [, deleted, tagged, updated, created] = response.body;
+            expect(created.changes.title).toEqual({ before: null, after: 'Wiedźmin' });
+            expect(created.snapshot).toMatchObject({ title: 'Wiedźmin', end_date: '2025-01-20', tags: 'fantasy' });
+            expect(updated.changes).toEqual({
+                end_date: { before: '2025-01-20', after: '2025-01-25' },
+                notes: { before: '', after: 'Świetna' }
+            });
+            expect(tagged.changes).toEqual({ tags: { before: 'fantasy', after: 'fantasy, polish' } });
+            expect(deleted.changes.tags).toEqual({ before: 'fantasy, polish', after: null });
+            expect(created.version).toBeLessThan(updated.version);
+        });
+
+        it('should record title renames for each entry of the title', async () => {
+            const { body: entry } = await api.get(`/api/v1/media?year=2025`);
+            await api
+                .put(`/api/v1/titles/${entry[0].media_title_id}`)
+                .send({ title: 'Ostatnie życzenie', author: 'Andrzej Sapkowski', media_type: 'book' });
+
+            const response = await api.get(`/api/v1/media/${mediaId}/history`);
+            expect(response.body[0]).toMatchObject({
+                action: 'update',
+                changes: { title: { before: 'Wiedźmin', after: 'Ostatnie życzenie' } }
+            });
+        });
+
+        it('should revert an entry to a past version', async () => {
+            await api
+                .put(`/api/v1/media/${mediaId}`)
+                .send({ ...wiedzmin, title: 'Krew elfów', end_date: null, tags: 'saga' });
+
+            const { body: history } = await api.get(`/api/v1/media/${mediaId}/history`);
+            const created = history.find(v => v.action === 'create');
+
+            const response = await api
+                .post(`/api/v1/media/${mediaId}/history/${created.version}/revert`);
+            expect(response.status).toBe(200);
+            expect(response.body.reverted_to).toBe(created.version);
+
+            const { body: media } = await api.get('/api/v1/media?year=2025');
+            expect(media).toHaveLength(1);
+            expect(media[0]).toMatchObject({ title: 'Wiedźmin', end_date: '2025-01-20', tags: 'fantasy' });
+
+            const { body: after } = await api.get(`/api/v1/media/${mediaId}/history`);
+            expect(after[0].action).toBe('revert');
+            expect(after[0].changes.title).toEqual({ before: 'Krew elfów', after: 'Wiedźmin' });
+        });
+
+        it('should refuse to revert to a version that is no longer valid', async () => {
+            const { body: history } = await api.get(`/api/v1/media/${mediaId}/history`);
+            // As if the version's media type had been deleted since
+            await db.run(
+                "UPDATE media_audit SET snapshot = json_set(snapshot, '$.media_type', 'concert') WHERE id = ?",
+                [history[0].version]
+            );
+
+            const response = await api
+                .post(`/api/v1/media/${mediaId}/history/${history[0].version}/revert`);
+            expect(response.status).toBe(409);
+            expect(response.body.errors.map(e => e.path)).toEqual(['media_type']);
+
+            const { body: media } = await api.get('/api/v1/media?year=2025');
+            expect(media[0]).toMatchObject({ title: 'Wiedźmin', media_type: 'book' });
+            const { body: after } = await api.get(`/api/v1/media/${mediaId}/history`);
+            expect(after).toHaveLength(history.length);
+        });
+
+        it('should reject unknown entries and versions', async () => {
+            expect((await api.get('/api/v1/media/99999/history')).status).toBe(404);
+            expect((await api.post(`/api/v1/media/${mediaId}/history/99999/revert`)).status).toBe(404);
+            expect((await api.post(`/api/v1/media/${mediaId}/history/abc/revert`)).status).toBe(400);
+
+            // Trashed entries must be restored before reverting
+            const { body: history } = await api.get(`/api/v1/media/${mediaId}/history`);
+            await api.delete(`/api/v1/media/${mediaId}`);
+            const response = await api
+                .post(`/api/v1/media/${mediaId}/history/${history[0].version}/revert`);
+            expect(response.status).toBe(404);
+        });
+    });
+
+    describe('Statistics', () => {
+        beforeEach(async () => {
+            await api.post('/api/media/bulk').send({
+                items: [
+                    { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-01-01', end_date: '2025-01-20', tags: 'fantasy, polish' },
+                    { title: 'Krew elfów', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-02-25', end_date: '2025-03-04', tags: 'fantasy' },
+                    { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2025-03-10', tags: 'scifi' },
+                    { title: 'Arcane', media_type: 'series', start_date: '2025-03-01', end_date: '2025-03-03', discontinued: true },
+                    { title: 'Akira', media_type: 'anime', start_date: '2025-03-05', end_date: '2025-03-05' },
+                    { title: 'Old', media_type: 'movie', start_date: '2024-06-01', end_date: '2024-06-01' }
+                ]
+            });
+        });
+
+        it('should compute yearly totals and per-type groups in SQL', async () => {
+            const response = await api.get('/api/v1/stats?period=year&year=2025');
+            expect(response.status).toBe(200);
+            expect(response.body.period).toEqual({ type: 'year', from: '2025-01-01', to: '2025-12-31' });
+            expect(response.body.group_by).toBe('media_type');
+            expect(response.body.totals).toMatchObject({
+                count: 5,
+                completed: 3,
+                in_progress: 1,
+                discontinued: 1,
+                total_days: 32,
+                avg_days: 8
+            });
+            expect(response.body.totals.longest).toMatchObject({ title: 'Wiedźmin', days: 20 });
+            expect(response.body.totals.shortest).toMatchObject({ title: 'Akira', days: 1 });
+
+            const book = response.body.groups.find(g => g.key === 'book');
+            expect(book).toMatchObject({ count: 3, completed: 2, in_progress: 1, total_days: 28, avg_days: 14 });
+            expect(book.shortest).toMatchObject({ title: 'Krew elfów', days: 8 });
+            expect(response.body.groups.map(g => g.key)).toEqual(['book', 'anime', 'series']);
+        });
+
+        it('should limit stats to a month or ISO week', async () => {
+            const month = await api.get('/api/v1/stats?period=month&year=2025&month=3');
+            expect(month.body.period).toMatchObject({ from: '2025-03-01', to: '2025-03-31' });
+            expect(month.body.totals.count).toBe(4);
+
+            // 2025-W10 is Monday 2025-03-03 to Sunday 2025-03-09
+            const week = await api.get('/api/v1/stats?period=week&week=2025-W10');
+            expect(week.body.period).toMatchObject({ from: '2025-03-03', to: '2025-03-09' });
+            expect(week.body.totals.count).toBe(3);
+
+            const custom = await api.get('/api/v1/stats?period=custom&from=2024-01-01&to=2025-01-31');
+            expect(custom.body.totals.count).toBe(2);
+        });
+
+        it('should group by tag, author and month', async () => {
+            const byTag = await api.get('/api/v1/stats?year=2025&group_by=tag');
+            expect(byTag.body.groups.map(g => [g.key, g.count])).toEqual([
+                [null, 2], ['fantasy', 2], ['polish', 1], ['scifi', 1]
+            ]);
+            expect(byTag.body.totals.count).toBe(5);
+
+            const byAuthor = await api.get('/api/v1/stats?year=2025&group_by=author&media_type=book');
+            expect(byAuthor.body.groups.map(g => [g.key, g.count])).toEqual([
+                ['Andrzej Sapkowski', 2], ['Frank Herbert', 1]
+            ]);
+
+            const byMonth = await api.get('/api/v1/stats?year=2025&group_by=month');
+            expect(byMonth.body.groups.map(g => [g.key, g.count])).toEqual([
+                ['2025-03', 4], ['2025-01', 1]
+            ]);
+        });
+
+        it('should validate period parameters', async () => {
+            expect((await api.get('/api/v1/stats?period=month&year=2025')).status).toBe(400);
+            expect((await api.get('/api/v1/stats?period=week&week=2025-W53')).status).toBe(400);
+            expect((await api.get('/api/v1/stats?period=week&week=2020-W53')).status).toBe(200);
+            expect((await api.get('/api/v1/stats?period=custom&from=2025-02-01&to=2025-01-01')).status).toBe(400);
+            expect((await api.get('/api/v1/stats?group_by=title')).status).toBe(400);
+        });
+    });
+
+    describe('Goals', () => {
+        beforeEach(async () => {
+            await api.post('/api/media/bulk').send({
+                items: [
+                    { title: 'Wiedźmin', media_type: 'book', start_date: '2024-01-01', end_date: '2024-01-20', tags: 'fantasy' },
+                    { title: 'Krew elfów', media_type: 'book', start_date: '2024-02-25', end_date: '2024-03-04', tags: 'fantasy' },
+                    { title: 'Dune', media_type: 'book', start_date: '2024-03-10', end_date: '2024-03-12', discontinued: true, tags: 'scifi' },
+                    { title: 'Hobbit', media_type: 'book', start_date: '2024-12-20', end_date: '2025-01-05', tags: 'fantasy' },
+                    { title: 'Akira', media_type: 'anime', start_date: '2024-03-05', end_date: '2024-03-05', tags: 'scifi' }
+                ]
+            });
+        });
+
+        it('should create goals and report progress from completed entries', async () => {
+            const created = await api
+                .post('/api/v1/goals')
+                .send({ media_type: 'book', period: 'year', year: 2024, target: 4 });
+            expect(created.status).toBe(201);
+
+            const response = await api.get(`/api/v1/goals/${created.body.id}`);
+            expect(response.status).toBe(200);
+            // Discontinued books and books finished in 2025 do not count
+            expect(response.body).toMatchObject({
+                media_type: 'book',
+                tag: null,
+                period: 'year',
+                year: 2024,
+                month: null,
+                target: 4,
+                progress: {
+                    from: '2024-01-01',
+                    to: '2024-12-31',
+                    completed: 2,
+                    remaining: 2,
+                    percent: 50,
+                    expected: 4,
+                    projected: 2,
+                    pace: 'behind'
+                }
+            });
+        });
+
+        it('should scope goals by tag and month', async () => {
+            await api
+                .post('/api/v1/goals')
+                .send({ tag: 'SciFi', period: 'month', year: 2024, month: 3, target: 1 });
+            await api
+                .post('/api/v1/goals')
+                .send({ media_type: 'book', tag: 'fantasy', period: 'year', year: 2024, target: 2 });
+            await api
+                .post('/api/v1/goals')
+                .send({ media_type: 'anime', period: 'year', year: 2023, target: 5 });
+
+            const response = await api.get('/api/v1/goals?year=2024&month=3');
+            expect(response.status).toBe(200);
+            expect(response.body.map(g => [g.tag, g.month, g.progress.completed, g.progress.pace])).toEqual([
+                ['fantasy', null, 2, 'achieved'],
+                ['scifi', 3, 1, 'achieved']
+            ]);
+            expect((await api.get('/api/v1/goals')).body).toHaveLength(3);
+        });
+
+        it('should compute pace and projection during the period', async () => {
+            const goal = { media_type: 'book', tag: null, year: 2024, month: null, target: 12 };
+
+            // Two books by early March keep up with a 12-a-year pace
+            const march = await getGoalProgress(db, goal, '2024-03-04');
+            expect(march).toMatchObject({ completed: 2, expected: 2.1, pace: 'on_track', projected: 11 });
+
+            const january = await getGoalProgress(db, goal, '2024-01-20');
+            expect(january.pace).toBe('ahead');
+
+            const before = await getGoalProgress(db, goal, '2023-12-01');
+            expect(before).toMatchObject({ expected: 0, pace: 'not_started' });
+        });
+
+        it('should update and delete goals', async () => {
+            const { body } = await api
+                .post('/api/v1/goals')
+                .send({ media_type: 'book', period: 'year', year: 2024, target: 4 });
+
+            const updated = await api
+                .put(`/api/v1/goals/${body.id}`)
+                .send({ media_type: 'book', period: 'month', year: 2024, month: 1, target: 1 });
+            expect(updated.status).toBe(200);
+            const goal = (await api.get(`/api/v1/goals/${body.id}`)).body;
+            expect(goal).toMatchObject({ period: 'month', month: 1, progress: { completed: 1, pace: 'achieved' } });
+
+            expect((await api.delete(`/api/v1/goals/${body.id}`)).status).toBe(200);
+            expect((await api.get(`/api/v1/goals/${body.id}`)).status).toBe(404);
+            expect((await api.delete(`/api/v1/goals/${body.id}`)).status).toBe(404);
+        });
+
+        it('should validate goals', async () => {
+            const invalid = [
+                { period: 'year', year: 2024, target: 4 },
+                { media_type: 'vinyl', period: 'year', year: 2024, target: 4 },
+                { media_type: 'book', period: 'week', year: 2024, target: 4 },
+                { media_type: 'book', period: 'month', year: 2024, target: 4 },
+                { media_type: 'book', period: 'year', year: 2024, target: 0 }
+            ];
+            for (const goal of invalid) {
+                expect((await api.post('/api/v1/goals').send(goal)).status).toBe(400);
+            }
+        });
+    });
+
+    describe('Activity and Streaks', () => {
+        beforeEach(async () => {
+            await api.post('/api/media/bulk').send({
+                items: [
+                    { title: 'Wiedźmin', media_type: 'book', start_date: '2024-03-01', end_date: '2024-03-03' },
+                    { title: 'Akira', media_type: 'anime', start_date: '2024-03-03', end_date: '2024-03-03' },
+                    { title: 'Arcane', media_type: 'series', start_date: '2024-03-10' },
+                    { title: 'Dune', media_type: 'movie', start_date: '2024-03-20', end_date: '2024-03-20' }
+                ]
+            });
+        });
+
+        it('should return per-day counts by media type', async () => {
+            const response = await api.get('/api/v1/activity?from=2024-03-01&to=2024-03-31&details=true');
+            expect(response.status).toBe(200);
+            expect(response.body.days.map(d => d.date)).toEqual([
+                '2024-03-01', '2024-03-02', '2024-03-03', '2024-03-10', '2024-03-20'
+            ]);
+
+            const third = response.body.days[2];
+            expect(third).toMatchObject({ total: 2, by_type: { anime: 1, book: 1 } });
+            expect(third.entries.map(e => [e.title, e.media_type]).sort()).toEqual([
+                ['Akira', 'anime'], ['Wiedźmin', 'book']
+            ]);
+
+            expect(response.body.active_days).toBe(5);
+            expect(response.body.idle_days).toBe(26);
+            expect(response.body.streaks.longest).toEqual({ length: 3, from: '2024-03-01', to: '2024-03-03' });
+
+            const anime = await api.get('/api/v1/activity?from=2024-03-01&to=2024-03-31&media_type=anime');
+            expect(anime.body.days).toEqual([{ date: '2024-03-03', total: 1, by_type: { anime: 1 } }]);
+        });
+
+        it('should report the current streak up to today', async () => {
+            const daysAgo = (n) => {
+                const date = new Date();
+                date.setDate(date.getDate() - n);
+                return formatLocalDate(date);
+            };
+            await api
+                .post('/api/v1/media')
+                .send({ title: 'Hobbit', media_type: 'book', start_date: daysAgo(6), end_date: daysAgo(3) });
+            await api
+                .post('/api/v1/media')
+                .send({ title: 'Friends', media_type: 'series', start_date: daysAgo(2), end_date: daysAgo(1) });
+
+            const response = await api.get(`/api/v1/activity?from=${daysAgo(4)}&to=${daysAgo(0)}`);
+            expect(response.status).toBe(200);
+            // The streak started before the requested range and is still current
+            expect(response.body.streaks.current).toEqual({ length: 6, from: daysAgo(6), to: daysAgo(1) });
+            expect(response.body.streaks.longest).toEqual({ length: 4, from: daysAgo(4), to: daysAgo(1) });
+            expect(response.body.idle_days).toBe(1);
+        });
+
+        it('should validate the range', async () => {
+            expect((await api.get('/api/v1/activity?to=2024-03-31')).status).toBe(400);
+            expect((await api.get('/api/v1/activity?from=2024-03-31&to=2024-03-01')).status).toBe(400);
+            expect((await api.get('/api/v1/activity?from=2010-01-01&to=2024-12-31')).status).toBe(400);
+        });
+    });
+
+    describe('Progress Tracking', () => {
+        it('should store and return structured progress', async () => {
+            const created = await api
+                .post('/api/v1/media')
+                .send({ title: 'Arcane', media_type: 'series', start_date: '2024-03-01', season: 2, episode: 3, episodes_total: 9 });
+            expect(created.status).toBe(201);
+
+            const response = await api.get('/api/v1/media?year=2024');
+            expect(response.body[0]).toMatchObject({ season: 2, episode: 3, episodes_total: 9, end_date: null });
+        });
+
+        it('should increment progress with today as the progress date', async () => {
+            const created = await api
+                .post('/api/v1/media')
+                .send({ title: 'Arcane', media_type: 'series', start_date: '2024-03-01', season: 2, episode: 3, episodes_total: 9 });
+
+            const response = await api.post(`/api/v1/media/${created.body.id}/progress/increment`);
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({
+                unit: 'episode',
+                completed: false,
+                episode: 4,
+                volume_episode: 'S02E04/9',
+                progress_date: formatLocalDate(),
+                end_date: null
+            });
+
+            const history = await api.get(`/api/v1/media/${created.body.id}/history`);
+            expect(history.body[0].changes.episode).toEqual({ before: 3, after: 4 });
+        });
+
+        it('should complete the entry when the total is reached', async () => {
+            const created = await api
+                .post('/api/v1/media')
+                .send({ title: 'Berserk', media_type: 'comic', start_date: '2024-03-01', volume: 40, volumes_total: 41 });
+
+            const response = await api
+                .post(`/api/v1/media/${created.body.id}/progress/increment`)
+                .send({ unit: 'volume' });
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ completed: true, volume: 41, end_date: formatLocalDate() });
+
+            const again = await api.post(`/api/v1/media/${created.body.id}/progress/increment`);
+            expect(again.status).toBe(409);
+        });
+
+        it('should complete entries created with finished progress', async () => {
+            const created = await api
+                .post('/api/v1/media')
+                .send({ title: 'Diuna', media_type: 'book', start_date: '2024-03-01', chapter: 48, chapters_total: 48 });
+
+            expect(created.status).toBe(201);
+
+            const response = await api.get('/api/v1/media');
+            expect(response.body[0].end_date).toBe(formatLocalDate());
+        });
+
+        it('should keep progress when updated through the legacy API', async () => {
+            const created = await api
+                .post('/api/v1/media')
+                .send({ title: 'Akira', media_type: 'anime', start_date: '2024-03-01', episode: 5 });
+
+            await api
+                .put(`/api/media/${created.body.id}`)
+                .send({ title: 'Akira', media_type: 'anime', start_date: '2024-03-01', notes: 'Klasyka' });
+
+            const response = await api.get('/api/v1/media?year=2024');
+            expect(response.body[0]).toMatchObject({ episode: 5, notes: 'Klasyka' });
+        });
+
+        it('should validate progress fields', async () => {
+            const beyond = await api
+                .post('/api/v1/media')
+                .send({ title: 'Arcane', media_type: 'series', start_date: '2024-03-01', episode: 10, episodes_total: 9 });
+            expect(beyond.status).toBe(400);
+
+            const negative = await api
+                .post('/api/v1/media/bulk')
+                .send({ items: [{ title: 'Arcane', media_type: 'series', start_date: '2024-03-01', episode: -1 }] });
+            expect(negative.status).toBe(400);
+
+            const unit = await api.post('/api/v1/media/1/progress/increment').send({ unit: 'page' });
+            expect(unit.status).toBe(400);
+
+            const missing = await api.post('/api/v1/media/999999/progress/increment');
+            expect(missing.status).toBe(404);
+        });
+    });
+
+    describe('Ratings and Reviews', () => {
+        const titles = (response) => response.body.map(e => e.title);
+
+        beforeEach(async () => {
+            await api.post('/api/v1/media/bulk').send({
+                items: [
+                    { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2024-03-01', end_date: '2024-03-10', rating: 5, review: 'Świetna' },
+                    { title: 'Pani Jeziora', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2024-04-01', end_date: '2024-04-10', rating: 3.5 },
+                    { title: 'Akira', media_type: 'anime', start_date: '2024-03-03', end_date: '2024-03-03', rating: 4 },
+                    { title: 'Dune', media_type: 'movie', start_date: '2024-03-20', end_date: '2024-03-20' }
+                ]
+            });
+        });
+
+        it('should return ratings on the configured scale with the review', async () => {
+            const response = await api.get('/api/v1/media?year=2024&sort=title');
+            const witcher = response.body.find(e => e.title === 'Wiedźmin');
+            expect(witcher).toMatchObject({ rating: 5, review: 'Świetna' });
+            expect(response.body.find(e => e.title === 'Pani Jeziora').rating).toBe(3.5);
+            expect(response.body.find(e => e.title === 'Dune').rating).toBeNull();
+
+            const stored = await db.get("SELECT rating FROM media WHERE title = 'Pani Jeziora'");
+            expect(stored.rating).toBe(7);
+        });
+
+        it('should filter and sort by rating', async () => {
+            const best = await api.get('/api/v1/media?year=2024&min_rating=4&sort=rating&order=desc');
+            expect(best.status).toBe(200);
+            expect(titles(best)).toEqual(['Wiedźmin', 'Akira']);
+
+            const unrated = await api.get('/api/v1/media?year=2024&rated=false');
+            expect(titles(unrated)).toEqual(['Dune']);
+
+            const sorted = await api.get('/api/v1/media?year=2024&sort=rating');
+            expect(titles(sorted)).toEqual(['Dune', 'Pani Jeziora', 'Akira', 'Wiedźmin']);
+        });
+
+        it('should reject ratings off the scale', async () => {
+            for (const rating of [0, 4.3, 5.5, 'dobre']) {
+                const response = await api
+                    .post('/api/v1/media')
+                    .send({ title: 'Arcane', media_type: 'series', start_date: '2024-03-01', rating });
+                expect(response.status).toBe(400);
+            }
+            expect((await api.get('/api/v1/media?min_rating=7')).status).toBe(400);
+
+            const legacy = await api
+                .post('/api/media')
+                .send({ title: 'Arcane', media_type: 'series', start_date: '2024-03-01', rating: 11 });
+            expect(legacy.status).toBe(400);
+        });
+
+        it('should keep the rating when an update leaves it out', async () => {
+            const [akira] = (await api.get('/api/v1/media?year=2024&media_type=anime')).body;
+
+            await api
+                .put(`/api/media/${akira.id}`)
+                .send({ title: 'Akira', media_type: 'anime', start_date: '2024-03-03', end_date: '2024-03-03', notes: 'Klasyka' });
+            let response = await api.get('/api/v1/media?year=2024&media_type=anime');
+            expect(response.body[0]).toMatchObject({ rating: 4, notes: 'Klasyka' });
+
+            await api
+                .put(`/api/v1/media/${akira.id}`)
+                .send({ title: 'Akira', media_type: 'anime', start_date: '2024-03-03', end_date: '2024-03-03', rating: null });
+            response = await api.get('/api/v1/media?year=2024&media_type=anime');
+            expect(response.body[0].rating).toBeNull();
+        });
+
+        it('should report the average rating per group', async () => {
+            const byType = await api.get('/api/v1/stats?year=2024');
+            expect(byType.body.totals).toMatchObject({ rated: 3, avg_rating: 4.17 });
+            const book = byType.body.groups.find(g => g.key === 'book');
+            expect(book).toMatchObject({ rated: 2, avg_rating: 4.25 });
+            expect(byType.body.groups.find(g => g.key === 'movie')).toMatchObject({ rated: 0, avg_rating: null });
+
+            const byAuthor = await api.get('/api/v1/stats?year=2024&group_by=author');
+            expect(byAuthor.body.groups.find(g => g.key === 'Andrzej Sapkowski').avg_rating).toBe(4.25);
+        });
+    });
+
+    describe('Status and Backlog', () => {
+        it('should derive the status from dates and the discontinued flag', async () => {
+            await api.post('/api/v1/media/bulk').send({
+                items: [
+                    { title: 'Diuna', media_type: 'book', start_date: '2024-03-01', end_date: '2024-03-10' },
+                    { title: 'Arcane', media_type: 'series', start_date: '2024-03-01' },
+                    { title: 'Lost', media_type: 'series', start_date: '2024-03-01', discontinued: true },
+                    { title: 'Akira', media_type: 'anime', start_date: '2024-03-01', status: 'dropped' }
+                ]
+            });
+
+            const response = await api.get('/api/v1/media?year=2024&sort=title');
+            expect(response.body.map(e => [e.title, e.status, e.discontinued])).toEqual([
+                ['Akira', 'dropped', 1],
+                ['Arcane', 'in_progress', 0],
+                ['Diuna', 'completed', 0],
+                ['Lost', 'dropped', 1]
+            ]);
+
+            const dropped = await api.get('/api/v1/media?year=2024&status=dropped&sort=title');
+            expect(dropped.body.map(e => e.title)).toEqual(['Akira', 'Lost']);
+        });
+
+        it('should reject statuses that contradict the dates', async () => {
+            const cases = [
+                { status: 'planned', start_date: '2024-03-01' },
+                { status: 'completed', start_date: '2024-03-01' },
+                { status: 'in_progress', start_date: '2024-03-01', end_date: '2024-03-02' },
+                { status: 'paused', start_date: '2024-03-01' },
+                { status: 'in_progress' }
+            ];
+            for (const fields of cases) {
+                const response = await api
+                    .post('/api/v1/media')
+                    .send({ title: 'Arcane', media_type: 'series', ...fields });
+                expect(response.status).toBe(400);
+            }
+
+            const planned = await api
+                .post('/api/v1/media')
+                .send({ title: 'Arcane', media_type: 'series', status: 'planned' });
+            expect(planned.status).toBe(201);
+        });
+
+        it('should list the backlog by priority', async () => {
+            await api.post('/api/v1/backlog').send({ title: 'Diuna', media_type: 'book', tags: 'scifi' });
+            await api.post('/api/v1/backlog').send({ title: 'Akira', media_type: 'anime', priority: 5 });
+            const { body: created } = await api
+                .post('/api/v1/backlog')
+                .send({ title: 'Arcane', media_type: 'series', priority: 2 });
+            await api.post('/api/v1/media').send({ title: 'Lost', media_type: 'series', start_date: '2024-03-01' });
+
+            let response = await api.get('/api/v1/backlog');
+            expect(response.status).toBe(200);
+            expect(response.body.map(e => [e.title, e.priority])).toEqual([['Akira', 5], ['Arcane', 2], ['Diuna', 0]]);
+            expect(response.body[2]).toMatchObject({ status: 'planned', tags: 'scifi' });
+
+            const update = await api.put(`/api/v1/backlog/${created.id}`).send({ priority: 9 });
+            expect(update.status).toBe(200);
+            response = await api.get('/api/v1/backlog?media_type=series,anime');
+            expect(response.body.map(e => e.title)).toEqual(['Arcane', 'Akira']);
+
+            // Planned entries stay out of dated listings
+            const dated = await api.get('/api/v1/media?year=2024');
+            expect(dated.body.map(e => e.title)).toEqual(['Lost']);
+        });
+
+        it('should start a planned entry today', async () => {
+            const { body: created } = await api
+                .post('/api/v1/backlog')
+                .send({ title: 'Arcane', media_type: 'series', priority: 3 });
+
+            const response = await api.post(`/api/v1/backlog/${created.id}/start`);
+            expect(response.status).toBe(200);
+            expect(response.body).toMatchObject({ status: 'in_progress', start_date: formatLocalDate() });
+
+            const entries = await api.get('/api/v1/media?in_progress=true');
+            expect(entries.body).toHaveLength(1);
+            expect(entries.body[0]).toMatchObject({ title: 'Arcane', status: 'in_progress', end_date: null });
+            expect((await api.get('/api/v1/backlog')).body).toEqual([]);
+
+            const again = await api.post(`/api/v1/backlog/${created.id}/start`);
+            expect(again.status).toBe(409);
+            expect((await api.put(`/api/v1/backlog/${created.id}`).send({ priority: 1 })).status).toBe(404);
+            expect((await api.post('/api/v1/backlog/999999/start')).status).toBe(404);
+        });
+
+        it('should validate backlog entries', async () => {
+            const dated = await api
+                .post('/api/v1/backlog')
+                .send({ title: 'Arcane', media_type: 'series', start_date: '2024-03-01' });
+            expect(dated.status).toBe(400);
+
+            const priority = await api
+                .post('/api/v1/backlog')
+                .send({ title: 'Arcane', media_type: 'series', priority: 11 });
+            expect(priority.status).toBe(400);
+        });
+    });
+
+    describe('Media Types', () => {
+        const concert = { key: 'concert', label: 'Koncert', emoji: '🎤', colour: '#A855F7', calendar_group: 'watch' };
+
+        afterEach(async () => {
+            await db.run("DELETE FROM media_types WHERE key = 'concert'");
+            await setDb(db);
+        });
+
+        it('should list the seeded media types in order', async () => {
+            const response = await api.get('/api/v1/media-types');
+            expect(response.status).toBe(200);
+            expect(response.body.map(t => t.key)).toEqual([
+                'book', 'comic', 'audiobook', 'movie', 'series', 'anime', 'cartoon', 'podcast', 'game'
+            ]);
+            expect(response.body[0]).toMatchObject({ label: 'Książka', emoji: '📖', calendar_group: 'read' });
+        });
+
+        it('should accept entries of a new media type', async () => {
+            const before = await api
+                .post('/api/v1/media')
+                .send({ title: 'Live', media_type: 'concert', start_date: '2024-05-01' });
+            expect(before.status).toBe(400);
+
+            const created = await api.post('/api/v1/media-types').send(concert);
+            expect(created.status).toBe(201);
+            expect((await api.get('/api/v1/media-types/concert')).body)
+                .toMatchObject({ label: 'Koncert', colour: '#a855f7', position: 10 });
+
+            const entry = await api
+                .post('/api/v1/media')
+                .send({ title: 'Live', media_type: 'concert', start_date: '2024-05-01' });
+            expect(entry.status).toBe(201);
+            const legacy = await api
+                .post('/api/media')
+                .send({ title: 'Unplugged', media_type: 'concert', start_date: '2024-05-02' });
+            expect(legacy.status).toBe(201);
+
+            const page = await api.get('/');
+            expect(page.text).toContain('<option value="concert">🎤 Koncert</option>');
+
+            const inUse = await api.delete('/api/v1/media-types/concert');
+            expect(inUse.status).toBe(409);
+            expect(inUse.body).toMatchObject({ titles: 2, goals: 0 });
+        });
+
+        it('should update and delete media types', async () => {
+            await api.post('/api/v1/media-types').send(concert);
+
+            const updated = await api
+                .put('/api/v1/media-types/concert')
+                .send({ label: 'Koncerty', calendar_group: 'read' });
+            expect(updated.status).toBe(200);
+            expect((await api.get('/api/v1/media-types/concert')).body)
+                .toMatchObject({ label: 'Koncerty', emoji: '🎤', calendar_group: 'read' });
+
+            expect((await api.delete('/api/v1/media-types/concert')).status).toBe(200);
+            expect((await api.get('/api/v1/media-types/concert')).status).toBe(404);
+            expect((await api.put('/api/v1/media-types/concert').send({ label: 'X' })).status).toBe(404);
+
+            const entry = await api
+                .post('/api/media')
+                .send({ title: 'Live', media_type: 'concert', start_date: '2024-05-01' });
+            expect(entry.status).toBe(400);
+            expect(entry.body.error).toContain('Media type must be one of');
+        });
+
+        it('should reject restoring a backup with unknown media types', async () => {
+            await api.post('/api/v1/media-types').send(concert);
+            await api
+                .post('/api/v1/media')
+                .send({ title: 'Live', media_type: 'concert', start_date: '2024-05-01' });
+            const backup = JSON.parse((await api.get('/api/v1/backup')).text);
+
+            await db.run('DELETE FROM media_entries');
+            await db.run('DELETE FROM media_titles');
+            await api.delete('/api/v1/media-types/concert');
+
+            const rejected = await api.post('/api/v1/restore?mode=replace').send(backup);
+            expect(rejected.status).toBe(400);
+            expect(rejected.body.error).toContain('unknown media types: concert');
+            expect((await api.get('/api/v1/media-types/concert')).status).toBe(404);
+
+            await api.post('/api/v1/media-types').send(concert);
+            const restored = await api.post('/api/v1/restore?mode=replace').send(backup);
+            expect(restored.status).toBe(200);
+
+            const entries = await api.get('/api/v1/media?media_type=concert&year=2024');
+            expect(entries.status).toBe(200);
+            expect(entries.body).toHaveLength(1);
+        });
+
+        it('should reject restoring a backup with a malformed media type', async () => {
+            await api
+                .post('/api/v1/media')
+                .send({ title: 'Live', media_type: 'book', start_date: '2024-05-01' });
+            const backup = JSON.parse((await api.get('/api/v1/backup')).text);
+            backup.media_titles[0].media_type = '<img src=x onerror=alert(1)>';
+
+            const rejected = await api.post('/api/v1/restore?mode=replace').send(backup);
+            expect(rejected.status).toBe(400);
+            expect(rejected.body.error).toContain('invalid media type');
+            expect((await api.get('/api/v1/media-types')).body.map(type => type.key))
+                .not.toContain('<img src=x onerror=alert(1)>');
+        });
+
+        it('should validate media types', async () => {
+            await api.post('/api/v1/media-types').send(concert);
+
+            const duplicate = await api.post('/api/v1/media-types').send(concert);
+            expect(duplicate.status).toBe(409);
+
+            const invalid = await api
+                .post('/api/v1/media-types')
+                .send({ key: 'Bad Key', label: '', colour: 'purple', calendar_group: 'listen' });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.errors.map(e => e.path).sort())
+                .toEqual(['calendar_group', 'colour', 'key', 'label']);
+        });
+    });
+
+    describe('Shared Media Schema', () => {
+        it('should give v1 and legacy routes the same validation errors', async () => {
+            const entry = { title: 'Diuna', media_type: 'book', start_date: '2025-03-10', end_date: '2025-03-01' };
+
+            const v1 = await api.post('/api/v1/media').send(entry);
+            const legacy = await api.post('/api/media').send(entry);
+            expect(v1.status).toBe(400);
+            expect(legacy.status).toBe(400);
+            expect(legacy.body).toEqual(v1.body);
+            expect(v1.body).toEqual({
+                error: 'End date must be after or equal to start date',
+                errors: [{ type: 'field', location: 'body', path: 'end_date', msg: 'End date must be after or equal to start date' }]
+            });
+        });
+
+        it('should apply length and duration limits to legacy routes', async () => {
+            const long = await api
+                .post('/api/media')
+                .send({ title: 'x'.repeat(256), media_type: 'book', start_date: '2025-01-01' });
+            expect(long.status).toBe(400);
+            expect(long.body.errors[0].path).toBe('title');
+
+            const created = await api
+                .post('/api/media')
+                .send({ title: '  Diuna  ', media_type: 'book', start_date: '2025-01-01', end_date: '' });
+            expect(created.status).toBe(201);
+            const update = await api
+                .put(`/api/media/${created.body.id}`)
+                .send({ title: 'Diuna', media_type: 'book', start_date: '2024-01-01', end_date: '2025-06-01' });
+            expect(update.status).toBe(400);
+            expect(update.body.error).toBe('Duration cannot exceed 365 days');
+
+            const listed = await api.get('/api/media?year=2025');
+            expect(listed.body[0]).toMatchObject({ title: 'Diuna', end_date: null });
+        });
+
+        it('should validate each legacy bulk item with the schema', async () => {
+            const response = await api
+                .post('/api/media/bulk')
+                .send({
+                    items: [
+                        { title: 'Diuna', media_type: 'book', start_date: '2025-01-01' },
+                        { title: 'Arcane', media_type: 'series', start_date: '2025-02-10', end_date: '2025-02-01' }
+                    ]
+                });
+            expect(response.status).toBe(207);
+            expect(response.body.results.failed).toEqual([
+                expect.objectContaining({ index: 1, error: 'End date must be after or equal to start date' })
+            ]);
+        });
+
+        it('should serve the schema and its imports to the index page', async () => {
+            const page = await api.get('/');
+            expect(page.text).toContain('"zod": "/vendor/zod/index.js"');
+
+            for (const url of ['/schemas/media.js', '/utils/progress.js', '/utils/status.js', '/utils/date.js', '/vendor/zod/index.js']) {
+                const response = await api.get(url);
+                expect(response.status).toBe(200);
+                expect(response.headers['content-type']).toContain('javascript');
+            }
+        });
+
+        it('should build schemas for the given types, scale and day', () => {
+            const schemas = createMediaSchemas({
+                mediaTypes: ['book'],
+                ratingScale: 10,
+                ratingStep: 1,
+                today: new Date(2020, 0, 1)
+            });
+
+            const parsed = schemas.entry.parse({
+                title: ' Diuna ', media_type: 'book', start_date: '2020-06-01', chapter: '3', rating: '7'
+            });
+            expect(parsed).toMatchObject({ title: 'Diuna', chapter: 3, rating: 7 });
+
+            expect(schemas.entry.safeParse({ title: 'Diuna', media_type: 'book', start_date: '2009-12-31' }).success).toBe(false);
+            expect(schemas.entry.safeParse({ title: 'Diuna', media_type: 'comic', start_date: '2020-06-01' }).success).toBe(false);
+            expect(schemas.entry.safeParse({ title: 'Diuna', media_type: 'book', start_date: '2020-06-01', rating: 7.5 }).success).toBe(false);
+            expect(schemas.entry.safeParse({ title: 'Diuna', media_type: 'book', start_date: '2020-02-30' }).success).toBe(false);
+        });
+    });
+
+    describe('Date Limits', () => {
+        const old = { title: 'Lalka', media_type: 'book', start_date: '2001-01-01', end_date: '2003-06-30' };
+
+        it('should reject old start dates and long durations by default', async () => {
+            const response = await api.post('/api/v1/media').send(old);
+            expect(response.status).toBe(400);
+            expect(response.body.errors.map(e => e.msg)).toEqual([
+                'Start date must be within the last 10 years',
+                'Duration cannot exceed 365 days'
+            ]);
+        });
+
+        it('should accept historical entries with allowHistorical=true', async () => {
+            const response = await api.post('/api/v1/media?allowHistorical=true').send(old);
+            expect(response.status).toBe(201);
+
+            const ahead = await api
+                .post('/api/v1/media?allowHistorical=true')
+                .send({ title: 'Lalka', media_type: 'book', start_date: '2099-01-01' });
+            expect(ahead.status).toBe(400);
+            expect(ahead.body.error).toBe('Start date must be at most 1 year ahead');
+        });
+
+        it('should apply the override to bulk inserts and imports', async () => {
+            const bulk = await api
+                .post('/api/media/bulk?allowHistorical=true')
+                .send({ items: [old, { ...old, end_date: '2000-12-31' }] });
+            expect(bulk.status).toBe(207);
+            expect(bulk.body.results.success).toHaveLength(1);
+            expect(bulk.body.results.failed).toEqual([
+                expect.objectContaining({ index: 1, error: 'End date must be after or equal to start date' })
+            ]);
+
+            const csv = 'title,media_type,start_date,end_date\nPotop,book,2002-01-01,2004-01-01';
+            const mapping = { title: 'title', media_type: 'media_type', start_date: 'start_date', end_date: 'end_date' };
+            const preview = await api.post('/api/v1/import/csv').send({ csv, mapping });
+            expect(preview.body.results.failed[0].error).toContain('Start date must be within the last 10 years');
+
+            const historical = await api
+                .post('/api/v1/import/csv?allowHistorical=true')
+                .send({ csv, mapping, commit: true });
+            expect(historical.status).toBe(201);
+            expect(historical.body.results.success).toHaveLength(1);
+        });
+
+        it('should build schemas with custom limits', () => {
+            const schemas = createMediaSchemas({
+                mediaTypes: ['book'],
+                ratingScale: 5,
+                ratingStep: 0.5,
+                limits: { maxYearsAgo: 2, maxYearsAhead: 0, maxDurationDays: 30 },
+                today: new Date(2020, 0, 1)
+            });
+            const parse = (start_date, end_date) =>
+                schemas.entry.safeParse({ title: 'Lalka', media_type: 'book', start_date, end_date });
+
+            expect(parse('2017-12-31').error.issues[0].message).toBe('Start date must be within the last 2 years');
+            expect(parse('2018-01-01').success).toBe(true);
+            expect(parse('2030-01-01').success).toBe(true);
+            expect(parse('2019-01-01', '2019-02-01').error.issues[0].message).toBe('Duration cannot exceed 30 days');
+        });
+    });
+
+    describe('Raw Text', () => {
+        const entry = {
+            title: 'Tom & Jerry',
+            author: "O'Brien",
+            media_type: 'cartoon',
+            start_date: '2025-01-01',
+            tags: 'r&d',
+            notes: '<b>1/2</b>'
+        };
+
+        it('should store text as entered on every route', async () => {
+            const v1 = await api.post('/api/v1/media').send(entry);
+            const legacy = await api.post('/api/media').send({ ...entry, start_date: '2025-02-01' });
+            expect(v1.status).toBe(201);
+            expect(legacy.status).toBe(201);
+
+            const media = await api.get('/api/v1/media?year=2025');
+            expect(media.body.map(e => [e.title, e.author, e.tags, e.notes])).toEqual([
+                ['Tom & Jerry', "O'Brien", 'r&d', '<b>1/2</b>'],
+                ['Tom & Jerry', "O'Brien", 'r&d', '<b>1/2</b>']
+            ]);
+            // Both entries share one title and one tag
+            expect(await db.get('SELECT COUNT(*) AS count FROM media_titles')).toEqual({ count: 1 });
+            expect(await db.get('SELECT COUNT(*) AS count FROM tags')).toEqual({ count: 1 });
+
+            const goal = await api
+                .post('/api/v1/goals')
+                .send({ tag: 'r&d', period: 'year', year: 2025, target: 2 });
+            const response = await api.get(`/api/v1/goals/${goal.body.id}`);
+            expect(response.body.tag).toBe('r&d');
+        });
+
+        it('should decode escaped text in backups from older schema versions', async () => {
+            await api.post('/api/v1/media').send(entry);
+            const backup = JSON.parse((await api.get('/api/v1/backup')).text);
+            backup.schema_version = 11;
+            backup.media_titles[0].title = 'Tom &amp; Jerry';
+            backup.media_entries[0].notes = '&lt;b&gt;1&#x2F;2&lt;&#x2F;b&gt;';
+            backup.tags[0].name = 'r&amp;d';
+
+            const response = await api.post('/api/v1/restore?mode=replace').send(backup);
+            expect(response.status).toBe(200);
+
+            const media = await api.get('/api/v1/media?year=2025');
+            expect(media.body[0]).toMatchObject({ title: 'Tom & Jerry', tags: 'r&d', notes: '<b>1/2</b>' });
+        });
+    });
+
+    describe('Users', () => {
+        const dune = { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2025-01-01', tags: 'scifi' };
+
+        // A new account, logged in with its own agent
+        const addUser = async (username) => {
+            const created = await api.post('/api/v1/users').send({ username, password: 'other-password' });
+            expect(created.status).toBe(201);
+            const agent = request.agent(app);
+            const login = await agent.post('/api/v1/auth/login').send({ username, password: 'other-password' });
+            expect(login.status).toBe(200);
+            return agent;
+        };
+
+        afterEach(async () => {
+            await db.run("DELETE FROM users WHERE username != 'tester'");
+            await db.run('DELETE FROM sessions WHERE user_id NOT IN (SELECT id FROM users)');
+        });
+
+        it('should require a login for the API and the page', async () => {
+            const media = await request(app).get('/api/v1/media');
+            expect(media.status).toBe(401);
+            expect((await request(app).get('/api/media')).status).toBe(401);
+
+            const page = await request(app).get('/');
+            expect(page.status).toBe(302);
+            expect(page.headers.location).toBe('/login');
+            const login = await request(app).get('/login');
+            expect(login.status).toBe(200);
+            expect(login.text).toContain('/api/v1/auth/login');
+        });
+
+        it('should log in, report the user and log out', async () => {
+            const agent = request.agent(app);
+            const wrong = await agent.post('/api/v1/auth/login').send({ username: 'tester', password: 'wrong-password' });
+            expect(wrong.status).toBe(401);
+
+            const login = await agent.post('/api/v1/auth/login').send({ username: 'TESTER', password: 'test-password' });
+            expect(login.status).toBe(200);
+            expect(login.headers['set-cookie'][0]).toMatch(/^medialog_session=.+; .*HttpOnly/);
+            expect((await agent.get('/api/v1/auth/me')).body).toMatchObject({ username: 'tester' });
+
+            // Only a hash of the session token is stored
+            const token = login.headers['set-cookie'][0].split(';')[0].split('=')[1];
+            expect(await db.get('SELECT id FROM sessions WHERE id = ?', [token])).toBeUndefined();
+
+            expect((await agent.post('/api/v1/auth/logout')).status).toBe(200);
+            expect((await agent.get('/api/v1/auth/me')).status).toBe(401);
+        });
+
+        it('should close setup once a password is set', async () => {
+            const setup = await request(app)
+                .post('/api/v1/auth/setup')
+                .send({ username: 'intruder', password: 'intruder-password' });
+            expect(setup.status).toBe(409);
+        });
+
+        it('should validate and reject taken usernames', async () => {
+            const short = await api.post('/api/v1/users').send({ username: 'anna', password: 'short' });
+            expect(short.status).toBe(400);
+            const spaces = await api.post('/api/v1/users').send({ username: 'a b', password: 'long-enough' });
+            expect(spaces.status).toBe(400);
+            const taken = await api.post('/api/v1/users').send({ username: 'Tester', password: 'long-enough' });
+            expect(taken.status).toBe(409);
+        });
+
+        it('should let only administrators list and add accounts', async () => {
+            const anna = await addUser('anna');
+
+            const list = await anna.get('/api/v1/users');
+            expect(list.status).toBe(403);
+            expect(list.body.error).toBe('Only an administrator can do this');
+            const created = await anna.post('/api/v1/users').send({ username: 'ewa', password: 'other-password' });
+            expect(created.status).toBe(403);
+            expect((await api.get('/api/v1/users')).body.map(u => u.username)).toEqual(['anna', 'tester']);
+        });
+
+        it('should let only administrators change media types', async () => {
+            const concert = { key: 'concert', label: 'Koncert', colour: '#A855F7', calendar_group: 'watch' };
+            expect((await api.get('/api/v1/auth/me')).body).toMatchObject({ username: 'tester', is_admin: true });
+
+            const anna = await addUser('anna');
+            expect((await anna.get('/api/v1/auth/me')).body).toMatchObject({ is_admin: false });
+            expect((await anna.get('/api/v1/media-types')).status).toBe(200);
+            const created = await anna.post('/api/v1/media-types').send(concert);
+            expect(created.status).toBe(403);
+            expect((await anna.put('/api/v1/media-types/book').send({ label: 'X' })).status).toBe(403);
+            expect((await anna.delete('/api/v1/media-types/game')).status).toBe(403);
+            expect((await api.get('/api/v1/media-types/concert')).status).toBe(404);
+
+            await db.run("UPDATE users SET is_admin = 1 WHERE username = 'anna'");
+            expect((await anna.post('/api/v1/media-types').send(concert)).status).toBe(201);
+            expect((await anna.delete('/api/v1/media-types/concert')).status).toBe(200);
+        });
+
+        it('should keep each user\'s media, tags and goals apart', async () => {
+            const anna = await addUser('anna');
+            const own = await api.post('/api/v1/media').send(dune);
+            const theirs = await anna.post('/api/v1/media').send({ ...dune, tags: 'classics' });
+            expect(theirs.status).toBe(201);
+            expect(theirs.body.media_title_id).not.toBe(own.body.media_title_id);
+            await anna.post('/api/v1/goals').send({ period: 'year', year: 2025, target: 5 });
+
+            const media = await api.get('/api/v1/media?year=2025');
+            expect(media.body.map(e => [e.id, e.tags])).toEqual([[own.body.id, 'scifi']]);
+            expect((await api.get('/api/v1/tags')).body.map(t => t.name)).toEqual(['scifi']);
+            expect((await anna.get('/api/v1/tags')).body.map(t => t.name)).toEqual(['classics']);
+            expect((await api.get('/api/v1/goals')).body).toEqual([]);
+            expect((await api.get('/api/v1/search?q=dune')).body).toHaveLength(1);
+            expect((await api.get('/api/v1/stats?year=2025')).body.totals.count).toBe(1);
+
+            // Another user's entries and titles are not found
+            expect((await anna.put(`/api/v1/media/${own.body.id}`).send(dune)).status).toBe(404);
+            expect((await anna.delete(`/api/v1/media/${own.body.id}`)).status).toBe(404);
+            expect((await anna.get(`/api/v1/media/${own.body.id}/history`)).status).toBe(404);
+            expect((await anna.get(`/api/v1/titles/${own.body.media_title_id}`)).status).toBe(404);
+            expect((await api.get('/api/v1/users')).body.map(u => u.username)).toEqual(['anna', 'tester']);
+        });
+
+        it('should back up and restore only the user\'s data', async () => {
+            const anna = await addUser('anna');
+            await api.post('/api/v1/media').send(dune);
+            await anna.post('/api/v1/media').send({ ...dune, title: 'Emma' });
+
+            const backup = JSON.parse((await api.get('/api/v1/backup')).text);
+            expect(backup.media_titles.map(t => t.title)).toEqual(['Dune']);
+
+            // Restoring is up to administrators
+            expect((await anna.post('/api/v1/restore?mode=replace').send(backup)).status).toBe(403);
+            await db.run("UPDATE users SET is_admin = 1 WHERE username = 'anna'");
+
+            // Restored into another account, the rows get free ids
+            const restored = await anna.post('/api/v1/restore?mode=replace').send(backup);
+            expect(restored.status).toBe(200);
+            const annas = await anna.get('/api/v1/media?year=2025');
+            expect(annas.body.map(e => [e.title, e.tags])).toEqual([['Dune', 'scifi']]);
+            expect((await api.get('/api/v1/media?year=2025')).body).toHaveLength(1);
+        });
+
+        it('should change the password with the current one', async () => {
+            const anna = await addUser('anna');
+            const other = request.agent(app);
+            await other.post('/api/v1/auth/login').send({ username: 'anna', password: 'other-password' });
+
+            const wrong = await anna
+                .put('/api/v1/users/me/password')
+                .send({ current_password: 'nope', password: 'changed-password' });
+            expect(wrong.status).toBe(403);
+
+            const changed = await anna
+                .put('/api/v1/users/me/password')
+                .send({ current_password: 'other-password', password: 'changed-password' });
+            expect(changed.status).toBe(200);
+
+            // Other sessions end, this one stays
+            expect((await other.get('/api/v1/auth/me')).status).toBe(401);
+            expect((await anna.get('/api/v1/auth/me')).status).toBe(200);
+            const login = await request(app)
+                .post('/api/v1/auth/login')
+                .send({ username: 'anna', password: 'changed-password' });
+            expect(login.status).toBe(200);
+        });
+
+        it('should show the current user and the switcher on the page', async () => {
+            await addUser('anna');
+            const page = await api.get('/');
+            expect(page.text).toContain('<option value="tester" selected>tester</option>');
+            expect(page.text).toContain('<option value="anna" >anna</option>');
+
+            const switcher = await api.get('/login?username=anna');
+            expect(switcher.status).toBe(200);
+            expect(switcher.text).toContain('value="anna"');
+        });
+    });
+
+    describe('API Tokens', () => {
+        const dune = { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2025-01-01' };
+
+        const createToken = async (scopes) => {
+            const response = await api.post('/api/v1/tokens').send({ name: `${scopes[0]} script`, scopes });
+            expect(response.status).toBe(201);
+            return response.body;
+        };
+
+        afterEach(async () => {
+            await db.run('DELETE FROM api_tokens');
+        });
+
+        it('should create a token shown once and store only its hash', async () => {
+            const created = await createToken(['read', 'read']);
+            expect(created.token).toMatch(/^mlg_/);
+            expect(created.scopes).toEqual(['read']);
+
+            const row = await db.get('SELECT token_hash FROM api_tokens WHERE id = ?', [created.id]);
+            expect(row.token_hash).not.toBe(created.token);
+            expect(row.token_hash).not.toContain(created.token);
+
+            const list = await api.get('/api/v1/tokens');
+            expect(list.status).toBe(200);
+            expect(list.body).toHaveLength(1);
+            expect(list.body[0]).toMatchObject({ id: created.id, name: 'read script', scopes: ['read'] });
+            expect(list.body[0]).not.toHaveProperty('token');
+            expect(list.body[0]).not.toHaveProperty('token_hash');
+        });
+
+        it('should validate new tokens', async () => {
+            const response = await api.post('/api/v1/tokens').send({ name: '', scopes: ['delete'] });
+            expect(response.status).toBe(400);
+            const paths = response.body.errors.map(e => e.path);
+            expect(paths).toContain('name');
+            expect(paths).toContain('scopes[0]');
+
+            expect((await api.post('/api/v1/tokens').send({ name: 'x', scopes: [] })).status).toBe(400);
+        });
+
+        it('should let a read token read but not write', async () => {
+            const { token } = await createToken(['read']);
+            const auth = { Authorization: `Bearer ${token}` };
+
+            const list = await request(app).get('/api/v1/media').set(auth);
+            expect(list.status).toBe(200);
+
+            const created = await request(app).post('/api/v1/media').set(auth).send(dune);
+            expect(created.status).toBe(403);
+            expect(created.body.error).toContain('write');
+
+            const row = await db.get('SELECT last_used_at FROM api_tokens');
+            expect(row.last_used_at).not.toBeNull();
+        });
+
+        it('should let a write token add entries for its user', async () => {
+            const { token } = await createToken(['write']);
+
+            const created = await request(app).post('/api/v1/media').set('Authorization', `Bearer ${token}`).send(dune);
+            expect(created.status).toBe(201);
+
+            const own = await api.get(`/api/v1/titles/${created.body.media_title_id}`);
+            expect(own.status).toBe(200);
+            expect(own.body.title).toBe('Dune');
+            await api.delete(`/api/v1/media/${created.body.id}`);
+        });
+
+        it('should need the admin scope to manage tokens and accounts', async () => {
+            const { token } = await createToken(['write']);
+            const auth = { Authorization: `Bearer ${token}` };
+
+            expect((await request(app).get('/api/v1/tokens').set(auth)).status).toBe(403);
+            expect((await request(app).post('/api/v1/tokens').set(auth).send({ name: 'x', scopes: ['admin'] })).status).toBe(403);
+            expect((await request(app).post('/api/v1/users').set(auth).send({ username: 'anna', password: 'other-password' })).status).toBe(403);
+
+            const admin = await createToken(['admin']);
+            const list = await request(app).get('/api/v1/tokens').set('Authorization', `Bearer ${admin.token}`);
+            expect(list.status).toBe(200);
+            expect(list.body).toHaveLength(2);
+        });
+
+        it('should reject unknown, malformed and revoked tokens', async () => {
+            const invalid = await request(app).get('/api/v1/media').set('Authorization', 'Bearer mlg_nope');
+            expect(invalid.status).toBe(401);
+            expect(invalid.body.error).toBe('Invalid API token');
+
+            const basic = await request(app).get('/api/v1/media').set('Authorization', 'Basic dGVzdGVyOng=');
+            expect(basic.status).toBe(401);
+
+            const { id, token } = await createToken(['read']);
+            expect((await request(app).get('/api/v1/media').set('Authorization', `Bearer ${token}`)).status).toBe(200);
+
+            const revoked = await api.delete(`/api/v1/tokens/${id}`);
+            expect(revoked.status).toBe(200);
+            expect((await request(app).get('/api/v1/media').set('Authorization', `Bearer ${token}`)).status).toBe(401);
+            expect((await api.delete(`/api/v1/tokens/${id}`)).status).toBe(404);
+        });
+
+        it('should count requests per token for rate limiting', async () => {
+            const first = await createToken(['read']);
+            const second = await createToken(['read']);
+            const remaining = async (token) => {
+                const response = await request(app).get('/api/v1/media').set('Authorization', `Bearer ${token}`);
+                return Number(response.headers['ratelimit-remaining']);
+            };
+
+            const before = await remaining(first.token);
+            expect(await remaining(first.token)).toBe(before - 1);
+            expect(await remaining(first.token)).toBe(before - 2);
+
+            // A fresh token starts with its own allowance
+            expect(await remaining(second.token)).toBeGreaterThan(before - 1);
+        });
+    });
+
+    describe('Shares', () => {
+        beforeEach(async () => {
+            await api.post('/api/v1/media/bulk').send({
+                items: [
+                    { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', start_date: '2025-03-01', end_date: '2025-03-10', tags: 'fantasy', notes: 'Sekretna notatka', rating: 5 },
+                    { title: 'Frieren', media_type: 'anime', start_date: '2025-04-01', end_date: '2025-04-03', tags: 'fantasy' },
+                    { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2024-05-01', end_date: '2024-06-01', tags: 'scifi' }
+                ]
+            });
+        });
+
+        afterEach(async () => {
+            await db.run('DELETE FROM shares');
+        });
+
+        const createShare = async (share) => {
+            const response = await api.post('/api/v1/shares').send(share);
+            expect(response.status).toBe(201);
+            expect(response.body.url).toMatch(new RegExp(`/share/${response.body.slug}$`));
+            return response.body;
+        };
+
+        it('should render a public year in review without the notes', async () => {
+            const { slug } = await createShare({ kind: 'year', year: 2025 });
+            expect(slug.length).toBeGreaterThanOrEqual(32);
+
+            const page = await request(app).get(`/share/${slug}`);
+            expect(page.status).toBe(200);
+            expect(page.text).toContain('2025 w mediach');
+            expect(page.text).toContain('tester');
+            expect(page.text).toContain('Wiedźmin - Andrzej Sapkowski');
+            expect(page.text).toContain('Frieren');
+            expect(page.text).not.toContain('Dune');
+            expect(page.text).toContain('Najczęstsze tagi');
+            expect(page.text).toContain('class="day has-media"');
+            expect(page.text).not.toContain('Sekretna notatka');
+            expect(page.text).not.toContain('data-action');
+        });
+
+        it('should show notes only when the share allows them', async () => {
+            const { slug } = await createShare({ kind: 'year', year: 2025, show_notes: true });
+
+            const page = await request(app).get(`/share/${slug}`);
+            expect(page.text).toContain('Sekretna notatka');
+        });
+
+        it('should share a list by tag or media type', async () => {
+            const byTag = await createShare({ kind: 'list', tag: 'Fantasy' });
+            const tagPage = await request(app).get(`/share/${byTag.slug}`);
+            expect(tagPage.status).toBe(200);
+            expect(tagPage.text).toContain('Wiedźmin');
+            expect(tagPage.text).toContain('Frieren');
+            expect(tagPage.text).not.toContain('Dune');
+
+            const byType = await createShare({ kind: 'list', media_type: 'book' });
+            const typePage = await request(app).get(`/share/${byType.slug}`);
+            expect(typePage.text).toContain('Wiedźmin');
+            expect(typePage.text).toContain('Dune');
+            expect(typePage.text).not.toContain('Frieren');
+
+            const list = await api.get('/api/v1/shares');
+            expect(list.status).toBe(200);
+            expect(list.body.map(share => share.tag)).toEqual(['fantasy', null]);
+            expect(list.body[1]).toMatchObject({ kind: 'list', media_type: 'book', show_notes: false });
+        });
+
+        it('should validate new shares', async () => {
+            const response = await api.post('/api/v1/shares').send({ kind: 'list' });
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('A shared list must have a media type, a tag, or both');
+
+            expect((await api.post('/api/v1/shares').send({ kind: 'profile' })).status).toBe(400);
+            expect((await api.post('/api/v1/shares').send({ kind: 'list', media_type: 'scroll' })).status).toBe(400);
+        });
+
+        it('should stop serving a revoked share and offer no write routes', async () => {
+            const { id, slug } = await createShare({ kind: 'year', year: 2025 });
+
+            expect((await request(app).post(`/share/${slug}`).send({ title: 'x' })).status).toBe(404);
+            expect((await request(app).delete(`/share/${slug}`)).status).toBe(404);
+
+            const revoked = await api.delete(`/api/v1/shares/${id}`);
+            expect(revoked.status).toBe(200);
+            expect((await request(app).get(`/share/${slug}`)).status).toBe(404);
+            expect((await api.delete(`/api/v1/shares/${id}`)).status).toBe(404);
+            expect((await request(app).get('/share/unknown')).status).toBe(404);
+        });
+    });
+
+    describe('GET /api/v1/calendar.ics', () => {
+        beforeEach(async () => {
+            await api.post('/api/v1/media/bulk').send({
+                items: [
+                    { title: 'Wiedźmin', author: 'Andrzej Sapkowski', media_type: 'book', volume_episode: 'Tom 1', start_date: '2025-03-01', end_date: '2025-03-10', tags: 'fantasy, polish' },
+                    { title: 'Frieren; Beyond, Journey', media_type: 'anime', start_date: '2025-04-01', tags: 'fantasy' },
+                    { title: 'Dune', author: 'Frank Herbert', media_type: 'book', start_date: '2024-05-01', end_date: '2024-06-01' }
+                ]
+            });
+            await api.post('/api/v1/backlog').send({ title: 'Diuna Mesjasz', media_type: 'book' });
+        });
+
+        afterEach(async () => {
+            await db.run('DELETE FROM api_tokens');
+        });
+
+        const events = (text) => text.split('BEGIN:VEVENT').slice(1);
+
+        it('should emit each dated entry as an all-day event', async () => {
+            const response = await api.get('/api/v1/calendar.ics');
+            expect(response.status).toBe(200);
+            expect(response.headers['content-type']).toMatch(/^text\/calendar/);
+            expect(response.text).toMatch(/^BEGIN:VCALENDAR\r\nVERSION:2\.0\r\n/);
+            expect(response.text).toMatch(/END:VCALENDAR\r\n$/);
+            expect(response.text).toContain('X-WR-CALNAME:Media Log - tester');
+            expect(response.text).not.toContain('Diuna Mesjasz');
+
+            const [dune, wiedzmin, frieren] = events(response.text);
+            expect(events(response.text)).toHaveLength(3);
+            expect(dune).toContain('DTSTART;VALUE=DATE:20240501\r\n');
+            expect(dune).toContain('DTEND;VALUE=DATE:20240602\r\n');
+            expect(wiedzmin).toContain('SUMMARY:Wiedźmin - Andrzej Sapkowski (Tom 1)\r\n');
+            expect(wiedzmin).toContain('CATEGORIES:Książka,fantasy,polish\r\n');
+            expect(wiedzmin).toContain('DTEND;VALUE=DATE:20250311\r\n');
+            expect(wiedzmin).toMatch(/UID:media-\d+@/);
+
+            // Still in progress: a single day at the start, with escaped text
+            expect(frieren).toContain('DTSTART;VALUE=DATE:20250401\r\n');
+            expect(frieren).not.toContain('DTEND');
+            expect(frieren).toContain('SUMMARY:Frieren\\; Beyond\\, Journey\r\n');
+        });
+
+        it('should filter by media type and tag', async () => {
+            const books = await api.get('/api/v1/calendar.ics?media_type=book');
+            expect(events(books.text)).toHaveLength(2);
+            expect(books.text).not.toContain('Frieren');
+
+            const fantasy = await api.get('/api/v1/calendar.ics?tag=fantasy');
+            expect(events(fantasy.text)).toHaveLength(2);
+            expect(fantasy.text).not.toContain('Dune');
+
+            const both = await api.get('/api/v1/calendar.ics?media_type=anime&tag=Fantasy');
+            expect(events(both.text)).toHaveLength(1);
+
+            expect((await api.get('/api/v1/calendar.ics?media_type=scroll')).status).toBe(400);
+        });
+
+        it('should accept an API token in the query for subscriptions', async () => {
+            const created = await api.post('/api/v1/tokens').send({ name: 'calendar', scopes: ['read'] });
+
+            const feed = await request(app).get(`/api/v1/calendar.ics?token=${created.body.token}`);
+            expect(feed.status).toBe(200);
+            expect(events(feed.text)).toHaveLength(3);
+
+            expect((await request(app).get('/api/v1/calendar.ics?token=mlg_nope')).status).toBe(401);
+            expect((await request(app).get('/api/v1/calendar.ics')).status).toBe(401);
+            // Only the feed takes a token from the query
+            expect((await request(app).get(`/api/v1/media?token=${created.body.token}`)).status).toBe(401);
+        });
+
+        it('should stamp entries without timestamps with their creation time or now', async () => {
+            await db.run(`
+                UPDATE media_entries SET updated_at = NULL,
+                    created_at = CASE WHEN start_date = '2024-05-01' THEN '2024-06-01 12:30:00' ELSE NULL END
+            `);
+
+            const response = await api.get('/api/v1/calendar.ics');
+            expect(response.status).toBe(200);
+            const [dune, wiedzmin] = events(response.text);
+            expect(dune).toContain('DTSTAMP:20240601T123000Z\r\n');
+            expect(wiedzmin).toMatch(/DTSTAMP:\d{8}T\d{6}Z\r\n/);
+        });
+
+        it('should fold long lines at 75 octets', async () => {
+            const title = 'Ż'.repeat(100);
+            await api.post('/api/v1/media').send({ title, media_type: 'book', start_date: '2025-05-01' });
+
+            const response = await api.get('/api/v1/calendar.ics');
+            const lines = response.text.split('\r\n');
+            expect(lines.every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+            expect(response.text.replace(/\r\n /g, '')).toContain(`SUMMARY:${title}\r\n`);
+        });
+    });
 });
@@ -0,0 +1,2 @@
+// The suite sends far more requests than one client would in 15 minutes
+process.env.RATE_LIMIT_MAX_REQUESTS ??= '100000';
@@ -0,0 +1,108 @@
+/**
+ * Import CLI for Goodreads and Letterboxd exports
+ *
+ * Usage:
+ *   npm run import -- goodreads <goodreads_library_export.csv> [--dry-run]
+ *   npm run import -- letterboxd <diary.csv> [--dry-run]
+ *
+ * Rows go to the only user, or to the one named with --user=<username>.
+ * --allow-historical lifts the limits on how far back and how long entries
+ * may be, as ?allowHistorical=true does for the API.
+ */
+
+import fs from 'fs/promises';
+import logger from '../src/utils/logger.js';
+import { IMPORTERS, parseServiceExport } from '../src/importers/index.js';
+import { initDb, importMediaItems } from '../server.js';
+import { findUser, listUsers } from '../src/db/users.js';
+
+function parseArgs(argv) {
+  const positional = argv.filter((arg) => !arg.startsWith('--'));
+  const flags = argv.filter((arg) => arg.startsWith('--'));
+
+  let username;
+  for (const flag of flags) {
+    if (flag.startsWith('--user=')) {
+      username = flag.slice('--user='.length);
+    } else if (flag !== '--dry-run' && flag !== '--allow-historical') {
+      throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+
+  const [source, file] = positional;
+  if (!IMPORTERS[source] || !file) {
+    throw new Error(
+      `Usage: npm run import -- <${Object.keys(IMPORTERS).join('|')}> <file.csv> [--user=<username>] [--dry-run] [--allow-historical]`
+    );
+  }
+
+  return {
+    source,
+    file,
+    username,
+    dryRun: flags.includes('--dry-run'),
+    allowHistorical: flags.includes('--allow-historical'),
+  };
+}
+
+async function resolveUser(db, username) {
+  if (username) {
+    const user = await findUser(db, username);
+    if (!user) {
+      throw new Error(`Unknown user: ${username}`);
+    }
+    return user;
+  }
+
+  const users = await listUsers(db);
+  if (users.length !== 1) {
+    throw new Error(
+      'There are several users; choose one with --user=<username>'
+    );
+  }
+  return users[0];
+}
+
+function printResults(results, dryRun) {
+  const lines = [
+    `${dryRun ? 'Would import' : 'Imported'}: ${results.success.length}/${results.total}`,
+    ...results.failed.map(
+      ({ index, title, error }) =>
+        `  row ${index + 1} failed (${title}): ${error}`
+    ),
+    ...results.skipped.map(
+      ({ index, title, reason }) =>
+        `  row ${index + 1} skipped (${title}): ${reason}`
+    ),
+    `Skipped: ${results.skipped.length}, failed: ${results.failed.length}`,
+  ];
+  process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+async function main() {
+  const { source, file, username, dryRun, allowHistorical } = parseArgs(
+    process.argv.slice(2)
+  );
+
+  const text = await fs.readFile(file, 'utf8');
+  const { rows, skipped } = parseServiceExport(source, text);
+
+  const db = await initDb();
+  try {
+    const user = await resolveUser(db, username);
+    const results = await importMediaItems(user.id, rows, {
+      skipped,
+      commit: !dryRun,
+      skipDuplicates: true,
+      allowHistorical,
+    });
+    printResults(results, dryRun);
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  logger.error('Import failed:', error);
+  process.exit(1);
+});
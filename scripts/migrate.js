@@ -0,0 +1,83 @@
+/**
+ * Migration CLI
+ *
+ * Usage:
+ *   npm run migrate [-- --dry-run] [-- --to=<version>]
+ *   npm run migrate:status
+ *   npm run migrate:down [-- --steps=<n>] [-- --dry-run]
+ */
+
+import sqlite3 from 'sqlite3';
+import { open } from 'sqlite';
+import env from '../src/config/env.js';
+import logger from '../src/utils/logger.js';
+import { migrations } from '../src/db/migrations.js';
+import {
+  migrateUp,
+  migrateDown,
+  getMigrationStatus,
+} from '../src/db/migrator.js';
+
+function parseArgs(argv) {
+  const [command = 'up', ...rest] = argv;
+  const options = { dryRun: false };
+
+  for (const arg of rest) {
+    const [flag, value] = arg.split('=');
+    if (flag === '--dry-run') {
+      options.dryRun = true;
+    } else if (flag === '--steps') {
+      options.steps = parseInt(value, 10);
+    } else if (flag === '--to') {
+      options.to = parseInt(value, 10);
+    } else {
+      throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+
+  if (Number.isNaN(options.steps) || Number.isNaN(options.to)) {
+    throw new Error('--steps and --to expect a number, e.g. --steps=2');
+  }
+
+  return { command, options };
+}
+
+function printStatus(status) {
+  const lines = status.map(({ version, name, applied, applied_at }) => {
+    const state = applied ? `applied ${applied_at}` : 'pending';
+    return `${String(version).padStart(3, '0')}  ${name.padEnd(30)} ${state}`;
+  });
+  process.stdout.write(`${lines.join('\n')}\n`);
+}
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+
+  const db = await open({
+    filename: env.DATABASE,
+    driver: sqlite3.Database,
+  });
+
+  try {
+    switch (command) {
+      case 'up':
+        await migrateUp(db, migrations, options);
+        break;
+      case 'down':
+        await migrateDown(db, migrations, options);
+        break;
+      case 'status':
+        printStatus(await getMigrationStatus(db, migrations));
+        break;
+      default:
+        throw new Error(`Unknown command: ${command} (use up, down or status)`);
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  logger.error('Migration command failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,99 @@
+/**
+ * User accounts CLI
+ *
+ * Usage:
+ *   npm run users -- list
+ *   npm run users -- add <username>      (password read from stdin)
+ *   npm run users -- passwd <username>   (password read from stdin)
+ *   npm run users -- grant-admin <username>
+ *   npm run users -- revoke-admin <username>
+ *
+ * e.g. `echo 'new password' | npm run users -- passwd anna` to reset a
+ * forgotten password; it also ends the user's sessions. Administrators
+ * may change media types, which all users share.
+ */
+
+import logger from '../src/utils/logger.js';
+import { initDb } from '../server.js';
+import {
+  listUsers,
+  findUser,
+  createUser,
+  setPassword,
+  setAdmin,
+} from '../src/db/users.js';
+
+const COMMANDS = ['list', 'add', 'passwd', 'grant-admin', 'revoke-admin'];
+const USAGE = `Usage: npm run users -- <${COMMANDS.join('|')}> [username]`;
+
+async function readPassword() {
+  const chunks = [];
+  for await (const chunk of process.stdin) {
+    chunks.push(chunk);
+  }
+  const password = Buffer.concat(chunks).toString('utf8').split(/\r?\n/)[0];
+  if (password.length < 8) {
+    throw new Error('Password must be at least 8 characters (read from stdin)');
+  }
+  return password;
+}
+
+async function main() {
+  const [command, username] = process.argv.slice(2);
+  if (!COMMANDS.includes(command)) {
+    throw new Error(USAGE);
+  }
+  if (command !== 'list' && !username) {
+    throw new Error(USAGE);
+  }
+
+  const db = await initDb();
+  try {
+    if (command === 'list') {
+      const users = await listUsers(db);
+      process.stdout.write(
+        `${users
+          .map(
+            (user) =>
+              `${user.id}  ${user.username}${user.is_admin ? '  (admin)' : ''}`
+          )
+          .join('\n')}\n`
+      );
+      return;
+    }
+
+    const existing = await findUser(db, username);
+    if (command === 'add') {
+      if (existing) {
+        throw new Error(`User ${username} already exists`);
+      }
+      const id = await createUser(db, {
+        username,
+        password: await readPassword(),
+      });
+      process.stdout.write(`Added user ${username} (ID: ${id})\n`);
+      return;
+    }
+
+    if (!existing) {
+      throw new Error(`Unknown user: ${username}`);
+    }
+    if (command === 'passwd') {
+      await setPassword(db, existing.id, await readPassword());
+      process.stdout.write(`Changed the password of ${username}\n`);
+    } else {
+      const isAdmin = command === 'grant-admin';
+      await setAdmin(db, existing.id, isAdmin);
+      process.stdout.write(
+        `${username} ${isAdmin ? 'is now' : 'is no longer'} an administrator\n`
+      );
+    }
+  } finally {
+    await db.close();
+  }
+}
+
+main().catch((error) => {
+  logger.error('Users command failed:', error);
+  process.exit(1);
+});
@@ -6,15 +6,151 @@ import { open } from 'sqlite';
 import helmet from 'helmet';
 import env from './src/config/env.js';
 import logger from './src/utils/logger.js';
-import { apiLimiter, writeApiLimiter } from './src/middleware/rateLimiter.js';
+import {
+  apiLimiter,
+  writeApiLimiter,
+  loginLimiter,
+} from './src/middleware/rateLimiter.js';
+import {
+  sessionAuth,
+  sessionToken,
+  bearerAuth,
+  queryTokenAuth,
+  requireUser,
+  requireMethodScope,
+  requireScope,
+  requireAdmin,
+  setSessionCookie,
+  clearSessionCookie,
+} from './src/middleware/auth.js';
 import {
   validateMediaCreation,
   validateMediaUpdate,
   validateMediaDeletion,
   validateMediaQuery,
   validateBulkMediaCreation,
+  validateSearchQuery,
+  validateTitleId,
+  validateTitleQuery,
+  validateTitleUpdate,
+  validateTitleEntryCreation,
+  validateExportQuery,
+  validateCsvImport,
+  validateServiceImport,
+  validateMediaItems,
+  validateRestore,
+  validateMediaRestore,
+  validateTrashPurge,
+  validateMediaHistory,
+  validateMediaRevert,
+  validateStatsQuery,
+  validateGoalCreation,
+  validateGoalUpdate,
+  validateGoalId,
+  validateGoalQuery,
+  validateActivityQuery,
+  validateProgressIncrement,
+  validateBacklogQuery,
+  validateBacklogCreation,
+  validateBacklogUpdate,
+  validateBacklogStart,
+  validateMediaTypeCreation,
+  validateMediaTypeUpdate,
+  validateMediaTypeKey,
+  validateLogin,
+  validateUserCreation,
+  validatePasswordChange,
+  validateTokenCreation,
+  validateTokenId,
+  validateShareCreation,
+  validateShareId,
+  validateCalendarQuery,
+  mediaSchemas,
+  allowsHistorical,
+  DATE_LIMITS,
+  parseMediaEntry,
+  sendValidationErrors,
 } from './src/middleware/validator.js';
+import { formatIssues } from './src/schemas/media.js';
 import { runMigrations } from './src/db/migrations.js';
+import { streamBackup, restoreBackup, BackupError } from './src/db/backup.js';
+import {
+  getEntrySnapshot,
+  recordChange,
+  getEntryHistory,
+  getEntryVersion,
+} from './src/db/audit.js';
+import { resolvePeriod, getStats } from './src/db/stats.js';
+import { getActivity } from './src/db/activity.js';
+import {
+  listGoals,
+  getGoal,
+  createGoal,
+  updateGoal,
+  deleteGoal,
+} from './src/db/goals.js';
+import {
+  hasFilters,
+  buildMediaFilters,
+  buildSortAndCursor,
+  encodeCursor,
+  entryDaysSql,
+  entryTagsSql,
+} from './src/db/mediaQuery.js';
+import {
+  mediaToCsv,
+  csvToMediaItems,
+  CsvImportError,
+} from './src/importers/csv.js';
+import { parseServiceExport } from './src/importers/index.js';
+import {
+  PROGRESS_FIELDS,
+  PROGRESS_TOTALS,
+  defaultProgressUnit,
+  formatProgress,
+  isProgressComplete,
+} from './src/utils/progress.js';
+import {
+  listMediaTypes,
+  loadMediaTypes,
+  getMediaType,
+  mediaTypeUsage,
+  createMediaType,
+  updateMediaType,
+  deleteMediaType,
+} from './src/db/mediaTypes.js';
+import {
+  DEFAULT_USERNAME,
+  listUsers,
+  findUser,
+  hasPasswords,
+  createUser,
+  setPassword,
+  renameUser,
+  setAdmin,
+  authenticateUser,
+  createSession,
+  deleteSession,
+  purgeExpiredSessions,
+} from './src/db/users.js';
+import { listTokens, createToken, revokeToken } from './src/db/tokens.js';
+import {
+  listShares,
+  createShare,
+  revokeShare,
+  findShare,
+  getYearInReview,
+  getSharedList,
+} from './src/db/shares.js';
+import { formatLocalDate } from './src/utils/date.js';
+import { formatCalendar, mediaEvent } from './src/utils/ical.js';
+import { entryStatus } from './src/utils/status.js';
+import {
+  RATING_SCALE,
+  RATING_STEP,
+  ratingSql,
+  toRatingPoints,
+} from './src/utils/rating.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -38,14 +174,33 @@ app.use(
 );
 
 // Standard middleware
+app.use('/api/v1/restore', express.json({ limit: '50mb' })); // Whole-database backups
 app.use(express.json({ limit: '1mb' })); // Limit payload size (increased for bulk operations)
 app.use(express.static('static'));
+
+// Modules the index page shares with the server: the media schema, the
+// helpers it imports and zod (mapped by the page's import map)
+const BROWSER_MODULES = [
+  'src/schemas/media.js',
+  'src/utils/date.js',
+  'src/utils/progress.js',
+  'src/utils/status.js',
+];
+for (const file of BROWSER_MODULES) {
+  app.get(`/${file.replace(/^src\//, '')}`, (req, res) => {
+    res.sendFile(path.join(__dirname, file));
+  });
+}
+app.use('/vendor/zod', express.static(path.join(__dirname, 'node_modules/zod')));
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'templates'));
 
 // Database initialization
 let db;
 
+// The logged-in user, if any, as req.user
+app.use(sessionAuth(() => db));
+
 async function initDb() {
   if (!db) {
     try {
@@ -54,395 +209,2018 @@ async function initDb() {
         driver: sqlite3.Database,
       });
 
-      await db.exec(`
-        CREATE TABLE IF NOT EXISTS media (
-          id INTEGER PRIMARY KEY AUTOINCREMENT,
-          title TEXT NOT NULL,
-          author TEXT,
-          media_type TEXT NOT NULL,
-          start_date TEXT NOT NULL,
-          end_date TEXT,
-          volume_episode TEXT,
-          tags TEXT,
-          notes TEXT,
-          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-        )
-      `);
-
-      // Migration: Add missing columns if they don't exist
-      const tableInfo = await db.all("PRAGMA table_info(media)");
-      const columnNames = tableInfo.map(col => col.name);
-      
-      if (!columnNames.includes('author')) {
-        await db.exec('ALTER TABLE media ADD COLUMN author TEXT');
-        logger.info('Added author column to media table');
+      // Run pending database migrations (see `npm run migrate:status`)
+      await runMigrations(db);
+      await loadMediaTypes(db);
+
+      logger.info('Database initialized successfully');
+    } catch (error) {
+      logger.error('Failed to initialize database:', error);
+      throw error;
+    }
+  }
+  return db;
+}
+
+// Resolves once the media types of the new database are loaded
+function setDb(database) {
+  db = database;
+  return loadMediaTypes(database);
+}
+
+// Helper functions for tag management
+// Tags are the user's own: a name used by another user is a different tag
+async function setMediaTags(userId, mediaId, tagNames) {
+  // Remove existing tags for this media
+  await db.run('DELETE FROM media_tags WHERE media_id = ?', [mediaId]);
+
+  const names = [
+    ...new Set(
+      (tagNames || [])
+        .map((tagName) => tagName.trim().toLowerCase())
+        .filter((tagName) => tagName.length > 0)
+    ),
+  ];
+
+  // If no tags provided, return
+  if (names.length === 0) {
+    return;
+  }
+
+  // Create missing tags and link all of them in two statements
+  const placeholders = names.map(() => '?').join(', ');
+  await db.run(
+    `INSERT OR IGNORE INTO tags (user_id, name) VALUES ${names.map(() => '(?, ?)').join(', ')}`,
+    names.flatMap((name) => [userId, name])
+  );
+  await db.run(
+    `INSERT OR IGNORE INTO media_tags (media_id, tag_id)
+     SELECT ?, id FROM tags WHERE user_id = ? AND name IN (${placeholders})`,
+    [mediaId, userId, ...names]
+  );
+}
+
+async function parseTagsInput(tagsInput) {
+  // Accept both array and string (comma-separated)
+  if (Array.isArray(tagsInput)) {
+    return tagsInput
+      .map((tag) => tag.trim().toLowerCase())
+      .filter((tag) => tag.length > 0);
+  } else if (typeof tagsInput === 'string') {
+    return tagsInput
+      .split(',')
+      .map((tag) => tag.trim().toLowerCase())
+      .filter((tag) => tag.length > 0);
+  }
+  return [];
+}
+
+// Helper functions for title / consumption entry management
+// A title (media_titles) is shared by every re-read or re-watch of the same
+// title, author and media_type; each consumption period is a media_entries row.
+// Titles belong to a user, and their entries with them.
+async function findOrCreateTitle(userId, { title, author = '', media_type }) {
+  const normalizedAuthor = author || '';
+  const existing = await db.get(
+    'SELECT id FROM media_titles WHERE user_id = ? AND title = ? AND author = ? AND media_type = ?',
+    [userId, title, normalizedAuthor, media_type]
+  );
+  if (existing) {
+    return existing.id;
+  }
+
+  const result = await db.run(
+    'INSERT INTO media_titles (user_id, title, author, media_type) VALUES (?, ?, ?, ?)',
+    [userId, title, normalizedAuthor, media_type]
+  );
+  return result.lastID;
+}
+
+// Condition on media_entries matching the entries of one user
+const OWN_ENTRY_SQL = 'media_title_id IN (SELECT id FROM media_titles WHERE user_id = ?)';
+
+async function removeOrphanTitles() {
+  await db.run(
+    'DELETE FROM media_titles WHERE id NOT IN (SELECT media_title_id FROM media_entries)'
+  );
+}
+
+// Structured progress columns (see src/utils/progress.js) for SELECT lists
+const progressColumnsSql = (alias = '') =>
+  [...PROGRESS_FIELDS, 'progress_date'].map((column) => `${alias}${column}`).join(', ');
+
+// An entry whose progress reaches a total is finished today (or on its start
+// date, if it starts in the future) unless it already has an end date
+function completedEndDate(entry) {
+  if (
+    entry.end_date ||
+    !entry.start_date ||
+    entryStatus(entry) === 'dropped' ||
+    !isProgressComplete(entry)
+  ) {
+    return entry.end_date || null;
+  }
+  const today = formatLocalDate();
+  return today < entry.start_date ? entry.start_date : today;
+}
+
+// Progress field values from a request item; missing fields are null
+const progressValues = (item) =>
+  PROGRESS_FIELDS.map((field) => item[field] ?? null);
+
+// Status columns of media_entries for SELECT lists, with the derived
+// legacy `discontinued` flag (the media view has all three)
+const statusColumnsSql = (alias = '') =>
+  `${alias}status = 'dropped' AS discontinued, ${alias}status, ${alias}priority`;
+
+// Rating (on the configured scale) and review for SELECT lists
+const ratingColumnsSql = (alias = '') =>
+  `${ratingSql(`${alias}rating`)} AS rating, ${alias}review`;
+
+// Per-title aggregates over all consumption entries
+async function getTitleSummaries(userId, { titleId, mediaType, minCount = 1 } = {}) {
+  const conditions = ['t.user_id = ?'];
+  const params = [userId];
+
+  if (titleId !== undefined) {
+    conditions.push('t.id = ?');
+    params.push(titleId);
+  }
+  if (mediaType) {
+    conditions.push('t.media_type = ?');
+    params.push(mediaType);
+  }
+
+  return db.all(
+    `SELECT t.id, t.title, t.author, t.media_type,
+            COUNT(e.id) AS total_count,
+            MIN(e.start_date) AS first_date,
+            MAX(COALESCE(e.end_date, e.start_date)) AS last_date,
+            COALESCE(SUM(${entryDaysSql('e.')}), 0) AS total_days,
+            MAX(e.status = 'dropped') AS discontinued
+     FROM media_titles t
+     INNER JOIN media_entries e ON e.media_title_id = t.id AND e.deleted_at IS NULL
+     WHERE ${conditions.join(' AND ')}
+     GROUP BY t.id
+     HAVING COUNT(e.id) >= ?
+     ORDER BY last_date DESC, t.title`,
+    [...params, minCount]
+  );
+}
+
+async function getTitleWithEntries(userId, titleId) {
+  const title = await db.get(
+    'SELECT id, title, author, media_type, created_at, updated_at FROM media_titles WHERE id = ? AND user_id = ?',
+    [titleId, userId]
+  );
+  if (!title) {
+    return null;
+  }
+
+  title.entries = await db.all(
+    `SELECT id, start_date, end_date, volume_episode, notes, ${statusColumnsSql()},
+            ${progressColumnsSql()}, ${ratingColumnsSql()},
+            ${entryDaysSql()} AS days, ${entryTagsSql('media_entries.id')} AS tags
+     FROM media_entries
+     WHERE media_title_id = ? AND deleted_at IS NULL
+     ORDER BY start_date IS NULL, start_date`,
+    [titleId]
+  );
+  return title;
+}
+
+async function addTitleEntry(userId, titleId, entry) {
+  const {
+    start_date = null, volume_episode = '', tags = '', notes = '', priority = 0, progress_date = null,
+    rating = null, review = null,
+  } = entry;
+  const end_date = completedEndDate(entry);
+
+  const result = await db.run(
+    `INSERT INTO media_entries (media_title_id, status, priority, start_date, end_date, volume_episode, notes,
+                                ${progressColumnsSql()}, rating, review)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ${PROGRESS_FIELDS.map(() => '?').join(', ')}, ?, ?, ?)`,
+    [
+      titleId, entryStatus({ ...entry, end_date }), priority, start_date || null, end_date, volume_episode, notes,
+      ...progressValues(entry), progress_date, toRatingPoints(rating), review || null,
+    ]
+  );
+
+  const tagNames = await parseTagsInput(tags);
+  await setMediaTags(userId, result.lastID, tagNames);
+
+  await recordChange(db, result.lastID, 'create', null, await getEntrySnapshot(db, result.lastID));
+
+  return result.lastID;
+}
+
+// Create a flat media item: resolve its title, then log the consumption entry
+async function createMediaEntry(userId, item) {
+  const titleId = await findOrCreateTitle(userId, item);
+  const entryId = await addTitleEntry(userId, titleId, item);
+  return { id: entryId, media_title_id: titleId };
+}
+
+/**
+ * Insert media items in one transaction. Each row carries the index it is
+ * reported under, so callers can skip rows (e.g. invalid import rows).
+ * @returns {Promise<{success: Object[], failed: Object[]}>}
+ */
+async function insertMediaItems(userId, rows) {
+  const results = { success: [], failed: [] };
+
+  // Begin transaction for atomic bulk insert
+  await db.run('BEGIN TRANSACTION');
+
+  try {
+    for (const { index, item } of rows) {
+      const {
+        title,
+        author = '',
+        media_type,
+        start_date,
+        end_date = null,
+        volume_episode = '',
+        tags = '',
+        notes = '',
+        discontinued = false,
+      } = item;
+
+      try {
+        // Insert media entry (title is shared with earlier re-reads)
+        const { id: mediaId } = await createMediaEntry(userId, {
+          title,
+          author,
+          media_type,
+          start_date,
+          end_date,
+          volume_episode,
+          tags,
+          notes,
+          discontinued,
+          status: item.status,
+          priority: item.priority,
+          ...Object.fromEntries(
+            PROGRESS_FIELDS.map((field) => [field, item[field]])
+          ),
+          rating: item.rating,
+          review: item.review,
+        });
+
+        results.success.push({ index, id: mediaId, title });
+      } catch (itemError) {
+        logger.error(`Error inserting item at index ${index}:`, itemError);
+        results.failed.push({ index, title, error: itemError.message });
       }
-      
-      if (!columnNames.includes('volume_episode')) {
-        await db.exec('ALTER TABLE media ADD COLUMN volume_episode TEXT');
-        logger.info('Added volume_episode column to media table');
+    }
+
+    // Commit transaction if all succeeded or partial success is acceptable
+    await db.run('COMMIT');
+  } catch (error) {
+    // Rollback on error
+    await db.run('ROLLBACK');
+    throw error;
+  }
+
+  return results;
+}
+
+/**
+ * Validate imported rows with the bulk insert rules, then insert the valid
+ * ones for the user unless previewing. With `skipDuplicates`, rows matching
+ * one of the user's entries (or an earlier row) on title, author and start
+ * date are skipped.
+ * With `allowHistorical`, old start dates and long durations are accepted.
+ * @returns {Promise<{success: Object[], failed: Object[], skipped: Object[], total: number}>}
+ */
+async function importMediaItems(
+  userId,
+  rows,
+  {
+    skipped = [],
+    commit = false,
+    skipDuplicates = false,
+    allowHistorical = false,
+  } = {}
+) {
+  const results = {
+    success: [],
+    failed: [],
+    skipped: [...skipped],
+    total: rows.length + skipped.length,
+  };
+
+  const errors = validateMediaItems(
+    rows.map(({ item }) => item),
+    { allowHistorical }
+  );
+  const seen = new Set();
+  const accepted = [];
+
+  for (const [position, { index, item }] of rows.entries()) {
+    if (errors.has(position)) {
+      results.failed.push({
+        index,
+        title: item.title || 'Unknown',
+        error: errors.get(position).join('; '),
+      });
+      continue;
+    }
+
+    if (skipDuplicates) {
+      const author = item.author || '';
+      const key = JSON.stringify([item.title, author, item.start_date]);
+      const existing = await db.get(
+        'SELECT id FROM media WHERE user_id = ? AND title = ? AND author = ? AND start_date = ?',
+        [userId, item.title, author, item.start_date]
+      );
+      if (existing || seen.has(key)) {
+        results.skipped.push({
+          index,
+          title: item.title,
+          reason: existing
+            ? `Duplicate of existing entry ${existing.id}`
+            : 'Duplicate of an earlier row',
+        });
+        continue;
       }
-      
-      if (!columnNames.includes('tags')) {
-        await db.exec('ALTER TABLE media ADD COLUMN tags TEXT');
-        logger.info('Added tags column to media table');
+      seen.add(key);
+    }
+
+    accepted.push({ index, item });
+  }
+
+  if (commit) {
+    const inserted = await insertMediaItems(userId, accepted);
+    results.success = inserted.success;
+    results.failed.push(...inserted.failed);
+  } else {
+    results.success = accepted.map(({ index, item }) => ({
+      index,
+      title: item.title,
+    }));
+  }
+
+  results.failed.sort((a, b) => a.index - b.index);
+  results.skipped.sort((a, b) => a.index - b.index);
+  return results;
+}
+
+// Update a flat media item. Changing title/author/type moves the entry to the
+// matching title instead of renaming the title for every other entry.
+// The change is logged under `action` ('update', or 'revert' for reverts).
+async function updateMediaEntry(userId, entryId, item, { action = 'update' } = {}) {
+  const entry = await db.get(
+    `SELECT media_title_id FROM media_entries WHERE id = ? AND deleted_at IS NULL AND ${OWN_ENTRY_SQL}`,
+    [entryId, userId]
+  );
+  if (!entry) {
+    return false;
+  }
+  const before = await getEntrySnapshot(db, entryId);
+
+  // Priority, progress, rating and review missing from the item keep their
+  // stored values, so clients unaware of them do not clear them
+  const kept = { progress_date: before.progress_date };
+  for (const field of ['priority', ...PROGRESS_FIELDS, 'rating', 'review']) {
+    kept[field] = item[field] === undefined ? before[field] : item[field];
+  }
+
+  const { start_date = null, volume_episode = '', tags = '', notes = '' } = item;
+  const end_date = completedEndDate({ ...item, ...kept });
+  const titleId = await findOrCreateTitle(userId, item);
+
+  await db.run(
+    `UPDATE media_entries SET media_title_id = ?, status = ?, priority = ?, start_date = ?, end_date = ?,
+            volume_episode = ?, notes = ?,
+            ${PROGRESS_FIELDS.map((field) => `${field} = ?`).join(', ')}, progress_date = ?,
+            rating = ?, review = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [
+      titleId, entryStatus({ ...item, end_date }), kept.priority ?? 0, start_date || null, end_date,
+      volume_episode, notes,
+      ...progressValues(kept), item.progress_date ?? kept.progress_date,
+      toRatingPoints(kept.rating), kept.review || null, entryId,
+    ]
+  );
+
+  if (titleId !== entry.media_title_id) {
+    await removeOrphanTitles();
+  }
+
+  const tagNames = await parseTagsInput(tags);
+  await setMediaTags(userId, entryId, tagNames);
+
+  await recordChange(db, entryId, action, before, await getEntrySnapshot(db, entryId));
+
+  return true;
+}
+
+// Deleting moves an entry to the trash; it stays restorable until purged
+async function deleteMediaEntry(userId, entryId) {
+  const result = await db.run(
+    `UPDATE media_entries SET deleted_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND deleted_at IS NULL AND ${OWN_ENTRY_SQL}`,
+    [entryId, userId]
+  );
+  if (result.changes === 0) {
+    return false;
+  }
+
+  await recordChange(db, entryId, 'delete', await getEntrySnapshot(db, entryId), null);
+  return true;
+}
+
+async function restoreMediaEntry(userId, entryId) {
+  const result = await db.run(
+    `UPDATE media_entries SET deleted_at = NULL
+     WHERE id = ? AND deleted_at IS NOT NULL AND ${OWN_ENTRY_SQL}`,
+    [entryId, userId]
+  );
+  if (result.changes === 0) {
+    return false;
+  }
+
+  await recordChange(db, entryId, 'restore', null, await getEntrySnapshot(db, entryId));
+  return true;
+}
+
+async function getTrash(userId) {
+  return db.all(
+    `SELECT e.id, e.media_title_id, t.title, t.author, t.media_type, e.start_date, e.end_date,
+            e.volume_episode, e.notes, ${statusColumnsSql('e.')}, ${progressColumnsSql('e.')},
+            ${ratingColumnsSql('e.')}, e.deleted_at,
+            ${entryTagsSql('e.id')} AS tags
+     FROM media_entries e
+     INNER JOIN media_titles t ON t.id = e.media_title_id
+     WHERE e.deleted_at IS NOT NULL AND t.user_id = ?
+     ORDER BY e.deleted_at DESC, e.id DESC`,
+    [userId]
+  );
+}
+
+/**
+ * Permanently remove entries that have been in the trash for at least
+ * `days` days (0 empties the trash), of one user or of everyone.
+ * @returns {Promise<number>} number of purged entries
+ */
+async function purgeTrash(days, { userId } = {}) {
+  let expired = "deleted_at <= datetime('now', ?)";
+  const params = [`-${days} days`];
+  if (userId !== undefined) {
+    expired += ` AND ${OWN_ENTRY_SQL}`;
+    params.push(userId);
+  }
+  for (const table of ['media_tags', 'media_audit']) {
+    await db.run(
+      `DELETE FROM ${table} WHERE media_id IN
+         (SELECT id FROM media_entries WHERE ${expired})`,
+      params
+    );
+  }
+  const result = await db.run(
+    `DELETE FROM media_entries WHERE ${expired}`,
+    params
+  );
+  if (result.changes > 0) {
+    await removeOrphanTitles();
+  }
+  return result.changes;
+}
+
+// Turn free-text user input into an FTS5 query: every word must match, as a
+// prefix, and FTS syntax characters in the input are treated as plain text
+function buildSearchQuery(input) {
+  const terms = input
+    .split(/\s+/)
+    .map((term) => term.replace(/"/g, '').trim())
+    .filter((term) => term.length > 0);
+
+  return terms.map((term) => `"${term}"*`).join(' ');
+}
+
+async function searchMedia(userId, { q, mediaType, tag, from, to, discontinued, limit = 50 }) {
+  const conditions = ['media_search MATCH ?', 'm.user_id = ?'];
+  const params = [buildSearchQuery(q), userId];
+
+  if (mediaType) {
+    conditions.push('m.media_type = ?');
+    params.push(mediaType);
+  }
+  if (tag) {
+    conditions.push(
+      `m.id IN (SELECT mt.media_id FROM media_tags mt
+                INNER JOIN tags t ON t.id = mt.tag_id
+                WHERE t.name = ?)`
+    );
+    params.push(tag.trim().toLowerCase());
+  }
+  // Date range keeps entries whose consumption period overlaps [from, to]
+  if (from) {
+    conditions.push('COALESCE(m.end_date, m.start_date) >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('m.start_date <= ?');
+    params.push(to);
+  }
+  if (discontinued !== undefined) {
+    conditions.push('m.discontinued = ?');
+    params.push(discontinued ? 1 : 0);
+  }
+
+  const results = await db.all(
+    `SELECT m.id, m.media_title_id, m.title, m.author, m.media_type, m.start_date, m.end_date,
+            m.volume_episode, m.notes, m.discontinued, m.status, m.priority, ${entryTagsSql('m.id')} AS tags,
+            snippet(media_search, -1, '<mark>', '</mark>', '…', 12) AS snippet
+     FROM media_search
+     INNER JOIN media m ON m.id = media_search.rowid
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY bm25(media_search, 10.0, 5.0, 1.0, 2.0), m.start_date DESC
+     LIMIT ?`,
+    [...params, limit]
+  );
+  return results;
+}
+
+// Routes
+app.get('/', async (req, res) => {
+  if (!req.user) {
+    return res.redirect('/login');
+  }
+  try {
+    const currentYear = new Date().getFullYear();
+    res.render('index', {
+      year: currentYear,
+      ratingScale: RATING_SCALE,
+      ratingStep: RATING_STEP,
+      dateLimits: DATE_LIMITS,
+      mediaTypes: await listMediaTypes(db),
+      user: req.user,
+      users: await listUsers(db),
+    });
+  } catch (error) {
+    logger.error('Error rendering index:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Login page; until some user has a password it sets up the first account.
+// `?username=` preselects an account (the page's user switcher links here)
+app.get('/login', async (req, res) => {
+  const username = typeof req.query.username === 'string' ? req.query.username : '';
+  if (req.user && !username) {
+    return res.redirect('/');
+  }
+  try {
+    res.render('login', {
+      setup: !(await hasPasswords(db)),
+      username,
+      current: req.user ? req.user.username : null,
+    });
+  } catch (error) {
+    logger.error('Error rendering login:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// Public read-only page behind a share link; it needs no login, and shares
+// have no write routes outside the owner's API
+app.get('/share/:slug', apiLimiter, async (req, res) => {
+  try {
+    const share = await findShare(db, req.params.slug);
+    if (!share) {
+      return res.status(404).send('Share not found');
+    }
+
+    res.render('share', {
+      share,
+      ratingScale: RATING_SCALE,
+      mediaTypes: await listMediaTypes(db),
+      ...(share.kind === 'year'
+        ? await getYearInReview(db, share)
+        : await getSharedList(db, share)),
+    });
+  } catch (error) {
+    logger.error('Error rendering share:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+// API v1 routes
+const API_PREFIX = '/api/v1';
+const MAX_IMPORT_ROWS = 5000;
+
+// API tokens replace the session for scripts; they are checked before rate
+// limiting, which counts requests per token
+app.use('/api', bearerAuth(() => db));
+// Calendar apps can't send headers, so the feed also takes ?token=
+app.use(`${API_PREFIX}/calendar.ics`, queryTokenAuth(() => db));
+
+// Apply rate limiting to all API routes
+app.use(API_PREFIX, apiLimiter);
+
+// Start a session for a user and set its cookie
+async function logIn(res, user) {
+  setSessionCookie(res, await createSession(db, user.id, env.SESSION_TTL_DAYS));
+  return res.json({ id: user.id, username: user.username });
+}
+
+app.post(
+  `${API_PREFIX}/auth/login`,
+  loginLimiter,
+  validateLogin,
+  async (req, res) => {
+    try {
+      const user = await authenticateUser(db, req.body.username, req.body.password);
+
+      if (!user) {
+        logger.warn(`Failed login for ${req.body.username}`);
+        return res.status(401).json({ error: 'Invalid username or password' });
+      }
+
+      logger.info(`User ${user.username} logged in`);
+      await logIn(res, user);
+    } catch (error) {
+      logger.error('Error logging in:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// First run: name the user owning the existing data and set its password;
+// it becomes the administrator. Closed once any user has a password
+app.post(
+  `${API_PREFIX}/auth/setup`,
+  loginLimiter,
+  validateUserCreation,
+  async (req, res) => {
+    try {
+      if (await hasPasswords(db)) {
+        return res.status(409).json({ error: 'Accounts are already set up' });
       }
 
-      if (!columnNames.includes('discontinued')) {
-        await db.exec('ALTER TABLE media ADD COLUMN discontinued INTEGER DEFAULT 0');
-        logger.info('Added discontinued column to media table');
+      const { username, password } = req.body;
+      const owner = await findUser(db, DEFAULT_USERNAME);
+      let user;
+      if (owner) {
+        await renameUser(db, owner.id, username);
+        await setPassword(db, owner.id, password);
+        await setAdmin(db, owner.id, true);
+        user = { id: owner.id, username };
+      } else {
+        user = {
+          id: await createUser(db, { username, password, isAdmin: true }),
+          username,
+        };
       }
 
-      // Migration: Make end_date nullable
-      // Check if end_date is NOT NULL by checking table structure
-      const endDateColumn = tableInfo.find(col => col.name === 'end_date');
-      if (endDateColumn && endDateColumn.notnull === 1) {
-        logger.info('Migrating to make end_date nullable...');
-        await db.exec('BEGIN TRANSACTION');
-        try {
-          // Create new table with nullable end_date
-          await db.exec(`
-            CREATE TABLE media_new (
-              id INTEGER PRIMARY KEY AUTOINCREMENT,
-              title TEXT NOT NULL,
-              author TEXT,
-              media_type TEXT NOT NULL,
-              start_date TEXT NOT NULL,
-              end_date TEXT,
-              volume_episode TEXT,
-              tags TEXT,
-              notes TEXT,
-              created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-              updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-            )
-          `);
-
-          // Copy data from old table to new table
-          await db.exec(`
-            INSERT INTO media_new (id, title, author, media_type, start_date, end_date, volume_episode, tags, notes, created_at, updated_at)
-            SELECT id, title, author, media_type, start_date, end_date, volume_episode, tags, notes, created_at, updated_at
-            FROM media
-          `);
-
-          // Drop old table and rename new table
-          await db.exec('DROP TABLE media');
-          await db.exec('ALTER TABLE media_new RENAME TO media');
-
-          await db.exec('COMMIT');
-          logger.info('Successfully migrated end_date to nullable');
-        } catch (error) {
-          await db.exec('ROLLBACK');
-          logger.error('Failed to migrate end_date:', error);
-          throw error;
-        }
+      logger.info(`Set up user ${username}`);
+      await logIn(res, user);
+    } catch (error) {
+      logger.error('Error setting up accounts:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.post(`${API_PREFIX}/auth/logout`, async (req, res) => {
+  try {
+    const token = sessionToken(req);
+    if (token) {
+      await deleteSession(db, token);
+    }
+    clearSessionCookie(res);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    logger.error('Error logging out:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Everything else under /api acts on the logged-in user's data; API tokens
+// need the read scope to read and the write scope for anything else
+app.use('/api', requireUser, requireMethodScope);
+
+app.get(`${API_PREFIX}/auth/me`, (req, res) => {
+  res.json(req.user);
+});
+
+// Accounts; only an administrator may list and add them
+app.get(
+  `${API_PREFIX}/users`,
+  requireScope('admin'),
+  requireAdmin,
+  async (req, res) => {
+    try {
+      const users = await listUsers(db);
+      res.json(users.map(({ id, username }) => ({ id, username })));
+    } catch (error) {
+      logger.error('Error fetching users:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.post(
+  `${API_PREFIX}/users`,
+  requireScope('admin'),
+  requireAdmin,
+  writeApiLimiter,
+  validateUserCreation,
+  async (req, res) => {
+    try {
+      const { username, password } = req.body;
+
+      if (await findUser(db, username)) {
+        return res.status(409).json({ error: 'Username is already taken' });
       }
 
-      // Run database migrations
-      await runMigrations(db);
+      const userId = await createUser(db, { username, password });
+
+      logger.info(`Created user ${username} (ID: ${userId})`);
+      res.status(201).json({
+        id: userId,
+        username,
+        message: 'User added successfully',
+      });
+    } catch (error) {
+      logger.error('Error adding user:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Changing the password logs out the user's other sessions
+app.put(
+  `${API_PREFIX}/users/me/password`,
+  requireScope('admin'),
+  writeApiLimiter,
+  validatePasswordChange,
+  async (req, res) => {
+    try {
+      const user = await authenticateUser(
+        db,
+        req.user.username,
+        req.body.current_password
+      );
+      if (!user) {
+        return res.status(403).json({ error: 'Current password is incorrect' });
+      }
+
+      await setPassword(db, user.id, req.body.password, {
+        keepSession: sessionToken(req),
+      });
+
+      logger.info(`User ${user.username} changed their password`);
+      res.json({ message: 'Password changed successfully' });
+    } catch (error) {
+      logger.error('Error changing password:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Personal access tokens of the current user; the token itself is only
+// returned when it is created
+app.get(`${API_PREFIX}/tokens`, requireScope('admin'), async (req, res) => {
+  try {
+    res.json(await listTokens(db, req.user.id));
+  } catch (error) {
+    logger.error('Error fetching API tokens:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post(
+  `${API_PREFIX}/tokens`,
+  requireScope('admin'),
+  writeApiLimiter,
+  validateTokenCreation,
+  async (req, res) => {
+    try {
+      const { name, scopes } = req.body;
+      const { id, token } = await createToken(db, req.user.id, { name, scopes });
+
+      logger.info(`Created API token ${id} for ${req.user.username}`);
+      res.status(201).json({
+        id,
+        name,
+        scopes: [...new Set(scopes)],
+        token,
+        message: 'API token created; store it now, it will not be shown again',
+      });
+    } catch (error) {
+      logger.error('Error creating API token:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.delete(
+  `${API_PREFIX}/tokens/:id`,
+  requireScope('admin'),
+  writeApiLimiter,
+  validateTokenId,
+  async (req, res) => {
+    try {
+      const tokenId = parseInt(req.params.id);
+      const revoked = await revokeToken(db, req.user.id, tokenId);
+
+      if (!revoked) {
+        return res.status(404).json({ error: 'API token not found' });
+      }
+
+      logger.info(`Revoked API token ${tokenId}`);
+      res.json({ message: 'API token revoked successfully' });
+    } catch (error) {
+      logger.error('Error revoking API token:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Share links of the current user, with the address of each public page
+const shareUrl = (req, slug) => `${req.protocol}://${req.get('host')}/share/${slug}`;
+
+app.get(`${API_PREFIX}/shares`, async (req, res) => {
+  try {
+    const shares = await listShares(db, req.user.id);
+    res.json(shares.map((share) => ({ ...share, url: shareUrl(req, share.slug) })));
+  } catch (error) {
+    logger.error('Error fetching shares:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post(
+  `${API_PREFIX}/shares`,
+  writeApiLimiter,
+  validateShareCreation,
+  async (req, res) => {
+    try {
+      const { id, slug } = await createShare(db, req.user.id, req.body);
+
+      logger.info(`Created ${req.body.kind} share ${id}`);
+      res.status(201).json({
+        id,
+        slug,
+        url: shareUrl(req, slug),
+        message: 'Share created successfully',
+      });
+    } catch (error) {
+      logger.error('Error creating share:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.delete(
+  `${API_PREFIX}/shares/:id`,
+  writeApiLimiter,
+  validateShareId,
+  async (req, res) => {
+    try {
+      const shareId = parseInt(req.params.id);
+      const revoked = await revokeShare(db, req.user.id, shareId);
+
+      if (!revoked) {
+        return res.status(404).json({ error: 'Share not found' });
+      }
+
+      logger.info(`Revoked share ${shareId}`);
+      res.json({ message: 'Share revoked successfully' });
+    } catch (error) {
+      logger.error('Error revoking share:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.get(
+  `${API_PREFIX}/media`,
+  validateMediaQuery,
+  async (req, res) => {
+    try {
+      // Without any filter the listing keeps its old default: the current year
+      const query = hasFilters(req.query)
+        ? req.query
+        : { ...req.query, year: String(new Date().getFullYear()) };
+      const sort = req.query.sort || 'start_date';
+      const limit = req.query.limit ? parseInt(req.query.limit) : null;
+
+      const filters = buildMediaFilters(query, req.user.id);
+      const paging = buildSortAndCursor({
+        sort,
+        order: req.query.order,
+        cursor: req.query.cursor,
+      });
+      const conditions = [...filters.conditions, ...paging.conditions];
+      const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+      // Fetch one extra row to know whether another page follows
+      const entries = await db.all(
+        `
+        SELECT id, media_title_id, title, author, media_type, start_date, end_date, volume_episode, notes, discontinued,
+               status, priority, ${progressColumnsSql()}, ${ratingColumnsSql()},
+               ${entryTagsSql('media.id')} AS tags, ${paging.sortKey} AS sort_key
+        FROM media
+        ${where}
+        ORDER BY ${paging.orderBy}
+        ${limit ? 'LIMIT ?' : ''}
+      `,
+        [...filters.params, ...paging.params, ...(limit ? [limit + 1] : [])]
+      );
+
+      const links = [];
+      const base = `${req.baseUrl}${req.path}`;
+      if (limit && entries.length > limit) {
+        entries.length = limit;
+        const last = entries[entries.length - 1];
+        const next = new URLSearchParams(req.query);
+        next.set('cursor', encodeCursor(last.sort_key, last.id));
+        links.push(`<${base}?${next}>; rel="next"`);
+      }
+      if (limit) {
+        const first = new URLSearchParams(req.query);
+        first.delete('cursor');
+        links.push(`<${base}?${first}>; rel="first"`);
+      }
+      if (links.length > 0) {
+        res.set('Link', links.join(', '));
+      }
+
+      for (const entry of entries) {
+        delete entry.sort_key;
+      }
+
+      logger.info(`Fetched ${entries.length} media entries`);
+      res.json(entries);
+    } catch (error) {
+      logger.error('Error fetching media:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.post(
+  `${API_PREFIX}/media`,
+  writeApiLimiter,
+  validateMediaCreation,
+  async (req, res) => {
+    try {
+      const { title } = req.body;
+
+      const { id: mediaId, media_title_id } = await createMediaEntry(req.user.id, req.body);
+
+      logger.info(`Created media entry: ${title} (ID: ${mediaId})`);
+
+      res.status(201).json({
+        id: mediaId,
+        media_title_id,
+        message: 'Media entry added successfully',
+      });
+    } catch (error) {
+      logger.error('Error adding media:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Bulk insert endpoint
+app.post(
+  `${API_PREFIX}/media/bulk`,
+  writeApiLimiter,
+  validateBulkMediaCreation,
+  async (req, res) => {
+    try {
+      const { items } = req.body;
+      const results = {
+        success: [],
+        failed: [],
+        total: items.length,
+      };
+
+      // Safe: items.length is validated to be <= 200 by validateBulkMediaCreation middleware
+      const inserted = await insertMediaItems(
+        req.user.id,
+        items.map((item, index) => ({ index, item }))
+      );
+      results.success = inserted.success;
+      results.failed = inserted.failed;
+
+      const statusCode = results.failed.length === 0 ? 201 : 207; // 207 = Multi-Status
+      logger.info(`Bulk insert completed: ${results.success.length} succeeded, ${results.failed.length} failed`);
+
+      res.status(statusCode).json({
+        message: `Bulk insert completed: ${results.success.length}/${results.total} succeeded`,
+        results: results,
+      });
+    } catch (error) {
+      logger.error('Error in bulk insert:', error);
+      res.status(500).json({ error: 'Internal server error during bulk insert' });
+    }
+  }
+);
+
+// Respond with import results: 200 for a preview, otherwise 201, or 207
+// (Multi-Status) when some rows were rejected
+function sendImportResults(res, label, extra, results, committed) {
+  if (!committed) {
+    return res.json({
+      message: `Import preview: ${results.success.length}/${results.total} rows valid`,
+      ...extra,
+      results,
+    });
+  }
+
+  const statusCode = results.failed.length === 0 ? 201 : 207;
+  logger.info(`${label} completed: ${results.success.length} succeeded, ${results.failed.length} failed, ${results.skipped.length} skipped`);
+
+  return res.status(statusCode).json({
+    message: `Import completed: ${results.success.length}/${results.total} succeeded`,
+    ...extra,
+    results,
+  });
+}
+
+app.get(`${API_PREFIX}/export.csv`, validateExportQuery, async (req, res) => {
+  try {
+    const { conditions, params } = buildMediaFilters(
+      { year: req.query.year, media_type: req.query.media_type },
+      req.user.id
+    );
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const entries = await db.all(
+      `SELECT title, author, media_type, start_date, end_date, volume_episode, notes, discontinued,
+              status, priority, ${PROGRESS_FIELDS.join(', ')}, ${ratingColumnsSql()},
+              ${entryTagsSql('media.id')} AS tags
+       FROM media
+       ${where}
+       ORDER BY start_date, id`,
+      params
+    );
+
+    const filename = `medialog${req.query.year ? `-${req.query.year}` : ''}.csv`;
+    logger.info(`Exported ${entries.length} media entries to CSV`);
+    res
+      .type('text/csv; charset=utf-8')
+      .attachment(filename)
+      .send(mediaToCsv(entries));
+  } catch (error) {
+    logger.error('Error exporting CSV:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// iCalendar feed: each entry with a start date as an all-day event, for
+// subscribing from calendar apps (with an API token in ?token=)
+app.get(`${API_PREFIX}/calendar.ics`, validateCalendarQuery, async (req, res) => {
+  try {
+    const { conditions, params } = buildMediaFilters(
+      { media_type: req.query.media_type, tags: req.query.tag },
+      req.user.id
+    );
+    conditions.push('start_date IS NOT NULL');
+
+    const entries = await db.all(
+      `SELECT id, title, author, media_type, volume_episode, start_date, end_date,
+              created_at, updated_at, ${entryTagsSql('media.id')} AS tags
+       FROM media
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY start_date, id`,
+      params
+    );
+    const typeLabels = Object.fromEntries(
+      (await listMediaTypes(db)).map((type) => [type.key, type.label])
+    );
+
+    logger.info(`Exported ${entries.length} media entries to iCalendar`);
+    res.type('text/calendar; charset=utf-8').send(
+      formatCalendar({
+        name: `Media Log - ${req.user.username}`,
+        events: entries.map((entry) => mediaEvent(entry, req.hostname, typeLabels)),
+      })
+    );
+  } catch (error) {
+    logger.error('Error exporting iCalendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// CSV import: validates every row and returns a preview unless `commit` is
+// true, in which case the valid rows are inserted in one transaction
+app.post(
+  `${API_PREFIX}/import/csv`,
+  writeApiLimiter,
+  validateCsvImport,
+  async (req, res) => {
+    let parsed;
+    try {
+      parsed = csvToMediaItems(req.body.csv, {
+        mapping: req.body.mapping,
+        delimiter: req.body.delimiter,
+      });
+    } catch (error) {
+      if (error instanceof CsvImportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Error parsing CSV import:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    const { mapping, items } = parsed;
+    if (items.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Cannot import more than ${MAX_IMPORT_ROWS} rows at once`,
+      });
+    }
+
+    try {
+      const results = await importMediaItems(
+        req.user.id,
+        items.map((item, index) => ({ index, item })),
+        { commit: req.body.commit, allowHistorical: allowsHistorical(req) }
+      );
+      sendImportResults(res, 'CSV import', { mapping }, results, req.body.commit);
+    } catch (error) {
+      logger.error('Error in CSV import:', error);
+      res.status(500).json({ error: 'Internal server error during import' });
+    }
+  }
+);
+
+app.get(`${API_PREFIX}/backup`, async (req, res) => {
+  const date = new Date().toISOString().slice(0, 10);
+  res
+    .type('application/json; charset=utf-8')
+    .attachment(`medialog-backup-${date}.json`);
+
+  try {
+    await streamBackup(db, res, { userId: req.user.id });
+    res.end();
+    logger.info('Backup streamed');
+  } catch (error) {
+    logger.error('Error streaming backup:', error);
+    if (res.headersSent) {
+      // Cut the response short so the client never sees a truncated
+      // document as a complete backup
+      res.destroy(error);
+    } else {
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+});
+
+app.post(
+  `${API_PREFIX}/restore`,
+  requireScope('admin'),
+  requireAdmin,
+  writeApiLimiter,
+  validateRestore,
+  async (req, res) => {
+    const mode = req.query.mode || 'merge';
+    try {
+      const result = await restoreBackup(db, req.body, {
+        mode,
+        userId: req.user.id,
+      });
+      logger.info(`Backup restored (${mode}): ${JSON.stringify(result.restored)}`);
+      res.json({ message: `Backup restored (${mode})`, mode, ...result });
+    } catch (error) {
+      if (error instanceof BackupError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Error restoring backup:', error);
+      res.status(500).json({ error: 'Internal server error during restore' });
+    }
+  }
+);
+
+// Goodreads / Letterboxd exports; previews unless `commit` is true
+app.post(
+  `${API_PREFIX}/import/:source`,
+  writeApiLimiter,
+  validateServiceImport,
+  async (req, res) => {
+    let parsed;
+    try {
+      parsed = parseServiceExport(req.params.source, req.body.csv);
+    } catch (error) {
+      if (error instanceof CsvImportError) {
+        return res.status(400).json({ error: error.message });
+      }
+      logger.error('Error parsing import:', error);
+      return res.status(500).json({ error: 'Internal server error' });
+    }
+
+    const total = parsed.rows.length + parsed.skipped.length;
+    if (total > MAX_IMPORT_ROWS) {
+      return res.status(400).json({
+        error: `Cannot import more than ${MAX_IMPORT_ROWS} rows at once`,
+      });
+    }
+
+    try {
+      const results = await importMediaItems(req.user.id, parsed.rows, {
+        skipped: parsed.skipped,
+        commit: req.body.commit,
+        skipDuplicates: true,
+        allowHistorical: allowsHistorical(req),
+      });
+      sendImportResults(
+        res,
+        `${req.params.source} import`,
+        { source: req.params.source },
+        results,
+        req.body.commit
+      );
+    } catch (error) {
+      logger.error(`Error in ${req.params.source} import:`, error);
+      res.status(500).json({ error: 'Internal server error during import' });
+    }
+  }
+);
+
+app.put(
+  `${API_PREFIX}/media/:id`,
+  writeApiLimiter,
+  validateMediaUpdate,
+  async (req, res) => {
+    try {
+      const mediaId = parseInt(req.params.id);
+      const { title } = req.body;
+
+      const updated = await updateMediaEntry(req.user.id, mediaId, req.body);
+
+      if (!updated) {
+        logger.warn(`Media entry not found for update: ID ${mediaId}`);
+        return res.status(404).json({ error: 'Media entry not found' });
+      }
+
+      logger.info(`Updated media entry: ${title} (ID: ${mediaId})`);
+      res.json({ message: 'Media entry updated successfully' });
+    } catch (error) {
+      logger.error('Error updating media:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.delete(
+  `${API_PREFIX}/media/:id`,
+  writeApiLimiter,
+  validateMediaDeletion,
+  async (req, res) => {
+    try {
+      const mediaId = parseInt(req.params.id);
+
+      const deleted = await deleteMediaEntry(req.user.id, mediaId);
+
+      if (!deleted) {
+        logger.warn(`Media entry not found: ID ${mediaId}`);
+        return res.status(404).json({ error: 'Media entry not found' });
+      }
+
+      logger.info(`Moved media entry to trash: ID ${mediaId}`);
+      res.json({ message: 'Media entry deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting media:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.post(
+  `${API_PREFIX}/media/:id/restore`,
+  writeApiLimiter,
+  validateMediaRestore,
+  async (req, res) => {
+    try {
+      const mediaId = parseInt(req.params.id);
+
+      const restored = await restoreMediaEntry(req.user.id, mediaId);
+
+      if (!restored) {
+        logger.warn(`Media entry not in trash: ID ${mediaId}`);
+        return res.status(404).json({ error: 'Media entry not found in trash' });
+      }
+
+      logger.info(`Restored media entry from trash: ID ${mediaId}`);
+      res.json({ message: 'Media entry restored successfully' });
+    } catch (error) {
+      logger.error('Error restoring media:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Record one more episode/volume/chapter today; reaching the unit's total
+// completes the entry
+app.post(
+  `${API_PREFIX}/media/:id/progress/increment`,
+  writeApiLimiter,
+  validateProgressIncrement,
+  async (req, res) => {
+    try {
+      const mediaId = parseInt(req.params.id);
+      const entry = await db.get(
+        `SELECT id, title, author, media_type, start_date, end_date, volume_episode, notes, status,
+                ${progressColumnsSql()}, ${entryTagsSql('media.id')} AS tags
+         FROM media WHERE id = ? AND user_id = ?`,
+        [mediaId, req.user.id]
+      );
+
+      if (!entry) {
+        return res.status(404).json({ error: 'Media entry not found' });
+      }
+
+      const unit = req.body.unit || defaultProgressUnit(entry);
+      const total = entry[PROGRESS_TOTALS[unit]];
+      const value = (entry[unit] ?? 0) + 1;
+      if (total && value > total) {
+        return res.status(409).json({
+          error: `All ${total} ${unit}s are already done`,
+        });
+      }
+
+      const progress = { ...entry, [unit]: value, progress_date: formatLocalDate() };
+      progress.volume_episode = formatProgress(progress);
+
+      await updateMediaEntry(req.user.id, mediaId, progress);
+      const updated = await db.get(
+        `SELECT end_date, volume_episode, ${progressColumnsSql()} FROM media WHERE id = ?`,
+        [mediaId]
+      );
+
+      logger.info(`Progress of media entry ${mediaId}: ${unit} ${value}`);
+      res.json({
+        message: 'Progress updated successfully',
+        unit,
+        completed: !entry.end_date && Boolean(updated.end_date),
+        ...updated,
+      });
+    } catch (error) {
+      logger.error('Error updating progress:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.get(
+  `${API_PREFIX}/media/:id/history`,
+  validateMediaHistory,
+  async (req, res) => {
+    try {
+      const mediaId = parseInt(req.params.id);
+
+      const exists = await db.get(
+        `SELECT id FROM media_entries WHERE id = ? AND ${OWN_ENTRY_SQL}`,
+        [mediaId, req.user.id]
+      );
+      if (!exists) {
+        return res.status(404).json({ error: 'Media entry not found' });
+      }
+
+      const history = await getEntryHistory(db, mediaId);
+      res.json(history);
+    } catch (error) {
+      logger.error('Error fetching media history:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Revert an entry to the state recorded by one of its versions; the revert
+// itself is logged as a new version
+app.post(
+  `${API_PREFIX}/media/:id/history/:version/revert`,
+  writeApiLimiter,
+  validateMediaRevert,
+  async (req, res) => {
+    try {
+      const mediaId = parseInt(req.params.id);
+      const version = await getEntryVersion(
+        db,
+        mediaId,
+        parseInt(req.params.version)
+      );
+
+      if (!version) {
+        return res.status(404).json({ error: 'Version not found' });
+      }
+
+      // The version may no longer be valid, e.g. if its media type was
+      // deleted or the rating scale or date limits have changed since
+      const parsed = parseMediaEntry(version.snapshot);
+      if (parsed.errors) {
+        return res.status(409).json({ error: parsed.errors[0].msg, errors: parsed.errors });
+      }
+
+      const reverted = await updateMediaEntry(
+        req.user.id,
+        mediaId,
+        { ...parsed.data, progress_date: version.snapshot.progress_date },
+        { action: 'revert' }
+      );
+
+      if (!reverted) {
+        return res.status(404).json({ error: 'Media entry not found' });
+      }
+
+      logger.info(`Reverted media entry ${mediaId} to version ${version.version}`);
+      res.json({
+        message: 'Media entry reverted successfully',
+        reverted_to: version.version,
+      });
+    } catch (error) {
+      logger.error('Error reverting media:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.get(`${API_PREFIX}/trash`, async (req, res) => {
+  try {
+    const entries = await getTrash(req.user.id);
+    res.json(entries);
+  } catch (error) {
+    logger.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Purge entries deleted at least `older_than_days` days ago
+// (defaults to TRASH_RETENTION_DAYS; 0 empties the trash)
+app.delete(
+  `${API_PREFIX}/trash`,
+  writeApiLimiter,
+  validateTrashPurge,
+  async (req, res) => {
+    try {
+      const days =
+        req.query.older_than_days !== undefined
+          ? parseInt(req.query.older_than_days)
+          : env.TRASH_RETENTION_DAYS;
+
+      const purged = await purgeTrash(days, { userId: req.user.id });
+
+      logger.info(`Purged ${purged} media entries from trash`);
+      res.json({ message: `Purged ${purged} entries from trash`, purged });
+    } catch (error) {
+      logger.error('Error purging trash:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Full-text search over title, author, notes and tags
+app.get(`${API_PREFIX}/search`, validateSearchQuery, async (req, res) => {
+  try {
+    const { q, media_type, tag, from, to, discontinued, limit } = req.query;
+
+    if (!buildSearchQuery(q)) {
+      return res.status(400).json({ error: 'Search query has no searchable terms' });
+    }
+
+    const results = await searchMedia(req.user.id, {
+      q,
+      mediaType: media_type,
+      tag,
+      from,
+      to,
+      discontinued: discontinued === undefined ? undefined : discontinued === 'true',
+      limit: limit ? parseInt(limit) : undefined,
+    });
+
+    logger.info(`Search "${q}" returned ${results.length} entries`);
+    res.json(results);
+  } catch (error) {
+    logger.error('Error searching media:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Aggregated statistics for a year, month, ISO week or custom date range
+app.get(`${API_PREFIX}/stats`, validateStatsQuery, async (req, res) => {
+  try {
+    const period = resolvePeriod(req.query);
+    const stats = await getStats(db, {
+      period,
+      groupBy: req.query.group_by,
+      filters: req.query,
+      userId: req.user.id,
+    });
+
+    logger.info(`Computed stats for ${period.from}..${period.to}`);
+    res.json(stats);
+  } catch (error) {
+    logger.error('Error computing stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Per-day activity counts by media type, with streaks and idle days
+app.get(`${API_PREFIX}/activity`, validateActivityQuery, async (req, res) => {
+  try {
+    const { from, to, media_type, details } = req.query;
+    const activity = await getActivity(db, {
+      from,
+      to,
+      mediaTypes: media_type,
+      details: details === 'true',
+      userId: req.user.id,
+    });
+
+    logger.info(`Fetched activity for ${from}..${to}: ${activity.active_days} active days`);
+    res.json(activity);
+  } catch (error) {
+    logger.error('Error fetching activity:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Goals: target counts of completed entries per year or month, returned
+// with their progress
+app.get(`${API_PREFIX}/goals`, validateGoalQuery, async (req, res) => {
+  try {
+    const goals = await listGoals(db, req.user.id, {
+      year: req.query.year ? parseInt(req.query.year) : undefined,
+      month: req.query.month ? parseInt(req.query.month) : undefined,
+    });
+    res.json(goals);
+  } catch (error) {
+    logger.error('Error fetching goals:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get(`${API_PREFIX}/goals/:id`, validateGoalId, async (req, res) => {
+  try {
+    const goal = await getGoal(db, req.user.id, parseInt(req.params.id));
+
+    if (!goal) {
+      return res.status(404).json({ error: 'Goal not found' });
+    }
+
+    res.json(goal);
+  } catch (error) {
+    logger.error('Error fetching goal:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.post(
+  `${API_PREFIX}/goals`,
+  writeApiLimiter,
+  validateGoalCreation,
+  async (req, res) => {
+    try {
+      const goalId = await createGoal(db, req.user.id, req.body);
+
+      logger.info(`Created goal ID ${goalId}`);
+      res.status(201).json({
+        id: goalId,
+        message: 'Goal added successfully',
+      });
+    } catch (error) {
+      logger.error('Error adding goal:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.put(
+  `${API_PREFIX}/goals/:id`,
+  writeApiLimiter,
+  validateGoalUpdate,
+  async (req, res) => {
+    try {
+      const goalId = parseInt(req.params.id);
+      const updated = await updateGoal(db, req.user.id, goalId, req.body);
+
+      if (!updated) {
+        logger.warn(`Goal not found for update: ID ${goalId}`);
+        return res.status(404).json({ error: 'Goal not found' });
+      }
+
+      logger.info(`Updated goal ID ${goalId}`);
+      res.json({ message: 'Goal updated successfully' });
+    } catch (error) {
+      logger.error('Error updating goal:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+app.delete(
+  `${API_PREFIX}/goals/:id`,
+  writeApiLimiter,
+  validateGoalId,
+  async (req, res) => {
+    try {
+      const goalId = parseInt(req.params.id);
+      const deleted = await deleteGoal(db, req.user.id, goalId);
+
+      if (!deleted) {
+        logger.warn(`Goal not found: ID ${goalId}`);
+        return res.status(404).json({ error: 'Goal not found' });
+      }
+
+      logger.info(`Deleted goal ID ${goalId}`);
+      res.json({ message: 'Goal deleted successfully' });
+    } catch (error) {
+      logger.error('Error deleting goal:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Backlog: planned entries (no dates yet), highest priority first, then
+// in the order they were added
+app.get(`${API_PREFIX}/backlog`, validateBacklogQuery, async (req, res) => {
+  try {
+    const filters = buildMediaFilters(
+      {
+        media_type: req.query.media_type,
+        tags: req.query.tags,
+        tags_match: req.query.tags_match,
+      },
+      req.user.id
+    );
+    filters.conditions.push("status = 'planned'");
+
+    const entries = await db.all(
+      `SELECT id, media_title_id, title, author, media_type, volume_episode, notes, status, priority,
+              ${entryTagsSql('media.id')} AS tags, created_at
+       FROM media
+       WHERE ${filters.conditions.join(' AND ')}
+       ORDER BY priority DESC, created_at, id`,
+      filters.params
+    );
+
+    logger.info(`Fetched ${entries.length} backlog entries`);
+    res.json(entries);
+  } catch (error) {
+    logger.error('Error fetching backlog:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
-      logger.info('Database initialized successfully');
+app.post(
+  `${API_PREFIX}/backlog`,
+  writeApiLimiter,
+  validateBacklogCreation,
+  async (req, res) => {
+    try {
+      const { id: mediaId, media_title_id } = await createMediaEntry(req.user.id, {
+        ...req.body,
+        status: 'planned',
+      });
+
+      logger.info(`Added to backlog: ${req.body.title} (ID: ${mediaId})`);
+      res.status(201).json({
+        id: mediaId,
+        media_title_id,
+        message: 'Backlog entry added successfully',
+      });
     } catch (error) {
-      logger.error('Failed to initialize database:', error);
-      throw error;
+      logger.error('Error adding backlog entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   }
-  return db;
-}
-
-function setDb(database) {
-  db = database;
-}
-
-// Helper functions for tag management
-async function getMediaTags(mediaId) {
-  const tags = await db.all(
-    `SELECT t.id, t.name FROM tags t
-     INNER JOIN media_tags mt ON t.id = mt.tag_id
-     WHERE mt.media_id = ?
-     ORDER BY t.name`,
-    [mediaId]
-  );
-  return tags;
-}
+);
 
-async function setMediaTags(mediaId, tagNames) {
-  // Remove existing tags for this media
-  await db.run('DELETE FROM media_tags WHERE media_id = ?', [mediaId]);
+app.put(
+  `${API_PREFIX}/backlog/:id`,
+  writeApiLimiter,
+  validateBacklogUpdate,
+  async (req, res) => {
+    try {
+      const mediaId = parseInt(req.params.id);
+      const entry = await db.get('SELECT status FROM media WHERE id = ? AND user_id = ?', [
+        mediaId,
+        req.user.id,
+      ]);
 
-  // If no tags provided, return
-  if (!tagNames || tagNames.length === 0) {
-    return;
-  }
+      if (!entry || entry.status !== 'planned') {
+        return res.status(404).json({ error: 'Backlog entry not found' });
+      }
 
-  // Process each tag
-  for (const tagName of tagNames) {
-    const trimmedTag = tagName.trim().toLowerCase();
-    if (trimmedTag.length === 0) continue;
+      const snapshot = await getEntrySnapshot(db, mediaId);
+      await updateMediaEntry(req.user.id, mediaId, { ...snapshot, priority: req.body.priority });
 
-    // Get or create tag
-    let tag = await db.get('SELECT id FROM tags WHERE name = ?', [trimmedTag]);
-    if (!tag) {
-      const result = await db.run('INSERT INTO tags (name) VALUES (?)', [
-        trimmedTag,
-      ]);
-      tag = { id: result.lastID };
+      logger.info(`Backlog entry ${mediaId} priority: ${req.body.priority}`);
+      res.json({ message: 'Backlog entry updated successfully' });
+    } catch (error) {
+      logger.error('Error updating backlog entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
+  }
+);
 
-    // Create media_tags relationship
+// "Start now": a planned entry begins today
+app.post(
+  `${API_PREFIX}/backlog/:id/start`,
+  writeApiLimiter,
+  validateBacklogStart,
+  async (req, res) => {
     try {
-      await db.run('INSERT INTO media_tags (media_id, tag_id) VALUES (?, ?)', [
+      const mediaId = parseInt(req.params.id);
+      const entry = await db.get('SELECT status FROM media WHERE id = ? AND user_id = ?', [
         mediaId,
-        tag.id,
+        req.user.id,
       ]);
-    } catch (err) {
-      // Ignore duplicate entries
-      if (!err.message.includes('UNIQUE constraint failed')) {
-        throw err;
+
+      if (!entry) {
+        return res.status(404).json({ error: 'Media entry not found' });
       }
+      if (entry.status !== 'planned') {
+        return res.status(409).json({ error: 'Media entry is not planned' });
+      }
+
+      const startDate = formatLocalDate();
+      const snapshot = await getEntrySnapshot(db, mediaId);
+      await updateMediaEntry(req.user.id, mediaId, {
+        ...snapshot,
+        status: 'in_progress',
+        start_date: startDate,
+      });
+
+      logger.info(`Started backlog entry ${mediaId}`);
+      res.json({
+        message: 'Media entry started',
+        status: 'in_progress',
+        start_date: startDate,
+      });
+    } catch (error) {
+      logger.error('Error starting backlog entry:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   }
-}
+);
 
-async function parseTagsInput(tagsInput) {
-  // Accept both array and string (comma-separated)
-  if (Array.isArray(tagsInput)) {
-    return tagsInput
-      .map((tag) => tag.trim().toLowerCase())
-      .filter((tag) => tag.length > 0);
-  } else if (typeof tagsInput === 'string') {
-    return tagsInput
-      .split(',')
-      .map((tag) => tag.trim().toLowerCase())
-      .filter((tag) => tag.length > 0);
+// Media types: the kinds of media that can be logged, in display order.
+// They are shared by all users, so only an administrator may change them
+app.get(`${API_PREFIX}/media-types`, async (req, res) => {
+  try {
+    res.json(await listMediaTypes(db));
+  } catch (error) {
+    logger.error('Error fetching media types:', error);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  return [];
-}
-
-// Routes
-app.get('/', (req, res) => {
-  const currentYear = new Date().getFullYear();
-  res.render('index', { year: currentYear });
 });
 
-// API v1 routes
-const API_PREFIX = '/api/v1';
-
-// Apply rate limiting to all API routes
-app.use(API_PREFIX, apiLimiter);
-
 app.get(
-  `${API_PREFIX}/media`,
-  validateMediaQuery,
+  `${API_PREFIX}/media-types/:key`,
+  validateMediaTypeKey,
   async (req, res) => {
     try {
-      const year = req.query.year || new Date().getFullYear();
-
-      const entries = await db.all(
-        `
-        SELECT id, title, author, media_type, start_date, end_date, volume_episode, tags, notes, discontinued
-        FROM media
-        WHERE strftime('%Y', start_date) = ? 
-        OR (end_date IS NOT NULL AND strftime('%Y', end_date) = ?)
-        OR (end_date IS NOT NULL AND strftime('%Y', start_date) < ? AND strftime('%Y', end_date) > ?)
-        OR (end_date IS NULL AND strftime('%Y', start_date) = ?)
-        ORDER BY start_date
-      `,
-        [String(year), String(year), String(year), String(year), String(year)]
-      );
+      const type = await getMediaType(db, req.params.key);
 
-      // Fetch tags for each entry
-      for (const entry of entries) {
-        const mediaTags = await getMediaTags(entry.id);
-        // Return tags as comma-separated string for backward compatibility
-        entry.tags = mediaTags.map((t) => t.name).join(', ');
+      if (!type) {
+        return res.status(404).json({ error: 'Media type not found' });
       }
 
-      logger.info(`Fetched ${entries.length} media entries for year ${year}`);
-      res.json(entries);
+      res.json(type);
     } catch (error) {
-      logger.error('Error fetching media:', error);
+      logger.error('Error fetching media type:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
 app.post(
-  `${API_PREFIX}/media`,
+  `${API_PREFIX}/media-types`,
+  requireScope('admin'),
+  requireAdmin,
   writeApiLimiter,
-  validateMediaCreation,
+  validateMediaTypeCreation,
   async (req, res) => {
     try {
-      const { title, author = '', media_type, start_date, end_date, volume_episode = '', tags = '', notes = '', discontinued = false } = req.body;
-
-      const result = await db.run(
-        'INSERT INTO media (title, author, media_type, start_date, end_date, volume_episode, notes, discontinued) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-        [title, author, media_type, start_date, end_date, volume_episode, notes, discontinued ? 1 : 0]
-      );
-
-      const mediaId = result.lastID;
-
-      // Handle tags using new many-to-many structure
-      const tagNames = await parseTagsInput(tags);
-      await setMediaTags(mediaId, tagNames);
+      if (await getMediaType(db, req.body.key)) {
+        return res.status(409).json({ error: 'Media type already exists' });
+      }
 
-      logger.info(`Created media entry: ${title} (ID: ${mediaId})`);
+      await createMediaType(db, req.body);
 
+      logger.info(`Created media type ${req.body.key}`);
       res.status(201).json({
-        id: mediaId,
-        message: 'Media entry added successfully',
+        key: req.body.key,
+        message: 'Media type added successfully',
       });
     } catch (error) {
-      logger.error('Error adding media:', error);
+      logger.error('Error adding media type:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
-// Bulk insert endpoint
-app.post(
-  `${API_PREFIX}/media/bulk`,
+app.put(
+  `${API_PREFIX}/media-types/:key`,
+  requireScope('admin'),
+  requireAdmin,
   writeApiLimiter,
-  validateBulkMediaCreation,
+  validateMediaTypeUpdate,
   async (req, res) => {
     try {
-      const { items } = req.body;
-      const results = {
-        success: [],
-        failed: [],
-        total: items.length,
-      };
+      const updated = await updateMediaType(db, req.params.key, req.body);
 
-      // Begin transaction for atomic bulk insert
-      await db.run('BEGIN TRANSACTION');
+      if (!updated) {
+        logger.warn(`Media type not found for update: ${req.params.key}`);
+        return res.status(404).json({ error: 'Media type not found' });
+      }
 
-      try {
-        // Safe: items.length is validated to be <= 200 by validateBulkMediaCreation middleware
-        for (let i = 0; i < items.length; i++) {
-          const item = items[i];
-          const { 
-            title, 
-            author = '', 
-            media_type, 
-            start_date, 
-            end_date = null, 
-            volume_episode = '', 
-            tags = '', 
-            notes = '', 
-            discontinued = false 
-          } = item;
-
-          try {
-            // Insert media entry
-            const result = await db.run(
-              'INSERT INTO media (title, author, media_type, start_date, end_date, volume_episode, notes, discontinued) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-              [title, author, media_type, start_date, end_date, volume_episode, notes, discontinued ? 1 : 0]
-            );
-
-            const mediaId = result.lastID;
-
-            // Handle tags
-            const tagNames = await parseTagsInput(tags);
-            await setMediaTags(mediaId, tagNames);
-
-            results.success.push({
-              index: i,
-              id: mediaId,
-              title: title,
-            });
-          } catch (itemError) {
-            logger.error(`Error inserting item at index ${i}:`, itemError);
-            results.failed.push({
-              index: i,
-              title: title,
-              error: itemError.message,
-            });
-          }
-        }
+      logger.info(`Updated media type ${req.params.key}`);
+      res.json({ message: 'Media type updated successfully' });
+    } catch (error) {
+      logger.error('Error updating media type:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Types still used by titles or goals are kept, so no entry is left with
+// an unknown type
+app.delete(
+  `${API_PREFIX}/media-types/:key`,
+  requireScope('admin'),
+  requireAdmin,
+  writeApiLimiter,
+  validateMediaTypeKey,
+  async (req, res) => {
+    try {
+      const key = req.params.key;
+
+      if (!(await getMediaType(db, key))) {
+        logger.warn(`Media type not found: ${key}`);
+        return res.status(404).json({ error: 'Media type not found' });
+      }
 
-        // Commit transaction if all succeeded or partial success is acceptable
-        await db.run('COMMIT');
-        
-        const statusCode = results.failed.length === 0 ? 201 : 207; // 207 = Multi-Status
-        logger.info(`Bulk insert completed: ${results.success.length} succeeded, ${results.failed.length} failed`);
-        
-        res.status(statusCode).json({
-          message: `Bulk insert completed: ${results.success.length}/${results.total} succeeded`,
-          results: results,
+      const usage = await mediaTypeUsage(db, key);
+      if (usage.titles > 0 || usage.goals > 0) {
+        return res.status(409).json({
+          error: 'Media type is in use',
+          titles: usage.titles,
+          goals: usage.goals,
         });
-      } catch (error) {
-        // Rollback on error
-        await db.run('ROLLBACK');
-        throw error;
       }
+
+      await deleteMediaType(db, key);
+
+      logger.info(`Deleted media type ${key}`);
+      res.json({ message: 'Media type deleted successfully' });
     } catch (error) {
-      logger.error('Error in bulk insert:', error);
-      res.status(500).json({ error: 'Internal server error during bulk insert' });
+      logger.error('Error deleting media type:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+);
+
+// Title routes: metadata shared by every consumption entry of a title
+app.get(`${API_PREFIX}/titles`, validateTitleQuery, async (req, res) => {
+  try {
+    const titles = await getTitleSummaries(req.user.id, {
+      mediaType: req.query.media_type,
+      minCount: req.query.min_count ? parseInt(req.query.min_count) : 1,
+    });
+
+    logger.info(`Fetched ${titles.length} titles`);
+    res.json(titles);
+  } catch (error) {
+    logger.error('Error fetching titles:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+app.get(
+  `${API_PREFIX}/titles/:id/history`,
+  validateTitleId,
+  async (req, res) => {
+    try {
+      const titleId = parseInt(req.params.id);
+      const [summary] = await getTitleSummaries(req.user.id, { titleId });
+
+      if (!summary) {
+        return res.status(404).json({ error: 'Title not found' });
+      }
+
+      const { entries } = await getTitleWithEntries(req.user.id, titleId);
+      res.json({ ...summary, entries });
+    } catch (error) {
+      logger.error('Error fetching title history:', error);
+      res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
+app.get(`${API_PREFIX}/titles/:id`, validateTitleId, async (req, res) => {
+  try {
+    const titleId = parseInt(req.params.id);
+    const title = await getTitleWithEntries(req.user.id, titleId);
+
+    if (!title) {
+      return res.status(404).json({ error: 'Title not found' });
+    }
+
+    res.json(title);
+  } catch (error) {
+    logger.error('Error fetching title:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 app.put(
-  `${API_PREFIX}/media/:id`,
+  `${API_PREFIX}/titles/:id`,
   writeApiLimiter,
-  validateMediaUpdate,
+  validateTitleUpdate,
   async (req, res) => {
     try {
-      const mediaId = parseInt(req.params.id);
-      const { title, author = '', media_type, start_date, end_date, volume_episode = '', tags = '', notes = '', discontinued = false } = req.body;
+      const titleId = parseInt(req.params.id);
+      const { title, author = '', media_type } = req.body;
+
+      const conflict = await db.get(
+        'SELECT id FROM media_titles WHERE user_id = ? AND title = ? AND author = ? AND media_type = ? AND id != ?',
+        [req.user.id, title, author, media_type, titleId]
+      );
+      if (conflict) {
+        return res.status(409).json({
+          error: 'A title with this name, author and media type already exists',
+          id: conflict.id,
+        });
+      }
+
+      // Renaming a title changes every entry of it, so each one is audited
+      const entries = await db.all(
+        `SELECT id FROM media_entries WHERE media_title_id = ? AND ${OWN_ENTRY_SQL}`,
+        [titleId, req.user.id]
+      );
+      const before = [];
+      for (const entry of entries) {
+        before.push(await getEntrySnapshot(db, entry.id));
+      }
 
       const result = await db.run(
-        'UPDATE media SET title = ?, author = ?, media_type = ?, start_date = ?, end_date = ?, volume_episode = ?, notes = ?, discontinued = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-        [title, author, media_type, start_date, end_date, volume_episode, notes, discontinued ? 1 : 0, mediaId]
+        'UPDATE media_titles SET title = ?, author = ?, media_type = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?',
+        [title, author, media_type, titleId, req.user.id]
       );
 
       if (result.changes === 0) {
-        logger.warn(`Media entry not found for update: ID ${mediaId}`);
-        return res.status(404).json({ error: 'Media entry not found' });
+        logger.warn(`Title not found for update: ID ${titleId}`);
+        return res.status(404).json({ error: 'Title not found' });
       }
 
-      // Handle tags using new many-to-many structure
-      const tagNames = await parseTagsInput(tags);
-      await setMediaTags(mediaId, tagNames);
+      for (const [i, entry] of entries.entries()) {
+        await recordChange(db, entry.id, 'update', before[i], await getEntrySnapshot(db, entry.id));
+      }
 
-      logger.info(`Updated media entry: ${title} (ID: ${mediaId})`);
-      res.json({ message: 'Media entry updated successfully' });
+      logger.info(`Updated title: ${title} (ID: ${titleId})`);
+      res.json({ message: 'Title updated successfully' });
     } catch (error) {
-      logger.error('Error updating media:', error);
+      logger.error('Error updating title:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
-app.delete(
-  `${API_PREFIX}/media/:id`,
+app.post(
+  `${API_PREFIX}/titles/:id/entries`,
   writeApiLimiter,
-  validateMediaDeletion,
+  validateTitleEntryCreation,
   async (req, res) => {
     try {
-      const mediaId = parseInt(req.params.id);
+      const titleId = parseInt(req.params.id);
 
-      const result = await db.run('DELETE FROM media WHERE id = ?', [mediaId]);
-
-      if (result.changes === 0) {
-        logger.warn(`Media entry not found: ID ${mediaId}`);
-        return res.status(404).json({ error: 'Media entry not found' });
+      const title = await db.get(
+        'SELECT id FROM media_titles WHERE id = ? AND user_id = ?',
+        [titleId, req.user.id]
+      );
+      if (!title) {
+        return res.status(404).json({ error: 'Title not found' });
       }
 
-      logger.info(`Deleted media entry: ID ${mediaId}`);
-      res.json({ message: 'Media entry deleted successfully' });
+      const entryId = await addTitleEntry(req.user.id, titleId, req.body);
+
+      logger.info(`Added entry ${entryId} to title ID ${titleId}`);
+      res.status(201).json({
+        id: entryId,
+        media_title_id: titleId,
+        message: 'Media entry added successfully',
+      });
     } catch (error) {
-      logger.error('Error deleting media:', error);
+      logger.error('Error adding title entry:', error);
       res.status(500).json({ error: 'Internal server error' });
     }
   }
 );
 
-// Get all tags
+// Get all of the user's tags
 app.get(`${API_PREFIX}/tags`, async (req, res) => {
   try {
     const tags = await db.all(
-      'SELECT id, name FROM tags ORDER BY name'
+      'SELECT id, name FROM tags WHERE user_id = ? ORDER BY name',
+      [req.user.id]
     );
 
     logger.info(`Fetched ${tags.length} tags`);
@@ -466,24 +2244,19 @@ app.get('/api/media', async (req, res) => {
 
     const entries = await db.all(
       `
-      SELECT id, title, author, media_type, start_date, end_date, volume_episode, tags, notes, discontinued
+      SELECT id, title, author, media_type, start_date, end_date, volume_episode, notes, discontinued,
+             status, priority, ${progressColumnsSql()}, ${ratingColumnsSql()},
+             ${entryTagsSql('media.id')} AS tags
       FROM media
-      WHERE strftime('%Y', start_date) = ? 
+      WHERE user_id = ? AND (strftime('%Y', start_date) = ? 
       OR (end_date IS NOT NULL AND strftime('%Y', end_date) = ?)
       OR (end_date IS NOT NULL AND strftime('%Y', start_date) < ? AND strftime('%Y', end_date) > ?)
-      OR (end_date IS NULL AND strftime('%Y', start_date) = ?)
+      OR (end_date IS NULL AND strftime('%Y', start_date) = ?))
       ORDER BY start_date
     `,
-      [String(year), String(year), String(year), String(year), String(year)]
+      [req.user.id, String(year), String(year), String(year), String(year), String(year)]
     );
 
-    // Fetch tags for each entry
-    for (const entry of entries) {
-      const mediaTags = await getMediaTags(entry.id);
-      // Return tags as comma-separated string for backward compatibility
-      entry.tags = mediaTags.map((t) => t.name).join(', ');
-    }
-
     res.json(entries);
   } catch (error) {
     logger.error('Error fetching media:', error);
@@ -491,40 +2264,23 @@ app.get('/api/media', async (req, res) => {
   }
 });
 
-app.post('/api/media', async (req, res) => {
+app.post('/api/media', validateMediaCreation, async (req, res) => {
   try {
-    const { title, author = '', media_type, start_date, end_date = null, volume_episode = '', tags = '', notes = '', discontinued = false } = req.body;
-
-    // Basic validation
-    if (!title || !media_type || !start_date) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    const validTypes = ['book', 'series', 'comic', 'movie', 'anime', 'cartoon'];
-    if (!validTypes.includes(media_type)) {
-      return res.status(400).json({
-        error: 'Invalid media type. Must be one of: book, comic, movie, series, anime, cartoon',
-      });
-    }
-
-    // Validate date format
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(start_date) || (end_date && !dateRegex.test(end_date))) {
-      return res.status(400).json({
-        error: 'Invalid date format. Use YYYY-MM-DD',
-      });
-    }
-
-    const result = await db.run(
-      'INSERT INTO media (title, author, media_type, start_date, end_date, volume_episode, notes, discontinued) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-      [title, author, media_type, start_date, end_date, volume_episode, notes, discontinued ? 1 : 0]
-    );
-
-    const mediaId = result.lastID;
-
-    // Handle tags using new many-to-many structure
-    const tagNames = await parseTagsInput(tags);
-    await setMediaTags(mediaId, tagNames);
+    const { title, author = '', media_type, start_date, end_date = null, volume_episode = '', tags = '', notes = '', discontinued = false, rating, review } = req.body;
+
+    const { id: mediaId } = await createMediaEntry(req.user.id, {
+      title,
+      author,
+      media_type,
+      start_date,
+      end_date,
+      volume_episode,
+      tags,
+      notes,
+      discontinued,
+      rating,
+      review,
+    });
 
     res.status(201).json({
       id: mediaId,
@@ -541,13 +2297,15 @@ app.post('/api/media/bulk', async (req, res) => {
   try {
     const { items } = req.body;
 
-    // Basic validation
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ error: 'Items must be a non-empty array' });
-    }
-
-    if (items.length > 200) {
-      return res.status(400).json({ error: 'Cannot insert more than 200 items at once' });
+    // Items are validated one by one, so valid ones are inserted even when
+    // others are rejected
+    const schemas = mediaSchemas({ allowHistorical: allowsHistorical(req) });
+    const list = schemas.items.safeParse(items);
+    if (!list.success) {
+      return sendValidationErrors(
+        res,
+        formatIssues(list.error).map((error) => ({ ...error, path: 'items' }))
+      );
     }
 
     const results = {
@@ -560,49 +2318,44 @@ app.post('/api/media/bulk', async (req, res) => {
     await db.run('BEGIN TRANSACTION');
 
     try {
-      const validTypes = ['book', 'series', 'comic', 'movie', 'anime', 'cartoon'];
-      const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-
-      // Safe: items.length is validated to be <= 200 by the check above (line 548)
+      // Safe: items.length is validated to be <= 200 by the check above
       for (let i = 0; i < items.length; i++) {
-        const item = items[i];
-        const { 
-          title, 
-          author = '', 
-          media_type, 
-          start_date, 
-          end_date = null, 
-          volume_episode = '', 
-          tags = '', 
-          notes = '', 
-          discontinued = false 
-        } = item;
-
-        try {
-          // Basic validation for each item
-          if (!title || !media_type || !start_date) {
-            throw new Error('Missing required fields: title, media_type, or start_date');
-          }
-
-          if (!validTypes.includes(media_type)) {
-            throw new Error(`Invalid media type: ${media_type}`);
-          }
-
-          if (!dateRegex.test(start_date) || (end_date && !dateRegex.test(end_date))) {
-            throw new Error('Invalid date format. Use YYYY-MM-DD');
-          }
-
-          // Insert media entry
-          const result = await db.run(
-            'INSERT INTO media (title, author, media_type, start_date, end_date, volume_episode, notes, discontinued) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
-            [title, author, media_type, start_date, end_date, volume_episode, notes, discontinued ? 1 : 0]
-          );
+        const parsed = parseMediaEntry(items[i], schemas.entry);
+        if (parsed.errors) {
+          results.failed.push({
+            index: i,
+            title: items[i]?.title || 'Unknown',
+            error: parsed.errors.map((error) => error.msg).join('; '),
+            errors: parsed.errors,
+          });
+          continue;
+        }
 
-          const mediaId = result.lastID;
+        const {
+          title,
+          author = '',
+          media_type,
+          start_date,
+          end_date = null,
+          volume_episode = '',
+          tags = '',
+          notes = '',
+          discontinued = false,
+        } = parsed.data;
 
-          // Handle tags
-          const tagNames = await parseTagsInput(tags);
-          await setMediaTags(mediaId, tagNames);
+        try {
+          // Insert media entry (title is shared with earlier re-reads)
+          const { id: mediaId } = await createMediaEntry(req.user.id, {
+            title,
+            author,
+            media_type,
+            start_date,
+            end_date,
+            volume_episode,
+            tags,
+            notes,
+            discontinued,
+          });
 
           results.success.push({
             index: i,
@@ -640,7 +2393,8 @@ app.post('/api/media/bulk', async (req, res) => {
   }
 });
 
-app.put('/api/media/:id', async (req, res) => {
+// Same body as a new entry
+app.put('/api/media/:id', validateMediaCreation, async (req, res) => {
   try {
     const mediaId = parseInt(req.params.id);
 
@@ -648,41 +2402,26 @@ app.put('/api/media/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid media ID' });
     }
 
-    const { title, author = '', media_type, start_date, end_date = null, volume_episode = '', tags = '', notes = '', discontinued = false } = req.body;
-
-    // Basic validation
-    if (!title || !media_type || !start_date) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
-
-    const validTypes = ['book', 'series', 'comic', 'movie', 'anime', 'cartoon'];
-    if (!validTypes.includes(media_type)) {
-      return res.status(400).json({
-        error: 'Invalid media type. Must be one of: book, comic, movie, series, anime, cartoon',
-      });
-    }
-
-    // Validate date format
-    const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-    if (!dateRegex.test(start_date) || (end_date && !dateRegex.test(end_date))) {
-      return res.status(400).json({
-        error: 'Invalid date format. Use YYYY-MM-DD',
-      });
-    }
-
-    const result = await db.run(
-      'UPDATE media SET title = ?, author = ?, media_type = ?, start_date = ?, end_date = ?, volume_episode = ?, notes = ?, discontinued = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
-      [title, author, media_type, start_date, end_date, volume_episode, notes, discontinued ? 1 : 0, mediaId]
-    );
+    const { title, author = '', media_type, start_date, end_date = null, volume_episode = '', tags = '', notes = '', discontinued = false, rating, review } = req.body;
+
+    const updated = await updateMediaEntry(req.user.id, mediaId, {
+      title,
+      author,
+      media_type,
+      start_date,
+      end_date,
+      volume_episode,
+      tags,
+      notes,
+      discontinued,
+      rating,
+      review,
+    });
 
-    if (result.changes === 0) {
+    if (!updated) {
       return res.status(404).json({ error: 'Media entry not found' });
     }
 
-    // Handle tags using new many-to-many structure
-    const tagNames = await parseTagsInput(tags);
-    await setMediaTags(mediaId, tagNames);
-
     res.json({ message: 'Media entry updated successfully' });
   } catch (error) {
     logger.error('Error updating media:', error);
@@ -698,9 +2437,9 @@ app.delete('/api/media/:id', async (req, res) => {
       return res.status(400).json({ error: 'Invalid media ID' });
     }
 
-    const result = await db.run('DELETE FROM media WHERE id = ?', [mediaId]);
+    const deleted = await deleteMediaEntry(req.user.id, mediaId);
 
-    if (result.changes === 0) {
+    if (!deleted) {
       return res.status(404).json({ error: 'Media entry not found' });
     }
 
@@ -727,6 +2466,21 @@ async function startServer() {
   try {
     await initDb();
 
+    // Empty the trash of expired entries now and once a day, along with
+    // expired login sessions
+    const purgeExpiredTrash = async () => {
+      try {
+        const purged = await purgeTrash(env.TRASH_RETENTION_DAYS);
+        logger.info(`Purged ${purged} expired media entries from trash`);
+        const sessions = await purgeExpiredSessions(db);
+        logger.info(`Purged ${sessions} expired sessions`);
+      } catch (error) {
+        logger.error('Failed to purge trash:', error);
+      }
+    };
+    await purgeExpiredTrash();
+    setInterval(purgeExpiredTrash, 24 * 60 * 60 * 1000).unref();
+
     const server = app.listen(PORT, () => {
       logger.info(`Server running on http://localhost:${PORT}`);
       logger.info(`Environment: ${env.NODE_ENV}`);
@@ -757,4 +2511,19 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   startServer();
 }
 
-export { app, initDb, startServer, setDb, getMediaTags, setMediaTags, parseTagsInput };
+export {
+  app,
+  initDb,
+  startServer,
+  setDb,
+  setMediaTags,
+  parseTagsInput,
+  buildSearchQuery,
+  findOrCreateTitle,
+  createMediaEntry,
+  updateMediaEntry,
+  deleteMediaEntry,
+  restoreMediaEntry,
+  purgeTrash,
+  importMediaItems,
+};
@@ -13,6 +13,13 @@ const envSchema = z.object({
   DATABASE: z.string().default('medialog.db'),
   RATE_LIMIT_WINDOW_MS: z.string().default('900000').transform(Number),
   RATE_LIMIT_MAX_REQUESTS: z.string().default('100').transform(Number),
+  TRASH_RETENTION_DAYS: z.string().default('30').transform(Number),
+  RATING_SCALE: z.enum(['5', '10']).default('5').transform(Number),
+  // Date limits for entries; 0 turns a limit off
+  START_DATE_MAX_YEARS_AGO: z.string().default('10').transform(Number),
+  START_DATE_MAX_YEARS_AHEAD: z.string().default('1').transform(Number),
+  MAX_DURATION_DAYS: z.string().default('365').transform(Number),
+  SESSION_TTL_DAYS: z.string().default('30').transform(Number),
   LOG_LEVEL: z.enum(['error', 'warn', 'info', 'debug']).default('info'),
 });
 
@@ -0,0 +1,157 @@
+/**
+ * Daily activity and streaks
+ * A day is active when some entry covers it: from its start date to its end
+ * date, inclusive. Entries still in progress cover only their start date,
+ * as on the calendars.
+ */
+
+import { buildMediaFilters } from './mediaQuery.js';
+import { formatLocalDate, daysBetween, addDays } from '../utils/date.js';
+
+// Merge [start, end] date intervals that overlap or touch into runs of
+// consecutive days, sorted by start
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start.localeCompare(b.start));
+  const runs = [];
+  for (const { start, end } of sorted) {
+    const last = runs[runs.length - 1];
+    if (last && start <= addDays(last.end, 1)) {
+      if (end > last.end) {
+        last.end = end;
+      }
+    } else {
+      runs.push({ start, end });
+    }
+  }
+  return runs;
+}
+
+const toStreak = (run) =>
+  run
+    ? {
+        length: daysBetween(run.start, run.end) + 1,
+        from: run.start,
+        to: run.end,
+      }
+    : { length: 0, from: null, to: null };
+
+/**
+ * Per-day activity over a date range.
+ * @param {Object} options
+ * @param {string} options.from first day (YYYY-MM-DD)
+ * @param {string} options.to last day (YYYY-MM-DD)
+ * @param {string|string[]} [options.mediaTypes] limit to these media types
+ * @param {boolean} [options.details] list the entries active on each day
+ * @param {string} [options.today] reference day for the current streak
+ * @param {number} [options.userId] only count this user's entries
+ * @returns {Promise<Object>} active days (days without media are omitted),
+ *   active/idle day counts and the current and longest streaks
+ */
+export async function getActivity(
+  db,
+  { from, to, mediaTypes, details = false, today = formatLocalDate(), userId }
+) {
+  const filters = buildMediaFilters({ media_type: mediaTypes }, userId);
+  const where = filters.conditions.length
+    ? `AND ${filters.conditions.join(' AND ')}`
+    : '';
+
+  const rows = await db.all(
+    `WITH RECURSIVE days(day) AS (
+       SELECT date(?)
+       UNION ALL
+       SELECT date(day, '+1 day') FROM days WHERE day < date(?)
+     )
+     SELECT d.day, m.media_type, COUNT(*) AS count
+            ${
+              details
+                ? `, json_group_array(json_object(
+                     'id', m.id, 'title', m.title, 'author', m.author,
+                     'volume_episode', m.volume_episode)) AS entries`
+                : ''
+            }
+     FROM days d
+     INNER JOIN media m
+       ON m.start_date <= d.day AND COALESCE(m.end_date, m.start_date) >= d.day
+     ${where}
+     GROUP BY d.day, m.media_type
+     ORDER BY d.day, m.media_type`,
+    [from, to, ...filters.params]
+  );
+
+  const days = [];
+  for (const row of rows) {
+    let day = days[days.length - 1];
+    if (!day || day.date !== row.day) {
+      day = { date: row.day, total: 0, by_type: {} };
+      if (details) {
+        day.entries = [];
+      }
+      days.push(day);
+    }
+    day.total += row.count;
+    day.by_type[row.media_type] = row.count;
+    if (details) {
+      day.entries.push(
+        ...JSON.parse(row.entries).map((entry) => ({
+          ...entry,
+          media_type: row.media_type,
+        }))
+      );
+    }
+  }
+
+  // Streaks come from the entries' date intervals rather than day rows, so
+  // the current streak can reach back before the requested range
+  const intervals = await db.all(
+    `SELECT start_date AS start, COALESCE(end_date, start_date) AS end
+     FROM media
+     WHERE start_date <= ? ${where}`,
+    [today, ...filters.params]
+  );
+  const runs = mergeIntervals(
+    intervals.map(({ start, end }) => ({
+      start,
+      end: end > today ? today : end,
+    }))
+  );
+
+  // A streak is still current when its last day is today or yesterday
+  const yesterday = addDays(today, -1);
+  const current = runs.find(
+    (run) => run.start <= today && run.end >= yesterday
+  );
+
+  const inRange = runs
+    .filter((run) => run.start <= to && run.end >= from)
+    .map((run) => ({
+      start: run.start < from ? from : run.start,
+      end: run.end > to ? to : run.end,
+    }));
+  const longest = inRange.reduce(
+    (best, run) =>
+      !best ||
+      daysBetween(run.start, run.end) > daysBetween(best.start, best.end)
+        ? run
+        : best,
+    null
+  );
+
+  // Idle days are only counted up to today
+  const lastCounted = to < today ? to : today;
+  const countedDays =
+    lastCounted < from ? 0 : daysBetween(from, lastCounted) + 1;
+  const activeCounted = days.filter((day) => day.date <= lastCounted).length;
+
+  return {
+    from,
+    to,
+    days,
+    active_days: days.length,
+    idle_days: countedDays - activeCounted,
+    streaks: {
+      current: toStreak(current),
+      longest: toStreak(longest),
+    },
+  };
+}
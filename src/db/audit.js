@@ -0,0 +1,142 @@
+/**
+ * Audit log of media entry changes
+ * Every change to an entry is stored with the field-level differences and a
+ * snapshot of the entry after the change, so past versions can be restored.
+ */
+
+import { ratingSql } from '../utils/rating.js';
+
+export const AUDIT_ACTIONS = [
+  'create',
+  'update',
+  'tags',
+  'delete',
+  'restore',
+  'revert',
+];
+
+// Fields tracked per entry; tags are compared as a sorted, comma-separated list
+export const AUDIT_FIELDS = [
+  'title',
+  'author',
+  'media_type',
+  'start_date',
+  'end_date',
+  'volume_episode',
+  'notes',
+  'status',
+  'priority',
+  'season',
+  'episode',
+  'episodes_total',
+  'volume',
+  'volumes_total',
+  'chapter',
+  'chapters_total',
+  'progress_date',
+  'rating',
+  'review',
+  'tags',
+];
+
+/**
+ * Current state of an entry, including entries in the trash.
+ * @returns {Promise<Object|null>} the tracked fields, or null if missing
+ */
+export async function getEntrySnapshot(db, entryId) {
+  const row = await db.get(
+    `SELECT t.title, t.author, t.media_type, e.start_date, e.end_date,
+            e.volume_episode, e.notes, e.status, e.priority, e.season, e.episode,
+            e.episodes_total, e.volume, e.volumes_total, e.chapter,
+            e.chapters_total, e.progress_date,
+            ${ratingSql('e.rating')} AS rating, e.review,
+            COALESCE((
+              SELECT GROUP_CONCAT(name, ', ') FROM (
+                SELECT tg.name FROM tags tg
+                INNER JOIN media_tags mt ON tg.id = mt.tag_id
+                WHERE mt.media_id = e.id
+                ORDER BY tg.name
+              )
+            ), '') AS tags
+     FROM media_entries e
+     INNER JOIN media_titles t ON t.id = e.media_title_id
+     WHERE e.id = ?`,
+    [entryId]
+  );
+  return row || null;
+}
+
+/**
+ * Field-level differences between two snapshots; a missing snapshot counts
+ * as every field being null.
+ * @returns {Object<string, {before: *, after: *}>}
+ */
+export function diffSnapshots(before, after) {
+  const changes = {};
+  for (const field of AUDIT_FIELDS) {
+    const from = before ? (before[field] ?? null) : null;
+    const to = after ? (after[field] ?? null) : null;
+    if (from !== to) {
+      changes[field] = { before: from, after: to };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Record a change to an entry. Updates and reverts that change nothing are
+ * not logged; an update touching only tags is logged as a `tags` action.
+ * @param {string} action one of AUDIT_ACTIONS
+ * @param {Object|null} before snapshot before the change (null on create)
+ * @param {Object|null} after snapshot after the change (null on delete)
+ * @returns {Promise<number|null>} the version id, or null if nothing changed
+ */
+export async function recordChange(db, entryId, action, before, after) {
+  const changes = diffSnapshots(before, after);
+  const fields = Object.keys(changes);
+
+  if (['update', 'revert'].includes(action) && fields.length === 0) {
+    return null;
+  }
+  if (action === 'update' && fields.every((field) => field === 'tags')) {
+    action = 'tags';
+  }
+
+  const result = await db.run(
+    'INSERT INTO media_audit (media_id, action, changes, snapshot) VALUES (?, ?, ?, ?)',
+    [entryId, action, JSON.stringify(changes), JSON.stringify(after || before)]
+  );
+  return result.lastID;
+}
+
+function toVersion(row) {
+  return {
+    version: row.id,
+    action: row.action,
+    changes: JSON.parse(row.changes),
+    snapshot: JSON.parse(row.snapshot),
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * All recorded versions of an entry, newest first.
+ */
+export async function getEntryHistory(db, entryId) {
+  const rows = await db.all(
+    `SELECT id, action, changes, snapshot, created_at FROM media_audit
+     WHERE media_id = ?
+     ORDER BY id DESC`,
+    [entryId]
+  );
+  return rows.map(toVersion);
+}
+
+export async function getEntryVersion(db, entryId, version) {
+  const row = await db.get(
+    `SELECT id, action, changes, snapshot, created_at FROM media_audit
+     WHERE media_id = ? AND id = ?`,
+    [entryId, version]
+  );
+  return row ? toVersion(row) : null;
+}
@@ -0,0 +1,413 @@
+/**
+ * JSON backup and restore
+ * A backup holds every row of the media tables, timestamps included, plus
+ * the schema version it was taken from. Backups taken for a user hold only
+ * that user's rows, and restore into one user's data.
+ */
+
+import { once } from 'events';
+import { columnNames, getSchemaVersion } from './migrator.js';
+import { entryStatus } from '../utils/status.js';
+import { MEDIA_TYPE_KEY_PATTERN, mediaTypeKeys } from './mediaTypes.js';
+import { unescapeHtml } from '../utils/html.js';
+
+export const BACKUP_FORMAT = 'medialog-backup';
+export const BACKUP_VERSION = 1;
+
+// Restore order: parents before the rows that reference them
+export const BACKUP_TABLES = [
+  'media_titles',
+  'media_entries',
+  'tags',
+  'media_tags',
+];
+
+// Rows of each table that belong to a user
+const USER_ROWS = {
+  media_titles: 'user_id = ?',
+  media_entries:
+    'media_title_id IN (SELECT id FROM media_titles WHERE user_id = ?)',
+  tags: 'user_id = ?',
+  media_tags: 'tag_id IN (SELECT id FROM tags WHERE user_id = ?)',
+};
+
+const PAGE_SIZE = 500;
+
+export class BackupError extends Error {}
+
+/**
+ * Write the backup document to a writable stream, one page of rows at a
+ * time, so large logs are never held in memory as a single string.
+ * @param {Object} [options]
+ * @param {number} [options.userId] only back up this user's rows
+ */
+export async function streamBackup(db, stream, { userId } = {}) {
+  const write = async (chunk) => {
+    if (!stream.write(chunk)) {
+      await once(stream, 'drain');
+    }
+  };
+
+  const header = {
+    format: BACKUP_FORMAT,
+    version: BACKUP_VERSION,
+    schema_version: await getSchemaVersion(db),
+    created_at: new Date().toISOString(),
+  };
+  await write(JSON.stringify(header).slice(0, -1));
+
+  for (const table of BACKUP_TABLES) {
+    await write(`,${JSON.stringify(table)}:[`);
+    const owned = userId === undefined ? '' : `AND ${USER_ROWS[table]}`;
+    let lastRowid = 0;
+    let first = true;
+
+    for (;;) {
+      const rows = await db.all(
+        `SELECT rowid AS _rowid, * FROM ${table}
+         WHERE rowid > ? ${owned} ORDER BY rowid LIMIT ?`,
+        [lastRowid, ...(userId === undefined ? [] : [userId]), PAGE_SIZE]
+      );
+      if (rows.length === 0) {
+        break;
+      }
+      lastRowid = rows[rows.length - 1]._rowid;
+
+      const json = rows.map(({ _rowid, ...row }) => JSON.stringify(row));
+      await write(`${first ? '' : ','}${json.join(',')}`);
+      first = false;
+    }
+
+    await write(']');
+  }
+
+  await write('}');
+}
+
+function validateBackup(backup, schemaVersion) {
+  if (backup.format !== BACKUP_FORMAT) {
+    throw new BackupError('Not a medialog backup');
+  }
+  if (backup.version !== BACKUP_VERSION) {
+    throw new BackupError(`Unsupported backup version: ${backup.version}`);
+  }
+  if (!Number.isInteger(backup.schema_version) || backup.schema_version < 1) {
+    throw new BackupError('Backup schema_version must be a positive integer');
+  }
+  if (backup.schema_version > schemaVersion) {
+    throw new BackupError(
+      `Backup was made with schema version ${backup.schema_version}, newer than this database (${schemaVersion}); upgrade first`
+    );
+  }
+
+  for (const table of BACKUP_TABLES) {
+    if (!Array.isArray(backup[table])) {
+      throw new BackupError(`Backup is missing the ${table} list`);
+    }
+    if (backup[table].some((row) => !row || typeof row !== 'object')) {
+      throw new BackupError(`Backup ${table} must contain objects`);
+    }
+  }
+
+  // Media types are shared by all users and aren't part of a backup, so a
+  // backup may only use the ones this instance already has
+  const types = [...new Set(backup.media_titles.map((t) => t.media_type))];
+  const invalid = types.filter(
+    (type) => typeof type !== 'string' || !MEDIA_TYPE_KEY_PATTERN.test(type)
+  );
+  if (invalid.length > 0) {
+    throw new BackupError('Backup has titles with an invalid media type');
+  }
+  const unknown = types.filter((type) => !mediaTypeKeys().includes(type));
+  if (unknown.length > 0) {
+    throw new BackupError(
+      `Backup uses unknown media types: ${unknown.join(', ')}; add them before restoring`
+    );
+  }
+
+  const titleIds = new Set(backup.media_titles.map((t) => t.id));
+  const entryIds = new Set(backup.media_entries.map((e) => e.id));
+  const tagIds = new Set(backup.tags.map((t) => t.id));
+
+  if (backup.media_entries.some((e) => !titleIds.has(e.media_title_id))) {
+    throw new BackupError('Backup has entries referencing missing titles');
+  }
+  if (
+    backup.media_tags.some(
+      (mt) => !entryIds.has(mt.media_id) || !tagIds.has(mt.tag_id)
+    )
+  ) {
+    throw new BackupError('Backup has tag links referencing missing rows');
+  }
+}
+
+// Insert a row using only the columns this table has (older backups may
+// lack newer columns, which then take their defaults)
+async function insertRow(db, table, columns, row, overrides = {}) {
+  const values = { ...row, ...overrides };
+  const names = columns.filter((name) => values[name] !== undefined);
+  const result = await db.run(
+    `INSERT INTO ${table} (${names.join(', ')})
+     VALUES (${names.map(() => '?').join(', ')})`,
+    names.map((name) => values[name])
+  );
+  return result.lastID;
+}
+
+// Entries from backups taken before statuses existed (schema version 9 and
+// older) get the status implied by their dates and `discontinued` flag
+function upgradeEntries(backup) {
+  for (const entry of backup.media_entries) {
+    if (entry.status === undefined) {
+      entry.status = entryStatus(entry);
+    }
+  }
+}
+
+// Rows whose natural key repeats an earlier row's are dropped; the result
+// maps each dropped id to the id kept in its place
+function dropDuplicates(backup, table, key) {
+  const kept = new Map();
+  const replaced = new Map();
+  backup[table] = backup[table].filter((row) => {
+    const value = JSON.stringify(key(row));
+    if (kept.has(value)) {
+      replaced.set(row.id, kept.get(value));
+      return false;
+    }
+    kept.set(value, row.id);
+    return true;
+  });
+  return replaced;
+}
+
+// Backups taken before text was stored raw (schema version 11 and older)
+// hold HTML-escaped text; titles and tags equal once decoded are merged
+function upgradeText(backup) {
+  if (backup.schema_version >= 12) {
+    return;
+  }
+
+  for (const title of backup.media_titles) {
+    title.title = unescapeHtml(title.title);
+    title.author = unescapeHtml(title.author);
+  }
+  const titleIds = dropDuplicates(backup, 'media_titles', (title) => [
+    title.title,
+    title.author || '',
+    title.media_type,
+  ]);
+  for (const entry of backup.media_entries) {
+    entry.media_title_id =
+      titleIds.get(entry.media_title_id) ?? entry.media_title_id;
+    for (const field of ['volume_episode', 'notes', 'review']) {
+      entry[field] = unescapeHtml(entry[field]);
+    }
+  }
+
+  for (const tag of backup.tags) {
+    tag.name = unescapeHtml(tag.name);
+  }
+  const tagIds = dropDuplicates(backup, 'tags', (tag) => [tag.name]);
+  for (const link of backup.media_tags) {
+    link.tag_id = tagIds.get(link.tag_id) ?? link.tag_id;
+  }
+  dropDuplicates(backup, 'media_tags', (link) => [link.media_id, link.tag_id]);
+}
+
+// Insert a row under its backup id, or under a fresh one if another user's
+// row holds that id; returns the id used
+async function insertKeepingId(db, table, columns, row, overrides) {
+  const taken = await db.get(`SELECT 1 FROM ${table} WHERE id = ?`, [row.id]);
+  return insertRow(db, table, columns, row, {
+    ...overrides,
+    ...(taken ? { id: undefined } : {}),
+  });
+}
+
+/**
+ * Replace swaps the user's rows for the backup's, keeping their ids where
+ * no other user has taken them.
+ */
+async function replaceAll(db, backup, columns, userId) {
+  // The audit log describes the replaced entries, whose ids are reused
+  for (const table of ['media_tags', 'media_audit']) {
+    await db.run(
+      `DELETE FROM ${table} WHERE media_id IN
+         (SELECT id FROM media_entries WHERE ${USER_ROWS.media_entries})`,
+      [userId]
+    );
+  }
+  for (const table of ['media_entries', 'media_titles', 'tags']) {
+    await db.run(`DELETE FROM ${table} WHERE ${USER_ROWS[table]}`, [userId]);
+  }
+
+  const titleIds = new Map();
+  const entryIds = new Map();
+  const tagIds = new Map();
+
+  for (const title of backup.media_titles) {
+    const id = await insertKeepingId(
+      db,
+      'media_titles',
+      columns.media_titles,
+      title,
+      { user_id: userId }
+    );
+    titleIds.set(title.id, id);
+  }
+  for (const entry of backup.media_entries) {
+    const id = await insertKeepingId(
+      db,
+      'media_entries',
+      columns.media_entries,
+      entry,
+      { media_title_id: titleIds.get(entry.media_title_id) }
+    );
+    entryIds.set(entry.id, id);
+  }
+  for (const tag of backup.tags) {
+    const id = await insertKeepingId(db, 'tags', columns.tags, tag, {
+      user_id: userId,
+    });
+    tagIds.set(tag.id, id);
+  }
+  for (const link of backup.media_tags) {
+    await insertRow(db, 'media_tags', columns.media_tags, link, {
+      media_id: entryIds.get(link.media_id),
+      tag_id: tagIds.get(link.tag_id),
+    });
+  }
+
+  const counts = Object.fromEntries(
+    BACKUP_TABLES.map((table) => [table, backup[table].length])
+  );
+  return { restored: counts, skipped: {} };
+}
+
+/**
+ * Merge keeps existing rows: titles and tags are matched by their natural
+ * keys, and entries already logged for the same title and start date are
+ * skipped. New rows get fresh ids.
+ */
+async function mergeInto(db, backup, columns, userId) {
+  const counts = Object.fromEntries(BACKUP_TABLES.map((t) => [t, 0]));
+  const skipped = { media_entries: 0 };
+  const titleIds = new Map();
+  const entryIds = new Map();
+  const tagIds = new Map();
+
+  for (const title of backup.media_titles) {
+    const author = title.author || '';
+    const existing = await db.get(
+      'SELECT id FROM media_titles WHERE user_id = ? AND title = ? AND author = ? AND media_type = ?',
+      [userId, title.title, author, title.media_type]
+    );
+    if (existing) {
+      titleIds.set(title.id, existing.id);
+    } else {
+      const id = await insertRow(
+        db,
+        'media_titles',
+        columns.media_titles,
+        title,
+        {
+          id: undefined,
+          user_id: userId,
+          author,
+        }
+      );
+      titleIds.set(title.id, id);
+      counts.media_titles++;
+    }
+  }
+
+  for (const entry of backup.media_entries) {
+    const mediaTitleId = titleIds.get(entry.media_title_id);
+    const existing = await db.get(
+      'SELECT id FROM media_entries WHERE media_title_id = ? AND start_date IS ?',
+      [mediaTitleId, entry.start_date]
+    );
+    if (existing) {
+      skipped.media_entries++;
+      continue;
+    }
+    const id = await insertRow(
+      db,
+      'media_entries',
+      columns.media_entries,
+      entry,
+      {
+        id: undefined,
+        media_title_id: mediaTitleId,
+      }
+    );
+    entryIds.set(entry.id, id);
+    counts.media_entries++;
+  }
+
+  // Only entries added by this restore get tags and tag links
+  const links = backup.media_tags.filter((link) => entryIds.has(link.media_id));
+  const linkedTagIds = new Set(links.map((link) => link.tag_id));
+
+  for (const tag of backup.tags.filter((t) => linkedTagIds.has(t.id))) {
+    const existing = await db.get(
+      'SELECT id FROM tags WHERE user_id = ? AND name = ?',
+      [userId, tag.name]
+    );
+    if (existing) {
+      tagIds.set(tag.id, existing.id);
+    } else {
+      const id = await insertRow(db, 'tags', columns.tags, tag, {
+        id: undefined,
+        user_id: userId,
+      });
+      tagIds.set(tag.id, id);
+      counts.tags++;
+    }
+  }
+
+  for (const link of links) {
+    await insertRow(db, 'media_tags', columns.media_tags, link, {
+      media_id: entryIds.get(link.media_id),
+      tag_id: tagIds.get(link.tag_id),
+    });
+    counts.media_tags++;
+  }
+
+  return { restored: counts, skipped };
+}
+
+/**
+ * Restore a backup document into a user's data in one transaction.
+ * @param {Object} options
+ * @param {'replace'|'merge'} options.mode replace wipes the user's data first
+ * @param {number} options.userId the user the restored rows belong to
+ * @returns {Promise<{restored: Object, skipped: Object}>} row counts per table
+ */
+export async function restoreBackup(db, backup, { mode = 'merge', userId }) {
+  validateBackup(backup, await getSchemaVersion(db));
+  upgradeEntries(backup);
+  upgradeText(backup);
+
+  const columns = {};
+  for (const table of BACKUP_TABLES) {
+    columns[table] = await columnNames(db, table);
+  }
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    const result =
+      mode === 'replace'
+        ? await replaceAll(db, backup, columns, userId)
+        : await mergeInto(db, backup, columns, userId);
+    await db.exec('COMMIT');
+    return result;
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    if (error.code === 'SQLITE_CONSTRAINT') {
+      throw new BackupError(`Backup contains invalid rows: ${error.message}`);
+    }
+    throw error;
+  }
+}
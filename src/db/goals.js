@@ -0,0 +1,168 @@
+/**
+ * Reading and watching goals
+ * A goal is a target number of completed entries (finished, not
+ * discontinued) in a year or a month, optionally limited to a media type
+ * and/or a tag. Entries count towards the period their end date falls in.
+ * Goals belong to a user and only count that user's entries.
+ */
+
+import { buildMediaFilters } from './mediaQuery.js';
+import { resolvePeriod } from './stats.js';
+import { formatLocalDate, daysBetween } from '../utils/date.js';
+
+export const GOAL_PERIODS = ['year', 'month'];
+
+const GOAL_COLUMNS =
+  'id, user_id, media_type, tag, year, month, target, created_at, updated_at';
+
+export function goalRange(goal) {
+  return resolvePeriod({
+    period: goal.month ? 'month' : 'year',
+    year: goal.year,
+    month: goal.month,
+  });
+}
+
+/**
+ * Progress towards a goal as of `today` (YYYY-MM-DD).
+ * `expected` is where a steady pace would be by today and `projected` the
+ * end-of-period total at the current pace. `pace` is `achieved`, `ahead`,
+ * `on_track`, `behind` or `not_started` (the period is still ahead).
+ */
+export async function getGoalProgress(db, goal, today = formatLocalDate()) {
+  const { from, to } = goalRange(goal);
+
+  const filters = buildMediaFilters(
+    {
+      media_type: goal.media_type || undefined,
+      tags: goal.tag || undefined,
+    },
+    goal.user_id ?? undefined
+  );
+  filters.conditions.push('end_date BETWEEN ? AND ?', 'discontinued = 0');
+  filters.params.push(from, to);
+
+  const { completed } = await db.get(
+    `SELECT COUNT(*) AS completed FROM media
+     WHERE ${filters.conditions.join(' AND ')}`,
+    filters.params
+  );
+
+  const totalDays = daysBetween(from, to) + 1;
+  const elapsedDays = Math.min(
+    Math.max(daysBetween(from, today) + 1, 0),
+    totalDays
+  );
+  const expected = (goal.target * elapsedDays) / totalDays;
+  const projected =
+    elapsedDays > 0
+      ? Math.round((completed * totalDays) / elapsedDays)
+      : completed;
+
+  let pace;
+  if (completed >= goal.target) {
+    pace = 'achieved';
+  } else if (elapsedDays === 0) {
+    pace = 'not_started';
+  } else if (completed - expected >= 1) {
+    pace = 'ahead';
+  } else if (completed - expected <= -1) {
+    pace = 'behind';
+  } else {
+    pace = 'on_track';
+  }
+
+  return {
+    from,
+    to,
+    completed,
+    remaining: Math.max(goal.target - completed, 0),
+    percent: Math.round((completed / goal.target) * 1000) / 10,
+    expected: Math.round(expected * 10) / 10,
+    projected,
+    pace,
+  };
+}
+
+function toGoal(row) {
+  return { ...row, period: row.month ? 'month' : 'year' };
+}
+
+async function withProgress(db, row, today) {
+  const goal = toGoal(row);
+  goal.progress = await getGoalProgress(db, goal, today);
+  return goal;
+}
+
+/**
+ * A user's goals with their progress, optionally only those of one year
+ * (and month; a month also includes the goals for its whole year).
+ */
+export async function listGoals(db, userId, { year, month } = {}, today) {
+  const conditions = ['user_id = ?'];
+  const params = [userId];
+  if (year) {
+    conditions.push('year = ?');
+    params.push(year);
+  }
+  if (month) {
+    conditions.push('(month IS NULL OR month = ?)');
+    params.push(month);
+  }
+  const rows = await db.all(
+    `SELECT ${GOAL_COLUMNS} FROM goals WHERE ${conditions.join(' AND ')}
+     ORDER BY year DESC, month IS NOT NULL, month, id`,
+    params
+  );
+
+  const goals = [];
+  for (const row of rows) {
+    goals.push(await withProgress(db, row, today));
+  }
+  return goals;
+}
+
+export async function getGoal(db, userId, id, today) {
+  const row = await db.get(
+    `SELECT ${GOAL_COLUMNS} FROM goals WHERE id = ? AND user_id = ?`,
+    [id, userId]
+  );
+  return row ? withProgress(db, row, today) : null;
+}
+
+// Column values for a validated goal body; yearly goals have no month
+function goalValues({ media_type, tag, period, year, month, target }) {
+  return [
+    media_type || null,
+    tag ? tag.toLowerCase() : null,
+    year,
+    period === 'month' ? month : null,
+    target,
+  ];
+}
+
+export async function createGoal(db, userId, goal) {
+  const result = await db.run(
+    'INSERT INTO goals (media_type, tag, year, month, target, user_id) VALUES (?, ?, ?, ?, ?, ?)',
+    [...goalValues(goal), userId]
+  );
+  return result.lastID;
+}
+
+export async function updateGoal(db, userId, id, goal) {
+  const result = await db.run(
+    `UPDATE goals SET media_type = ?, tag = ?, year = ?, month = ?, target = ?,
+            updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND user_id = ?`,
+    [...goalValues(goal), id, userId]
+  );
+  return result.changes > 0;
+}
+
+export async function deleteGoal(db, userId, id) {
+  const result = await db.run(
+    'DELETE FROM goals WHERE id = ? AND user_id = ?',
+    [id, userId]
+  );
+  return result.changes > 0;
+}
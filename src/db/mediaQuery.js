@@ -0,0 +1,214 @@
+/**
+ * Media listing queries
+ * Builds filter, sort and cursor-pagination SQL for the flat `media` view
+ */
+
+import { toRatingPoints } from '../utils/rating.js';
+
+// Sort keys accepted by GET /api/v1/media, mapped to SQL expressions.
+// Expressions never evaluate to NULL so keyset comparisons stay valid.
+export const SORT_FIELDS = {
+  start_date: "COALESCE(start_date, '')",
+  end_date: "COALESCE(end_date, '')",
+  title: 'title COLLATE NOCASE',
+  author: "COALESCE(author, '') COLLATE NOCASE",
+  media_type: 'media_type',
+  // Unrated entries sort below every rating
+  rating: 'COALESCE(rating, 0)',
+  created_at: 'created_at',
+  updated_at: 'updated_at',
+};
+
+const FILTER_PARAMS = [
+  'year',
+  'from',
+  'to',
+  'media_type',
+  'tags',
+  'author',
+  'in_progress',
+  'discontinued',
+  'status',
+  'min_rating',
+  'max_rating',
+  'rated',
+];
+
+// Inclusive length of a finished consumption period, NULL while in progress
+export const entryDaysSql = (alias = '') =>
+  `CAST(julianday(${alias}end_date) - julianday(${alias}start_date) + 1 AS INTEGER)`;
+
+// Correlated subquery returning an entry's tags as a sorted, comma-separated
+// string, so listings fetch tags in the same statement as the rows.
+// `idColumn` must be table-qualified (e.g. `media.id`).
+export function entryTagsSql(idColumn) {
+  return `COALESCE((
+    SELECT GROUP_CONCAT(name, ', ') FROM (
+      SELECT t.name FROM tags t
+      INNER JOIN media_tags mt ON t.id = mt.tag_id
+      WHERE mt.media_id = ${idColumn}
+      ORDER BY t.name
+    )
+  ), '')`;
+}
+
+// Accept repeated query parameters and comma-separated values alike
+export function toList(value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((v) => (typeof v === 'string' ? v.split(',') : []))
+    .map((v) => v.trim())
+    .filter((v) => v.length > 0);
+}
+
+export function hasFilters(query) {
+  return FILTER_PARAMS.some((param) => query[param] !== undefined);
+}
+
+/**
+ * Translate query parameters into WHERE conditions over the `media` view.
+ * A year is treated as the range YYYY-01-01..YYYY-12-31; ranges keep every
+ * entry whose consumption period overlaps them. With a `userId`, only that
+ * user's entries match; it is never taken from the query.
+ */
+export function buildMediaFilters(query, userId) {
+  const conditions = [];
+  const params = [];
+
+  if (userId !== undefined) {
+    conditions.push('user_id = ?');
+    params.push(userId);
+  }
+
+  const from = query.year ? `${query.year}-01-01` : query.from;
+  const to = query.year ? `${query.year}-12-31` : query.to;
+
+  if (from) {
+    conditions.push('COALESCE(end_date, start_date) >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('start_date <= ?');
+    params.push(to);
+  }
+
+  const mediaTypes = toList(query.media_type);
+  if (mediaTypes.length > 0) {
+    conditions.push(`media_type IN (${mediaTypes.map(() => '?').join(', ')})`);
+    params.push(...mediaTypes);
+  }
+
+  const tags = toList(query.tags).map((tag) => tag.toLowerCase());
+  if (tags.length > 0) {
+    const placeholders = tags.map(() => '?').join(', ');
+    const matchAll = query.tags_match === 'all';
+    conditions.push(
+      `id IN (SELECT mt.media_id FROM media_tags mt
+              INNER JOIN tags t ON t.id = mt.tag_id
+              WHERE t.name IN (${placeholders})
+              GROUP BY mt.media_id
+              ${matchAll ? 'HAVING COUNT(DISTINCT t.id) = ?' : ''})`
+    );
+    params.push(...tags);
+    if (matchAll) {
+      params.push(tags.length);
+    }
+  }
+
+  if (query.author) {
+    const escaped = query.author.replace(/[\\%_]/g, (c) => `\\${c}`);
+    conditions.push("author LIKE ? ESCAPE '\\'");
+    params.push(`%${escaped}%`);
+  }
+
+  // Planned entries (no dates yet) are neither in progress nor finished
+  if (query.in_progress !== undefined) {
+    conditions.push(
+      query.in_progress === 'true'
+        ? 'start_date IS NOT NULL AND end_date IS NULL'
+        : 'end_date IS NOT NULL'
+    );
+  }
+
+  const statuses = toList(query.status);
+  if (statuses.length > 0) {
+    conditions.push(`status IN (${statuses.map(() => '?').join(', ')})`);
+    params.push(...statuses);
+  }
+
+  if (query.discontinued !== undefined) {
+    conditions.push('discontinued = ?');
+    params.push(query.discontinued === 'true' ? 1 : 0);
+  }
+
+  // Ratings arrive on the configured scale and are compared as stored points
+  if (query.min_rating !== undefined) {
+    conditions.push('rating >= ?');
+    params.push(toRatingPoints(query.min_rating));
+  }
+  if (query.max_rating !== undefined) {
+    conditions.push('rating <= ?');
+    params.push(toRatingPoints(query.max_rating));
+  }
+  if (query.rated !== undefined) {
+    conditions.push(
+      query.rated === 'true' ? 'rating IS NOT NULL' : 'rating IS NULL'
+    );
+  }
+
+  return { conditions, params };
+}
+
+// Cursors are opaque base64url tokens holding the last row's sort value and id
+export function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (
+      Array.isArray(decoded) &&
+      decoded.length === 2 &&
+      ['string', 'number'].includes(typeof decoded[0]) &&
+      Number.isInteger(decoded[1])
+    ) {
+      return decoded;
+    }
+  } catch {
+    // Fall through: malformed cursor
+  }
+  return null;
+}
+
+/**
+ * ORDER BY clause plus the keyset condition that continues after `cursor`.
+ * `sortKey` is selected alongside each row so the next cursor can be built.
+ * The id is used as a tie-breaker so equal sort values page deterministically.
+ */
+export function buildSortAndCursor({
+  sort = 'start_date',
+  order = 'asc',
+  cursor,
+}) {
+  const expression = SORT_FIELDS[sort];
+  const direction = order === 'desc' ? 'DESC' : 'ASC';
+  const comparator = order === 'desc' ? '<' : '>';
+
+  const result = {
+    sortKey: expression,
+    orderBy: `${expression} ${direction}, id ${direction}`,
+    conditions: [],
+    params: [],
+  };
+
+  if (cursor) {
+    const [value, id] = decodeCursor(cursor);
+    result.conditions.push(
+      `(${expression} ${comparator} ? OR (${expression} = ? AND id ${comparator} ?))`
+    );
+    result.params.push(value, value, id);
+  }
+
+  return result;
+}
@@ -0,0 +1,191 @@
+/**
+ * Media types
+ * The kinds of media that can be logged, with their label, emoji, calendar
+ * colour and calendar group. Validation checks against an in-memory copy of
+ * the table, refreshed whenever it changes.
+ */
+
+// Calendar an entry is shown on: books and the like, or screen media
+export const CALENDAR_GROUPS = ['read', 'watch'];
+
+// Keys are used in URLs, queries and markup, so they are kept simple
+export const MEDIA_TYPE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+
+// Types a new database starts with
+export const DEFAULT_MEDIA_TYPES = [
+  {
+    key: 'book',
+    label: 'Książka',
+    emoji: '📖',
+    colour: '#8b5cf6',
+    calendar_group: 'read',
+  },
+  {
+    key: 'comic',
+    label: 'Komiks',
+    emoji: '📰',
+    colour: '#f97316',
+    calendar_group: 'read',
+  },
+  {
+    key: 'audiobook',
+    label: 'Audiobook',
+    emoji: '🎧',
+    colour: '#6366f1',
+    calendar_group: 'read',
+  },
+  {
+    key: 'movie',
+    label: 'Film',
+    emoji: '🎬',
+    colour: '#3b82f6',
+    calendar_group: 'watch',
+  },
+  {
+    key: 'series',
+    label: 'Serial',
+    emoji: '📺',
+    colour: '#10b981',
+    calendar_group: 'watch',
+  },
+  {
+    key: 'anime',
+    label: 'Anime',
+    emoji: '🎌',
+    colour: '#ec4899',
+    calendar_group: 'watch',
+  },
+  {
+    key: 'cartoon',
+    label: 'Bajka',
+    emoji: '🎨',
+    colour: '#eab308',
+    calendar_group: 'watch',
+  },
+  {
+    key: 'podcast',
+    label: 'Podcast',
+    emoji: '🎙️',
+    colour: '#14b8a6',
+    calendar_group: 'watch',
+  },
+  {
+    key: 'game',
+    label: 'Gra',
+    emoji: '🎮',
+    colour: '#ef4444',
+    calendar_group: 'watch',
+  },
+];
+
+const MEDIA_TYPE_COLUMNS =
+  'key, label, emoji, colour, calendar_group, position, created_at, updated_at';
+
+let knownKeys = DEFAULT_MEDIA_TYPES.map((type) => type.key);
+
+/**
+ * Keys of the known media types, in display order.
+ */
+export function mediaTypeKeys() {
+  return knownKeys;
+}
+
+export function isMediaType(key) {
+  return knownKeys.includes(key);
+}
+
+export async function listMediaTypes(db) {
+  return db.all(
+    `SELECT ${MEDIA_TYPE_COLUMNS} FROM media_types ORDER BY position, key`
+  );
+}
+
+/**
+ * Re-read the known media types, after startup or a change to the table.
+ */
+export async function loadMediaTypes(db) {
+  const types = await listMediaTypes(db);
+  knownKeys = types.map((type) => type.key);
+  return types;
+}
+
+/**
+ * Register media types used by titles but missing from the table (from old
+ * data or a restored backup), labelled with their key.
+ * @returns {Promise<number>} the number of types added
+ */
+export async function addMissingMediaTypes(db) {
+  const result = await db.run(
+    `INSERT INTO media_types (key, label, colour, calendar_group, position)
+     SELECT DISTINCT media_type, media_type, '#6b7280', 'watch',
+            (SELECT COALESCE(MAX(position), 0) + 1 FROM media_types)
+     FROM media_titles
+     WHERE media_type NOT IN (SELECT key FROM media_types)`
+  );
+  return result.changes;
+}
+
+export async function getMediaType(db, key) {
+  const row = await db.get(
+    `SELECT ${MEDIA_TYPE_COLUMNS} FROM media_types WHERE key = ?`,
+    [key]
+  );
+  return row || null;
+}
+
+/**
+ * Titles and goals using a media type; a type in use can't be deleted.
+ */
+export async function mediaTypeUsage(db, key) {
+  const { titles } = await db.get(
+    'SELECT COUNT(*) AS titles FROM media_titles WHERE media_type = ?',
+    [key]
+  );
+  const { goals } = await db.get(
+    'SELECT COUNT(*) AS goals FROM goals WHERE media_type = ?',
+    [key]
+  );
+  return { titles, goals };
+}
+
+// New types go after the existing ones unless given a position
+export async function createMediaType(
+  db,
+  { key, label, emoji = '', colour, calendar_group, position }
+) {
+  await db.run(
+    `INSERT INTO media_types (key, label, emoji, colour, calendar_group, position)
+     VALUES (?, ?, ?, ?, ?,
+             COALESCE(?, (SELECT COALESCE(MAX(position), 0) + 1 FROM media_types)))`,
+    [key, label, emoji, colour.toLowerCase(), calendar_group, position ?? null]
+  );
+  await loadMediaTypes(db);
+}
+
+// Fields left out keep their value
+export async function updateMediaType(db, key, type) {
+  const result = await db.run(
+    `UPDATE media_types
+     SET label = COALESCE(?, label), emoji = COALESCE(?, emoji),
+         colour = COALESCE(?, colour),
+         calendar_group = COALESCE(?, calendar_group),
+         position = COALESCE(?, position), updated_at = CURRENT_TIMESTAMP
+     WHERE key = ?`,
+    [
+      type.label ?? null,
+      type.emoji ?? null,
+      type.colour ? type.colour.toLowerCase() : null,
+      type.calendar_group ?? null,
+      type.position ?? null,
+      key,
+    ]
+  );
+  await loadMediaTypes(db);
+  return result.changes > 0;
+}
+
+export async function deleteMediaType(db, key) {
+  const result = await db.run('DELETE FROM media_types WHERE key = ?', [key]);
+  await loadMediaTypes(db);
+  return result.changes > 0;
+}
@@ -1,268 +1,1274 @@
 /**
  * Database Migrations
- * Handles schema changes and data migrations
+ * Ordered, numbered schema changes. Each migration has an `up` and a `down`
+ * step and is run inside a transaction by the runner in ./migrator.js.
  */
 
 import logger from '../utils/logger.js';
+import { tableExists, columnNames, migrateUp } from './migrator.js';
+import { PROGRESS_FIELDS, parseVolumeEpisode } from '../utils/progress.js';
+import { DEFAULT_MEDIA_TYPES, addMissingMediaTypes } from './mediaTypes.js';
+import { unescapeHtml } from '../utils/html.js';
+import { DEFAULT_USERNAME } from './users.js';
+
+const createFlatMediaTable = (name = 'media') => `
+  CREATE TABLE IF NOT EXISTS ${name} (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    author TEXT,
+    media_type TEXT NOT NULL,
+    start_date TEXT NOT NULL,
+    end_date TEXT,
+    volume_episode TEXT,
+    tags TEXT,
+    notes TEXT,
+    discontinued INTEGER DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`;
+
+async function createMediaTagsTable(db, mediaTable) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS media_tags (
+      media_id INTEGER NOT NULL,
+      tag_id INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (media_id, tag_id),
+      FOREIGN KEY (media_id) REFERENCES ${mediaTable}(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    )
+  `);
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_media_tags_media
+    ON media_tags(media_id)
+  `);
+
+  await db.exec(`
+    CREATE INDEX IF NOT EXISTS idx_media_tags_tag
+    ON media_tags(tag_id)
+  `);
+}
+
+// Recreate media_tags so its foreign key points at another media table
+async function repointMediaTags(db, mediaTable) {
+  await db.exec('ALTER TABLE media_tags RENAME TO media_tags_old');
+  await db.exec('DROP INDEX IF EXISTS idx_media_tags_media');
+  await db.exec('DROP INDEX IF EXISTS idx_media_tags_tag');
+  await createMediaTagsTable(db, mediaTable);
+  await db.exec(`
+    INSERT INTO media_tags (media_id, tag_id, created_at)
+    SELECT media_id, tag_id, created_at FROM media_tags_old
+    WHERE media_id IN (SELECT id FROM ${mediaTable})
+  `);
+  await db.exec('DROP TABLE media_tags_old');
+}
+
+/**
+ * Migration 1: Flat media table
+ * Also upgrades tables created by older versions of the app: adds missing
+ * columns and makes end_date nullable.
+ */
+const createMediaTable = {
+  version: 1,
+  name: 'create_media_table',
+  detect: (db) => tableExists(db, 'media_entries'),
+  async up(db) {
+    await db.exec(createFlatMediaTable());
+
+    const tableInfo = await db.all('PRAGMA table_info(media)');
+    const existing = tableInfo.map((col) => col.name);
+    const optionalColumns = {
+      author: 'TEXT',
+      volume_episode: 'TEXT',
+      tags: 'TEXT',
+      discontinued: 'INTEGER DEFAULT 0',
+    };
+
+    for (const [column, definition] of Object.entries(optionalColumns)) {
+      if (!existing.includes(column)) {
+        await db.exec(`ALTER TABLE media ADD COLUMN ${column} ${definition}`);
+        logger.info(`Added ${column} column to media table`);
+      }
+    }
+
+    // Make end_date nullable (in-progress entries have no end date yet)
+    const endDateColumn = tableInfo.find((col) => col.name === 'end_date');
+    if (endDateColumn && endDateColumn.notnull === 1) {
+      logger.info('Migrating to make end_date nullable...');
+      await db.exec(createFlatMediaTable('media_new'));
+      await db.exec(`
+        INSERT INTO media_new (id, title, author, media_type, start_date, end_date, volume_episode, tags, notes, discontinued, created_at, updated_at)
+        SELECT id, title, author, media_type, start_date, end_date, volume_episode, tags, notes, discontinued, created_at, updated_at
+        FROM media
+      `);
+      await db.exec('DROP TABLE media');
+      await db.exec('ALTER TABLE media_new RENAME TO media');
+    }
+  },
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS media');
+  },
+};
 
 /**
- * Migration: Normalize database schema
- * Split into media_titles (metadata) and media_entries (consumption periods)
+ * Migration 2: Many-to-many tag structure
+ * Creates tags and media_tags, and moves the comma-separated tags column
+ * into them.
  */
-export async function migrateToNormalizedSchema(db) {
-  logger.info('Starting database normalization migration...');
+const createTagTables = {
+  version: 2,
+  name: 'create_tag_tables',
+  detect: async (db) =>
+    (await tableExists(db, 'tags')) && (await tableExists(db, 'media_tags')),
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS tags (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_tags_name
+      ON tags(name)
+    `);
+
+    await createMediaTagsTable(db, 'media');
 
-  try {
-    // Check if migration is needed
-    const tables = await db.all(
-      "SELECT name FROM sqlite_master WHERE type='table'"
+    const mediaWithTags = await db.all(
+      `SELECT id, tags FROM media WHERE tags IS NOT NULL AND tags != ''`
     );
-    const tableNames = tables.map((t) => t.name);
 
-    if (tableNames.includes('media_titles') && tableNames.includes('media_entries')) {
-      logger.info('Database already normalized, skipping migration');
-      return;
+    let migratedRelationsCount = 0;
+    for (const media of mediaWithTags) {
+      const tagNames = media.tags
+        .split(',')
+        .map((tag) => tag.trim().toLowerCase())
+        .filter((tag) => tag.length > 0);
+
+      for (const tagName of tagNames) {
+        await db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tagName]);
+        const result = await db.run(
+          `INSERT OR IGNORE INTO media_tags (media_id, tag_id)
+           SELECT ?, id FROM tags WHERE name = ?`,
+          [media.id, tagName]
+        );
+        migratedRelationsCount += result.changes;
+      }
     }
 
-    // Start transaction
-    await db.exec('BEGIN TRANSACTION');
+    logger.info(`Migrated ${migratedRelationsCount} tag relationships`);
+  },
+  async down(db) {
+    // Write tags back into the comma-separated column before dropping
+    await db.exec(`
+      UPDATE media SET tags = (
+        SELECT GROUP_CONCAT(t.name, ', ') FROM media_tags mt
+        INNER JOIN tags t ON t.id = mt.tag_id
+        WHERE mt.media_id = media.id
+      )
+    `);
+    await db.exec('DROP TABLE media_tags');
+    await db.exec('DROP TABLE tags');
+  },
+};
 
-    // Create new normalized tables
+/**
+ * Migration 3: Normalize database schema
+ * Split into media_titles (metadata) and media_entries (consumption periods).
+ * Entry ids are preserved from the flat media table so media_tags keeps
+ * pointing at the right rows, and a `media` view keeps the flat shape
+ * available for read queries.
+ */
+const normalizeMedia = {
+  version: 3,
+  name: 'normalize_media',
+  detect: async (db) =>
+    (await tableExists(db, 'media_titles')) &&
+    (await tableExists(db, 'media_entries')),
+  async up(db) {
     await db.exec(`
-      CREATE TABLE IF NOT EXISTS media_titles (
+      CREATE TABLE media_titles (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         title TEXT NOT NULL,
-        author TEXT,
+        author TEXT NOT NULL DEFAULT '',
         media_type TEXT NOT NULL,
         metadata TEXT,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        UNIQUE(title, author)
+        UNIQUE(title, author, media_type)
       )
     `);
 
     await db.exec(`
-      CREATE TABLE IF NOT EXISTS media_entries (
+      CREATE TABLE media_entries (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         media_title_id INTEGER NOT NULL,
         start_date TEXT NOT NULL,
-        end_date TEXT NOT NULL,
+        end_date TEXT,
         volume_episode TEXT,
         notes TEXT,
+        discontinued INTEGER DEFAULT 0,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
         FOREIGN KEY (media_title_id) REFERENCES media_titles(id) ON DELETE CASCADE
       )
     `);
 
-    // Create indices for better performance
     await db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_media_entries_title 
+      CREATE INDEX IF NOT EXISTS idx_media_entries_title
       ON media_entries(media_title_id)
     `);
 
     await db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_media_entries_dates 
+      CREATE INDEX IF NOT EXISTS idx_media_entries_dates
       ON media_entries(start_date, end_date)
     `);
 
     await db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_media_titles_type 
+      CREATE INDEX IF NOT EXISTS idx_media_titles_type
       ON media_titles(media_type)
     `);
 
-    // Migrate data from old schema if exists
-    if (tableNames.includes('media')) {
-      logger.info('Migrating data from old schema...');
+    const { count } = await db.get('SELECT COUNT(*) AS count FROM media');
 
-      // Get all existing media entries
-      const oldEntries = await db.all('SELECT * FROM media ORDER BY id');
-
-      for (const entry of oldEntries) {
-        // Check if title already exists
-        let titleRecord = await db.get(
-          'SELECT id FROM media_titles WHERE title = ? AND author IS NULL',
-          [entry.title]
-        );
+    // One title per distinct (title, author, media_type); re-reads share it
+    await db.exec(`
+      INSERT INTO media_titles (title, author, media_type, created_at, updated_at)
+      SELECT title, COALESCE(author, ''), media_type, MIN(created_at), MAX(updated_at)
+      FROM media
+      GROUP BY title, COALESCE(author, ''), media_type
+      ORDER BY MIN(id)
+    `);
 
-        // Create title if doesn't exist
-        if (!titleRecord) {
-          const result = await db.run(
-            `INSERT INTO media_titles (title, media_type, created_at, updated_at) 
-             VALUES (?, ?, ?, ?)`,
-            [entry.title, entry.media_type, entry.created_at, entry.updated_at]
-          );
-          titleRecord = { id: result.lastID };
-        }
-
-        // Create entry record
-        await db.run(
-          `INSERT INTO media_entries 
-           (media_title_id, start_date, end_date, notes, created_at, updated_at) 
-           VALUES (?, ?, ?, ?, ?, ?)`,
-          [
-            titleRecord.id,
-            entry.start_date,
-            entry.end_date,
-            entry.notes,
-            entry.created_at,
-            entry.updated_at,
-          ]
-        );
-      }
+    // Every old row becomes a consumption entry with the same id
+    await db.exec(`
+      INSERT INTO media_entries
+        (id, media_title_id, start_date, end_date, volume_episode, notes, discontinued, created_at, updated_at)
+      SELECT m.id, t.id, m.start_date, m.end_date, m.volume_episode, m.notes,
+             COALESCE(m.discontinued, 0), m.created_at, m.updated_at
+      FROM media m
+      INNER JOIN media_titles t
+        ON t.title = m.title
+       AND t.author = COALESCE(m.author, '')
+       AND t.media_type = m.media_type
+      ORDER BY m.id
+    `);
 
-      // Rename old table
+    // Keep the old table around as a backup unless there was nothing in it
+    await db.exec('DROP TABLE IF EXISTS media_old');
+    if (count > 0) {
       await db.exec('ALTER TABLE media RENAME TO media_old');
-      logger.info(`Migrated ${oldEntries.length} entries from old schema`);
+    } else {
+      await db.exec('DROP TABLE media');
     }
+    logger.info(`Migrated ${count} entries from old schema`);
 
-    // Commit transaction
-    await db.exec('COMMIT');
+    await repointMediaTags(db, 'media_entries');
 
-    logger.info('Database normalization migration completed successfully');
-  } catch (error) {
-    // Rollback on error
-    await db.exec('ROLLBACK');
-    logger.error('Migration failed:', error);
-    throw error;
-  }
+    // Flat, read-only view with the pre-normalization column layout
+    await db.exec(`
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+    `);
+  },
+  async down(db) {
+    await db.exec('DROP VIEW media');
+    await db.exec('DROP TABLE IF EXISTS media_old');
+    await db.exec(createFlatMediaTable());
+    await db.exec(`
+      INSERT INTO media (id, title, author, media_type, start_date, end_date, volume_episode, notes, discontinued, created_at, updated_at)
+      SELECT e.id, t.title, t.author, t.media_type, e.start_date, e.end_date,
+             e.volume_episode, e.notes, e.discontinued, e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      ORDER BY e.id
+    `);
+
+    await repointMediaTags(db, 'media');
+
+    await db.exec('DROP TABLE media_entries');
+    await db.exec('DROP TABLE media_titles');
+  },
+};
+
+// Rebuild the search row of every entry matched by `where` (uses NEW/OLD
+// inside triggers)
+const reindexEntriesSql = (where) => `
+  DELETE FROM media_search WHERE rowid IN (SELECT id FROM media_entries e WHERE ${where});
+  INSERT INTO media_search (rowid, title, author, notes, tags)
+  SELECT e.id, t.title, t.author, COALESCE(e.notes, ''),
+         COALESCE((SELECT GROUP_CONCAT(tg.name, ' ') FROM media_tags mt
+                   INNER JOIN tags tg ON tg.id = mt.tag_id
+                   WHERE mt.media_id = e.id), '')
+  FROM media_entries e
+  INNER JOIN media_titles t ON t.id = e.media_title_id
+  WHERE ${where};
+`;
+
+const SEARCH_TRIGGERS = [
+  'media_search_entry_insert',
+  'media_search_entry_update',
+  'media_search_entry_delete',
+  'media_search_title_update',
+  'media_search_tag_insert',
+  'media_search_tag_delete',
+];
+
+// Triggers keeping media_search in sync with entries, titles and tags
+async function createSearchTriggers(db) {
+  await db.exec(`
+    CREATE TRIGGER media_search_entry_insert AFTER INSERT ON media_entries
+    BEGIN ${reindexEntriesSql('e.id = NEW.id')} END
+  `);
+  await db.exec(`
+    CREATE TRIGGER media_search_entry_update
+    AFTER UPDATE OF media_title_id, notes ON media_entries
+    BEGIN ${reindexEntriesSql('e.id = NEW.id')} END
+  `);
+  await db.exec(`
+    CREATE TRIGGER media_search_entry_delete AFTER DELETE ON media_entries
+    BEGIN
+      DELETE FROM media_search WHERE rowid = OLD.id;
+    END
+  `);
+  await db.exec(`
+    CREATE TRIGGER media_search_title_update
+    AFTER UPDATE OF title, author ON media_titles
+    BEGIN ${reindexEntriesSql('e.media_title_id = NEW.id')} END
+  `);
+  await db.exec(`
+    CREATE TRIGGER media_search_tag_insert AFTER INSERT ON media_tags
+    BEGIN ${reindexEntriesSql('e.id = NEW.media_id')} END
+  `);
+  await db.exec(`
+    CREATE TRIGGER media_search_tag_delete AFTER DELETE ON media_tags
+    BEGIN ${reindexEntriesSql('e.id = OLD.media_id')} END
+  `);
 }
 
 /**
- * Migration: Create many-to-many tag structure
- * Creates tags table and media_tags junction table, migrates existing tag data
+ * Migration 4: Full-text search index
+ * FTS5 table over title, author, notes and tag names, keyed by entry id and
+ * kept in sync by triggers. Diacritics are folded so "wiedzmin" finds
+ * "Wiedźmin".
  */
-export async function migrateToManyToManyTags(db) {
-  logger.info('Starting tags many-to-many migration...');
+const createMediaSearch = {
+  version: 4,
+  name: 'create_media_search',
+  async up(db) {
+    await db.exec(`
+      CREATE VIRTUAL TABLE media_search USING fts5(
+        title, author, notes, tags,
+        tokenize = 'unicode61 remove_diacritics 2',
+        prefix = '2 3'
+      )
+    `);
 
-  try {
-    // Check if migration is needed
-    const tables = await db.all(
-      "SELECT name FROM sqlite_master WHERE type='table'"
-    );
-    const tableNames = tables.map((t) => t.name);
+    await db.exec(reindexEntriesSql('1 = 1'));
 
-    if (tableNames.includes('tags') && tableNames.includes('media_tags')) {
-      logger.info('Tags tables already exist, skipping migration');
-      return;
+    await createSearchTriggers(db);
+  },
+  async down(db) {
+    for (const trigger of SEARCH_TRIGGERS) {
+      await db.exec(`DROP TRIGGER IF EXISTS ${trigger}`);
     }
+    await db.exec('DROP TABLE media_search');
+  },
+};
 
-    // Start transaction
-    await db.exec('BEGIN TRANSACTION');
+/**
+ * Migration 5: Soft delete
+ * Deleted entries keep their row with a deleted_at timestamp (the trash);
+ * the flat `media` view only shows live entries.
+ */
+const addSoftDelete = {
+  version: 5,
+  name: 'add_soft_delete',
+  async up(db) {
+    // The column survives a revert (see down), so only add it when missing
+    if (!(await columnNames(db, 'media_entries')).includes('deleted_at')) {
+      await db.exec('ALTER TABLE media_entries ADD COLUMN deleted_at DATETIME');
+    }
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_media_entries_deleted
+      ON media_entries(deleted_at)
+    `);
 
-    // Create tags table
+    await db.exec('DROP VIEW media');
     await db.exec(`
-      CREATE TABLE IF NOT EXISTS tags (
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
+    `);
+  },
+  async down(db) {
+    // Entries still in the trash are purged: the old schema cannot hold them
+    await db.exec(`
+      DELETE FROM media_tags WHERE media_id IN
+        (SELECT id FROM media_entries WHERE deleted_at IS NOT NULL)
+    `);
+    await db.exec('DELETE FROM media_entries WHERE deleted_at IS NOT NULL');
+    await db.exec(
+      'DELETE FROM media_titles WHERE id NOT IN (SELECT media_title_id FROM media_entries)'
+    );
+
+    // deleted_at is left in place as an unused column: dropping a column in
+    // the same transaction as the FTS table (reverting several migrations at
+    // once) leaves SQLite unable to change the schema afterwards
+    await db.exec('DROP INDEX IF EXISTS idx_media_entries_deleted');
+    await db.exec('DROP VIEW media');
+    await db.exec(`
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+    `);
+  },
+};
+
+/**
+ * Migration 6: Audit log
+ * One row per change to a media entry: field-level before/after values and
+ * a snapshot of the entry after the change (see ./audit.js).
+ */
+const createMediaAudit = {
+  version: 6,
+  name: 'create_media_audit',
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE IF NOT EXISTS media_audit (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL UNIQUE,
+        media_id INTEGER NOT NULL,
+        action TEXT NOT NULL,
+        changes TEXT NOT NULL,
+        snapshot TEXT NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_media_audit_media
+      ON media_audit(media_id, id)
+    `);
+  },
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_media_audit_media');
+    await db.exec('DROP TABLE IF EXISTS media_audit');
+  },
+};
 
-    // Create media_tags junction table
+/**
+ * Migration 7: Goals
+ * Target counts of completed entries for a year or a month, scoped by media
+ * type and/or tag (see ./goals.js).
+ */
+const createGoals = {
+  version: 7,
+  name: 'create_goals',
+  async up(db) {
     await db.exec(`
-      CREATE TABLE IF NOT EXISTS media_tags (
-        media_id INTEGER NOT NULL,
-        tag_id INTEGER NOT NULL,
+      CREATE TABLE IF NOT EXISTS goals (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        media_type TEXT,
+        tag TEXT,
+        year INTEGER NOT NULL,
+        month INTEGER,
+        target INTEGER NOT NULL,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        PRIMARY KEY (media_id, tag_id),
-        FOREIGN KEY (media_id) REFERENCES media(id) ON DELETE CASCADE,
-        FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
       )
     `);
+    await db.exec(`
+      CREATE INDEX IF NOT EXISTS idx_goals_period
+      ON goals(year, month)
+    `);
+  },
+  async down(db) {
+    await db.exec('DROP INDEX IF EXISTS idx_goals_period');
+    await db.exec('DROP TABLE IF EXISTS goals');
+  },
+};
+
+/**
+ * Migration 8: Structured progress
+ * Season, episode, volume and chapter numbers with totals, plus the date
+ * progress was last recorded. Free-text volume_episode values are parsed
+ * into the new columns where they follow a known format.
+ */
+const PROGRESS_COLUMNS = [...PROGRESS_FIELDS, 'progress_date'];
+
+const addProgress = {
+  version: 8,
+  name: 'add_progress',
+  async up(db) {
+    // Like deleted_at (migration 5), the columns survive a revert
+    const existing = await columnNames(db, 'media_entries');
+    for (const column of PROGRESS_COLUMNS) {
+      if (!existing.includes(column)) {
+        const type = column === 'progress_date' ? 'TEXT' : 'INTEGER';
+        await db.exec(`ALTER TABLE media_entries ADD COLUMN ${column} ${type}`);
+      }
+    }
+
+    await db.exec('DROP VIEW media');
+    await db.exec(`
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             ${PROGRESS_COLUMNS.map((column) => `e.${column}`).join(', ')},
+             e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
+    `);
+
+    const entries = await db.all(`
+      SELECT e.id, e.volume_episode, t.media_type
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.volume_episode IS NOT NULL AND e.volume_episode != ''
+    `);
+
+    let parsed = 0;
+    for (const entry of entries) {
+      const progress = parseVolumeEpisode(
+        entry.volume_episode,
+        entry.media_type
+      );
+      const fields = Object.keys(progress);
+      if (fields.length === 0) {
+        continue;
+      }
+      await db.run(
+        `UPDATE media_entries SET ${fields.map((f) => `${f} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map((f) => progress[f]), entry.id]
+      );
+      parsed++;
+    }
+    logger.info(`Parsed progress of ${parsed}/${entries.length} entries`);
+  },
+  async down(db) {
+    await db.exec(
+      `UPDATE media_entries SET ${PROGRESS_COLUMNS.map((c) => `${c} = NULL`).join(', ')}`
+    );
 
-    // Create indices for better performance
+    await db.exec('DROP VIEW media');
     await db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_media_tags_media 
-      ON media_tags(media_id)
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
     `);
+  },
+};
+
+// Ratings are stored as points 1-10 whatever the configured scale (see
+// src/utils/rating.js); the review is free text
+const addRating = {
+  version: 9,
+  name: 'add_rating',
+  async up(db) {
+    // Like deleted_at (migration 5), the columns survive a revert
+    const existing = await columnNames(db, 'media_entries');
+    if (!existing.includes('rating')) {
+      await db.exec(
+        'ALTER TABLE media_entries ADD COLUMN rating INTEGER CHECK (rating BETWEEN 1 AND 10)'
+      );
+    }
+    if (!existing.includes('review')) {
+      await db.exec('ALTER TABLE media_entries ADD COLUMN review TEXT');
+    }
+    await db.exec(
+      'CREATE INDEX IF NOT EXISTS idx_media_entries_rating ON media_entries(rating)'
+    );
 
+    await db.exec('DROP VIEW media');
     await db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_media_tags_tag 
-      ON media_tags(tag_id)
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             ${PROGRESS_COLUMNS.map((column) => `e.${column}`).join(', ')},
+             e.rating, e.review, e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
     `);
+  },
+  async down(db) {
+    await db.exec('UPDATE media_entries SET rating = NULL, review = NULL');
+    await db.exec('DROP INDEX IF EXISTS idx_media_entries_rating');
 
+    await db.exec('DROP VIEW media');
     await db.exec(`
-      CREATE INDEX IF NOT EXISTS idx_tags_name 
-      ON tags(name)
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             ${PROGRESS_COLUMNS.map((column) => `e.${column}`).join(', ')},
+             e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
     `);
+  },
+};
+
+// media_entries columns added by migrations 5, 8 and 9, in table order
+const LATER_ENTRY_COLUMNS = `
+  season INTEGER, episode INTEGER, episodes_total INTEGER,
+  volume INTEGER, volumes_total INTEGER, chapter INTEGER, chapters_total INTEGER,
+  progress_date TEXT,
+  rating INTEGER CHECK (rating BETWEEN 1 AND 10),
+  review TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  deleted_at DATETIME,
+  FOREIGN KEY (media_title_id) REFERENCES media_titles(id) ON DELETE CASCADE
+`;
 
-    // Migrate existing tags from media table if exists
-    // Check both media and media_old (in case normalization migration ran first)
-    const sourceTable = tableNames.includes('media') ? 'media' : 
-                       tableNames.includes('media_old') ? 'media_old' : null;
-    
-    if (sourceTable) {
-      logger.info(`Migrating existing tag data from ${sourceTable}...`);
+const LATER_ENTRY_COLUMN_NAMES = [
+  ...PROGRESS_COLUMNS,
+  'rating',
+  'review',
+  'created_at',
+  'updated_at',
+  'deleted_at',
+];
+
+/**
+ * Recreate media_entries from a new definition, as SQLite cannot change
+ * column constraints in place. `copy` maps new column names to expressions
+ * over the old table. Ids and the AUTOINCREMENT counter are kept, indexes
+ * and search triggers recreated; the caller recreates the `media` view.
+ */
+async function rebuildMediaEntries(db, definition, copy) {
+  const sequence = await db.get(
+    "SELECT seq FROM sqlite_sequence WHERE name = 'media_entries'"
+  );
+
+  await db.exec('DROP VIEW media');
+  for (const trigger of SEARCH_TRIGGERS) {
+    await db.exec(`DROP TRIGGER IF EXISTS ${trigger}`);
+  }
+
+  await db.exec(`CREATE TABLE media_entries_new (${definition})`);
+  await db.exec(`
+    INSERT INTO media_entries_new (${Object.keys(copy).join(', ')})
+    SELECT ${Object.values(copy).join(', ')} FROM media_entries
+  `);
+  await db.exec('DROP TABLE media_entries');
+  await db.exec('ALTER TABLE media_entries_new RENAME TO media_entries');
+
+  if (sequence) {
+    await db.run(
+      "UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = 'media_entries'",
+      [sequence.seq]
+    );
+  }
+
+  await db.exec(`
+    CREATE INDEX idx_media_entries_title ON media_entries(media_title_id);
+    CREATE INDEX idx_media_entries_dates ON media_entries(start_date, end_date);
+    CREATE INDEX idx_media_entries_deleted ON media_entries(deleted_at);
+    CREATE INDEX idx_media_entries_rating ON media_entries(rating);
+  `);
+  await createSearchTriggers(db);
+}
+
+/**
+ * Migration 10: Entry status
+ * `status` (planned, in_progress, completed, dropped) replaces the
+ * `discontinued` flag, which the view still derives for old queries.
+ * Planned entries have no dates, so start_date becomes nullable, and they
+ * are ordered by `priority` in the backlog.
+ */
+const addStatus = {
+  version: 10,
+  name: 'add_status',
+  async up(db) {
+    const copy = {
+      id: 'id',
+      media_title_id: 'media_title_id',
+      status: `CASE WHEN discontinued = 1 THEN 'dropped'
+                    WHEN end_date IS NOT NULL THEN 'completed'
+                    ELSE 'in_progress' END`,
+      start_date: 'start_date',
+      end_date: 'end_date',
+      volume_episode: 'volume_episode',
+      notes: 'notes',
+    };
+    for (const column of LATER_ENTRY_COLUMN_NAMES) {
+      copy[column] = column;
+    }
 
-      // Get all media entries with tags
-      const mediaWithTags = await db.all(
-        `SELECT id, tags FROM ${sourceTable} WHERE tags IS NOT NULL AND tags != ""`
+    await rebuildMediaEntries(
+      db,
+      `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      media_title_id INTEGER NOT NULL,
+      status TEXT NOT NULL DEFAULT 'in_progress'
+        CHECK (status IN ('planned', 'in_progress', 'completed', 'dropped')),
+      priority INTEGER NOT NULL DEFAULT 0,
+      start_date TEXT,
+      end_date TEXT,
+      volume_episode TEXT,
+      notes TEXT,
+      ${LATER_ENTRY_COLUMNS}`,
+      copy
+    );
+    await db.exec(
+      'CREATE INDEX idx_media_entries_status ON media_entries(status, priority)'
+    );
+
+    const counts = await db.all(
+      'SELECT status, COUNT(*) AS count FROM media_entries GROUP BY status ORDER BY status'
+    );
+    logger.info(
+      `Entry statuses: ${counts.map((c) => `${c.status} ${c.count}`).join(', ') || 'none'}`
+    );
+
+    await db.exec(`
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes,
+             e.status = 'dropped' AS discontinued, e.status, e.priority,
+             ${PROGRESS_COLUMNS.map((column) => `e.${column}`).join(', ')},
+             e.rating, e.review, e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
+    `);
+  },
+  async down(db) {
+    // The old schema needs a start date: planned entries start when added
+    const copy = {
+      id: 'id',
+      media_title_id: 'media_title_id',
+      start_date: 'COALESCE(start_date, date(created_at))',
+      end_date: 'end_date',
+      volume_episode: 'volume_episode',
+      notes: 'notes',
+      discontinued: "status = 'dropped'",
+    };
+    for (const column of LATER_ENTRY_COLUMN_NAMES) {
+      copy[column] = column;
+    }
+
+    await rebuildMediaEntries(
+      db,
+      `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      media_title_id INTEGER NOT NULL,
+      start_date TEXT NOT NULL,
+      end_date TEXT,
+      volume_episode TEXT,
+      notes TEXT,
+      discontinued INTEGER DEFAULT 0,
+      ${LATER_ENTRY_COLUMNS}`,
+      copy
+    );
+
+    await db.exec(`
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes, e.discontinued,
+             ${PROGRESS_COLUMNS.map((column) => `e.${column}`).join(', ')},
+             e.rating, e.review, e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
+    `);
+  },
+};
+
+/**
+ * Migration 11: Media types
+ * The list of media types moves from the code into a table (see
+ * ./mediaTypes.js). It is seeded with the built-in types, and any other
+ * type already used by a title is kept with its key as the label.
+ */
+const createMediaTypes = {
+  version: 11,
+  name: 'create_media_types',
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE media_types (
+        key TEXT PRIMARY KEY,
+        label TEXT NOT NULL,
+        emoji TEXT NOT NULL DEFAULT '',
+        colour TEXT NOT NULL,
+        calendar_group TEXT NOT NULL CHECK (calendar_group IN ('read', 'watch')),
+        position INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    for (const [position, type] of DEFAULT_MEDIA_TYPES.entries()) {
+      await db.run(
+        `INSERT INTO media_types (key, label, emoji, colour, calendar_group, position)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+          type.key,
+          type.label,
+          type.emoji,
+          type.colour,
+          type.calendar_group,
+          position + 1,
+        ]
+      );
+    }
+
+    const added = await addMissingMediaTypes(db);
+    if (added > 0) {
+      logger.warn(`Added ${added} media types found in titles`);
+    }
+  },
+  async down(db) {
+    await db.exec('DROP TABLE IF EXISTS media_types');
+  },
+};
+
+// Decode the strings of a stored JSON value (audit changes and snapshots)
+function unescapeJson(json) {
+  return JSON.stringify(JSON.parse(json), (key, value) => unescapeHtml(value));
+}
+
+/**
+ * Migration 12: Raw text
+ * Text used to be stored HTML-escaped by the v1 validators and raw by the
+ * legacy routes; it is now stored raw everywhere and escaped on output.
+ * Titles and tags that become equal to an existing one once decoded are
+ * merged into it.
+ */
+const unescapeStoredText = {
+  version: 12,
+  name: 'unescape_stored_text',
+  async up(db) {
+    const titles = await db.all(
+      "SELECT id, title, author, media_type FROM media_titles WHERE title LIKE '%&%' OR author LIKE '%&%'"
+    );
+    for (const row of titles) {
+      const title = unescapeHtml(row.title);
+      const author = unescapeHtml(row.author);
+      const existing = await db.get(
+        'SELECT id FROM media_titles WHERE title = ? AND author = ? AND media_type = ? AND id != ?',
+        [title, author, row.media_type, row.id]
+      );
+      if (existing) {
+        await db.run(
+          'UPDATE media_entries SET media_title_id = ? WHERE media_title_id = ?',
+          [existing.id, row.id]
+        );
+        await db.run('DELETE FROM media_titles WHERE id = ?', [row.id]);
+      } else {
+        await db.run(
+          'UPDATE media_titles SET title = ?, author = ? WHERE id = ?',
+          [title, author, row.id]
+        );
+      }
+    }
+
+    const entries = await db.all(
+      `SELECT id, volume_episode, notes, review FROM media_entries
+       WHERE volume_episode LIKE '%&%' OR notes LIKE '%&%' OR review LIKE '%&%'`
+    );
+    for (const row of entries) {
+      await db.run(
+        'UPDATE media_entries SET volume_episode = ?, notes = ?, review = ? WHERE id = ?',
+        [
+          unescapeHtml(row.volume_episode),
+          unescapeHtml(row.notes),
+          unescapeHtml(row.review),
+          row.id,
+        ]
       );
+    }
 
-      let migratedTagsCount = 0;
-      let migratedRelationsCount = 0;
-
-      for (const media of mediaWithTags) {
-        // Split comma-separated tags
-        const tagNames = media.tags
-          .split(',')
-          .map((tag) => tag.trim().toLowerCase())
-          .filter((tag) => tag.length > 0);
-
-        for (const tagName of tagNames) {
-          // Check if tag exists
-          let tag = await db.get('SELECT id FROM tags WHERE name = ?', [
-            tagName,
-          ]);
-
-          // Create tag if doesn't exist
-          if (!tag) {
-            const result = await db.run('INSERT INTO tags (name) VALUES (?)', [
-              tagName,
-            ]);
-            tag = { id: result.lastID };
-            migratedTagsCount++;
-          }
-
-          // Create media_tags relationship
-          try {
-            await db.run(
-              'INSERT INTO media_tags (media_id, tag_id) VALUES (?, ?)',
-              [media.id, tag.id]
-            );
-            migratedRelationsCount++;
-          } catch (err) {
-            // Ignore duplicate entries
-            if (!err.message.includes('UNIQUE constraint failed')) {
-              throw err;
-            }
-          }
-        }
+    const tags = await db.all(
+      "SELECT id, name FROM tags WHERE name LIKE '%&%'"
+    );
+    for (const row of tags) {
+      const name = unescapeHtml(row.name);
+      const existing = await db.get(
+        'SELECT id FROM tags WHERE name = ? AND id != ?',
+        [name, row.id]
+      );
+      if (existing) {
+        await db.run(
+          `INSERT OR IGNORE INTO media_tags (media_id, tag_id, created_at)
+           SELECT media_id, ?, created_at FROM media_tags WHERE tag_id = ?`,
+          [existing.id, row.id]
+        );
+        await db.run('DELETE FROM media_tags WHERE tag_id = ?', [row.id]);
+        await db.run('DELETE FROM tags WHERE id = ?', [row.id]);
+      } else {
+        await db.run('UPDATE tags SET name = ? WHERE id = ?', [name, row.id]);
       }
+    }
 
-      logger.info(
-        `Migrated ${migratedTagsCount} unique tags and ${migratedRelationsCount} tag relationships`
+    const goals = await db.all(
+      "SELECT id, tag FROM goals WHERE tag LIKE '%&%'"
+    );
+    for (const row of goals) {
+      await db.run('UPDATE goals SET tag = ? WHERE id = ?', [
+        unescapeHtml(row.tag),
+        row.id,
+      ]);
+    }
+
+    // Past versions are restored from the audit log, so it is decoded too
+    const versions = await db.all(
+      "SELECT id, changes, snapshot FROM media_audit WHERE changes LIKE '%&%' OR snapshot LIKE '%&%'"
+    );
+    for (const row of versions) {
+      await db.run(
+        'UPDATE media_audit SET changes = ?, snapshot = ? WHERE id = ?',
+        [unescapeJson(row.changes), unescapeJson(row.snapshot), row.id]
       );
     }
 
-    // Commit transaction
-    await db.exec('COMMIT');
+    // Renamed tags aren't picked up by the search triggers
+    await db.exec(reindexEntriesSql('1 = 1'));
 
-    logger.info('Tags many-to-many migration completed successfully');
-  } catch (error) {
-    // Rollback on error
-    await db.exec('ROLLBACK');
-    logger.error('Tags migration failed:', error);
-    throw error;
+    const changed = titles.length + entries.length + tags.length + goals.length;
+    if (changed > 0) {
+      logger.info(`Decoded HTML entities in ${changed} stored rows`);
+    }
+  },
+  // Raw text is valid for the older versions too; escaping it again would
+  // also change rows that were stored raw by the legacy routes
+  async down() {},
+};
+
+/**
+ * Recreate a table from a new definition, keeping its rows, ids and
+ * AUTOINCREMENT counter; `copy` maps new column names to expressions over
+ * the old table. Indexes, triggers and views are left to the caller.
+ */
+async function rebuildTable(db, table, definition, copy, params = []) {
+  const sequence = await db.get(
+    'SELECT seq FROM sqlite_sequence WHERE name = ?',
+    [table]
+  );
+
+  await db.exec(`CREATE TABLE ${table}_new (${definition})`);
+  await db.run(
+    `INSERT INTO ${table}_new (${Object.keys(copy).join(', ')})
+     SELECT ${Object.values(copy).join(', ')} FROM ${table}`,
+    params
+  );
+  await db.exec(`DROP TABLE ${table}`);
+  await db.exec(`ALTER TABLE ${table}_new RENAME TO ${table}`);
+
+  if (sequence) {
+    await db.run(
+      'UPDATE sqlite_sequence SET seq = MAX(seq, ?) WHERE name = ?',
+      [sequence.seq, table]
+    );
   }
 }
 
+const TITLE_COLUMNS = `
+  title TEXT NOT NULL,
+  author TEXT NOT NULL DEFAULT '',
+  media_type TEXT NOT NULL,
+  metadata TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+`;
+
+const TITLE_COLUMN_NAMES = [
+  'id',
+  'title',
+  'author',
+  'media_type',
+  'metadata',
+  'created_at',
+  'updated_at',
+];
+
+const sameColumns = (names) =>
+  Object.fromEntries(names.map((name) => [name, name]));
+
+/**
+ * Migration 13: Users
+ * Accounts with hashed passwords and login sessions (see ./users.js).
+ * Titles, and so their entries, tags and goals belong to a user; existing
+ * data goes to a `default` user, whose password is set on first login.
+ * Titles and tags are unique per user.
+ */
+const addUsers = {
+  version: 13,
+  name: 'add_users',
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        password_hash TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await db.exec(`
+      CREATE TABLE sessions (
+        id TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        expires_at DATETIME NOT NULL,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await db.exec('CREATE INDEX idx_sessions_user ON sessions(user_id)');
+
+    const { lastID: owner } = await db.run(
+      'INSERT INTO users (username) VALUES (?)',
+      [DEFAULT_USERNAME]
+    );
+
+    await db.exec('DROP VIEW media');
+    for (const trigger of SEARCH_TRIGGERS) {
+      await db.exec(`DROP TRIGGER IF EXISTS ${trigger}`);
+    }
+
+    await rebuildTable(
+      db,
+      'media_titles',
+      `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      ${TITLE_COLUMNS},
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, title, author, media_type)`,
+      { ...sameColumns(TITLE_COLUMN_NAMES), user_id: '?' },
+      [owner]
+    );
+    await db.exec(`
+      CREATE INDEX idx_media_titles_type ON media_titles(media_type);
+      CREATE INDEX idx_media_titles_user ON media_titles(user_id);
+    `);
+
+    await rebuildTable(
+      db,
+      'tags',
+      `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL,
+      name TEXT NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+      UNIQUE(user_id, name)`,
+      { ...sameColumns(['id', 'name', 'created_at']), user_id: '?' },
+      [owner]
+    );
+
+    // Like deleted_at (migration 5), the column survives a revert
+    if (!(await columnNames(db, 'goals')).includes('user_id')) {
+      await db.exec('ALTER TABLE goals ADD COLUMN user_id INTEGER');
+    }
+    await db.run('UPDATE goals SET user_id = ?', [owner]);
+    await db.exec('CREATE INDEX idx_goals_user ON goals(user_id)');
+
+    await createSearchTriggers(db);
+    await db.exec(`
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.user_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes,
+             e.status = 'dropped' AS discontinued, e.status, e.priority,
+             ${PROGRESS_COLUMNS.map((column) => `e.${column}`).join(', ')},
+             e.rating, e.review, e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
+    `);
+  },
+  async down(db) {
+    await db.exec('DROP VIEW media');
+    for (const trigger of SEARCH_TRIGGERS) {
+      await db.exec(`DROP TRIGGER IF EXISTS ${trigger}`);
+    }
+
+    // Users' titles and tags of the same name are merged into the oldest
+    await db.exec(`
+      UPDATE media_entries SET media_title_id = (
+        SELECT MIN(same.id) FROM media_titles t
+        INNER JOIN media_titles same
+          ON same.title = t.title AND same.author = t.author
+         AND same.media_type = t.media_type
+        WHERE t.id = media_entries.media_title_id
+      );
+      DELETE FROM media_titles WHERE id NOT IN (
+        SELECT MIN(id) FROM media_titles GROUP BY title, author, media_type
+      );
+      INSERT OR IGNORE INTO media_tags (media_id, tag_id, created_at)
+      SELECT mt.media_id, (SELECT MIN(id) FROM tags same WHERE same.name = t.name),
+             mt.created_at
+      FROM media_tags mt INNER JOIN tags t ON t.id = mt.tag_id;
+      DELETE FROM media_tags
+      WHERE tag_id NOT IN (SELECT MIN(id) FROM tags GROUP BY name);
+      DELETE FROM tags WHERE id NOT IN (SELECT MIN(id) FROM tags GROUP BY name);
+    `);
+
+    await rebuildTable(
+      db,
+      'media_titles',
+      `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      ${TITLE_COLUMNS},
+      UNIQUE(title, author, media_type)`,
+      sameColumns(TITLE_COLUMN_NAMES)
+    );
+    await db.exec(
+      'CREATE INDEX idx_media_titles_type ON media_titles(media_type)'
+    );
+    await rebuildTable(
+      db,
+      'tags',
+      `
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL UNIQUE,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP`,
+      sameColumns(['id', 'name', 'created_at'])
+    );
+    await db.exec('CREATE INDEX idx_tags_name ON tags(name)');
+    await db.exec('DROP INDEX IF EXISTS idx_goals_user');
+
+    await db.exec('DROP TABLE sessions');
+    await db.exec('DROP TABLE users');
+
+    await createSearchTriggers(db);
+    await db.exec(`
+      CREATE VIEW media AS
+      SELECT e.id, e.media_title_id, t.title, t.author, t.media_type,
+             e.start_date, e.end_date, e.volume_episode, e.notes,
+             e.status = 'dropped' AS discontinued, e.status, e.priority,
+             ${PROGRESS_COLUMNS.map((column) => `e.${column}`).join(', ')},
+             e.rating, e.review, e.created_at, e.updated_at
+      FROM media_entries e
+      INNER JOIN media_titles t ON t.id = e.media_title_id
+      WHERE e.deleted_at IS NULL
+    `);
+  },
+};
+
+/**
+ * Migration 14: API tokens
+ * Personal access tokens for scripts and integrations (see ./tokens.js);
+ * only a hash of each token is stored.
+ */
+const createApiTokens = {
+  version: 14,
+  name: 'create_api_tokens',
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE api_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        token_hash TEXT NOT NULL UNIQUE,
+        scopes TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        last_used_at DATETIME,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await db.exec('CREATE INDEX idx_api_tokens_user ON api_tokens(user_id)');
+  },
+  async down(db) {
+    await db.exec('DROP TABLE api_tokens');
+  },
+};
+
+/**
+ * Migration 15: share links
+ * Public read-only pages of a user's log behind unguessable slugs (see
+ * ./shares.js); revoking a share deletes its row.
+ */
+const createShares = {
+  version: 15,
+  name: 'create_shares',
+  async up(db) {
+    await db.exec(`
+      CREATE TABLE shares (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        slug TEXT NOT NULL UNIQUE,
+        kind TEXT NOT NULL CHECK(kind IN ('year', 'list')),
+        year INTEGER,
+        media_type TEXT,
+        tag TEXT,
+        show_notes INTEGER NOT NULL DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+    await db.exec('CREATE INDEX idx_shares_user ON shares(user_id)');
+  },
+  async down(db) {
+    await db.exec('DROP TABLE shares');
+  },
+};
+
+/**
+ * Migration 16: instance administrators
+ * Media types are shared by all users, so only an administrator may change
+ * them (see ../middleware/auth.js). The oldest account, which owns the data
+ * from before there were accounts, becomes the first administrator.
+ */
+const addUserAdmin = {
+  version: 16,
+  name: 'add_user_admin',
+  async up(db) {
+    await db.exec(
+      'ALTER TABLE users ADD COLUMN is_admin INTEGER NOT NULL DEFAULT 0'
+    );
+    await db.exec(
+      'UPDATE users SET is_admin = 1 WHERE id = (SELECT MIN(id) FROM users)'
+    );
+  },
+  async down(db) {
+    await db.exec('ALTER TABLE users DROP COLUMN is_admin');
+  },
+};
+
+export const migrations = [
+  createMediaTable,
+  createTagTables,
+  normalizeMedia,
+  createMediaSearch,
+  addSoftDelete,
+  createMediaAudit,
+  createGoals,
+  addProgress,
+  addRating,
+  addStatus,
+  createMediaTypes,
+  unescapeStoredText,
+  addUsers,
+  createApiTokens,
+  createShares,
+  addUserAdmin,
+];
+
 /**
- * Run all migrations
+ * Run all pending migrations
  */
-export async function runMigrations(db) {
-  // Note: Normalization migration is disabled for now as the app still uses the media table
-  // await migrateToNormalizedSchema(db);
-  await migrateToManyToManyTags(db);
+export async function runMigrations(db, options) {
+  return migrateUp(db, migrations, options);
 }
@@ -0,0 +1,206 @@
+/**
+ * Migration Runner
+ * Applies ordered, numbered migrations and records them in schema_migrations
+ */
+
+import logger from '../utils/logger.js';
+
+export async function tableExists(db, name) {
+  const row = await db.get(
+    "SELECT name FROM sqlite_master WHERE type='table' AND name = ?",
+    [name]
+  );
+  return Boolean(row);
+}
+
+export async function columnNames(db, table) {
+  const columns = await db.all(`PRAGMA table_info(${table})`);
+  return columns.map((col) => col.name);
+}
+
+async function ensureMigrationsTable(db) {
+  await db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+async function getAppliedVersions(db) {
+  const rows = await db.all(
+    'SELECT version FROM schema_migrations ORDER BY version'
+  );
+  return rows.map((row) => row.version);
+}
+
+function sortedMigrations(migrations) {
+  return [...migrations].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Databases created before schema_migrations existed have no record of what
+ * ran. On the first run only, migrations that provide a `detect` check are
+ * marked as applied when their changes are already present.
+ */
+async function baselineLegacySchema(db, migrations) {
+  const applied = await getAppliedVersions(db);
+  if (applied.length > 0) {
+    return;
+  }
+
+  for (const migration of migrations) {
+    if (migration.detect && (await migration.detect(db))) {
+      await db.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      logger.info(
+        `Baselined migration ${migration.version} (${migration.name}) on existing database`
+      );
+    }
+  }
+}
+
+/**
+ * Apply pending migrations in version order.
+ * With `dryRun`, every pending migration is executed inside one transaction
+ * that is rolled back, so failures surface without changing the database.
+ * @returns {Promise<Array<{version: number, name: string}>>} applied migrations
+ */
+export async function migrateUp(db, migrations, { dryRun = false, to } = {}) {
+  await ensureMigrationsTable(db);
+
+  const ordered = sortedMigrations(migrations);
+  if (!dryRun) {
+    await baselineLegacySchema(db, ordered);
+  }
+
+  const applied = await getAppliedVersions(db);
+  const pending = ordered.filter(
+    (m) => !applied.includes(m.version) && (to === undefined || m.version <= to)
+  );
+
+  if (pending.length === 0) {
+    logger.info('Database schema is up to date');
+    return [];
+  }
+
+  if (dryRun) {
+    await db.exec('BEGIN TRANSACTION');
+    try {
+      for (const migration of pending) {
+        logger.info(
+          `[dry-run] Applying migration ${migration.version} (${migration.name})`
+        );
+        await migration.up(db);
+      }
+    } finally {
+      await db.exec('ROLLBACK');
+    }
+    logger.info(`[dry-run] ${pending.length} migration(s) would be applied`);
+    return pending.map(({ version, name }) => ({ version, name }));
+  }
+
+  for (const migration of pending) {
+    logger.info(`Applying migration ${migration.version} (${migration.name})...`);
+    await db.exec('BEGIN TRANSACTION');
+    try {
+      await migration.up(db);
+      await db.run(
+        'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+        [migration.version, migration.name]
+      );
+      await db.exec('COMMIT');
+    } catch (error) {
+      await db.exec('ROLLBACK');
+      logger.error(`Migration ${migration.version} failed:`, error);
+      throw error;
+    }
+  }
+
+  logger.info(`Applied ${pending.length} migration(s)`);
+  return pending.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * Revert the most recently applied migrations, newest first.
+ * @returns {Promise<Array<{version: number, name: string}>>} reverted migrations
+ */
+export async function migrateDown(
+  db,
+  migrations,
+  { dryRun = false, steps = 1 } = {}
+) {
+  await ensureMigrationsTable(db);
+
+  const applied = await getAppliedVersions(db);
+  const byVersion = new Map(migrations.map((m) => [m.version, m]));
+  const toRevert = applied
+    .slice()
+    .reverse()
+    .slice(0, steps)
+    .map((version) => {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} is not defined`);
+      }
+      return migration;
+    });
+
+  if (toRevert.length === 0) {
+    logger.info('No migrations to revert');
+    return [];
+  }
+
+  await db.exec('BEGIN TRANSACTION');
+  try {
+    for (const migration of toRevert) {
+      logger.info(
+        `${dryRun ? '[dry-run] ' : ''}Reverting migration ${migration.version} (${migration.name})`
+      );
+      await migration.down(db);
+      await db.run('DELETE FROM schema_migrations WHERE version = ?', [
+        migration.version,
+      ]);
+    }
+    await db.exec(dryRun ? 'ROLLBACK' : 'COMMIT');
+  } catch (error) {
+    await db.exec('ROLLBACK');
+    logger.error('Reverting migrations failed:', error);
+    throw error;
+  }
+
+  return toRevert.map(({ version, name }) => ({ version, name }));
+}
+
+/**
+ * List every known migration with its applied state.
+ */
+export async function getMigrationStatus(db, migrations) {
+  await ensureMigrationsTable(db);
+
+  const rows = await db.all(
+    'SELECT version, applied_at FROM schema_migrations'
+  );
+  const appliedAt = new Map(rows.map((row) => [row.version, row.applied_at]));
+
+  return sortedMigrations(migrations).map(({ version, name }) => ({
+    version,
+    name,
+    applied: appliedAt.has(version),
+    applied_at: appliedAt.get(version) || null,
+  }));
+}
+
+/**
+ * Highest applied migration version (0 for an unmigrated database).
+ */
+export async function getSchemaVersion(db) {
+  await ensureMigrationsTable(db);
+  const row = await db.get(
+    'SELECT COALESCE(MAX(version), 0) AS version FROM schema_migrations'
+  );
+  return row.version;
+}
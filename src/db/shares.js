@@ -0,0 +1,182 @@
+/**
+ * Public share links
+ * A share publishes a read-only page of one user's log under an
+ * unguessable slug: a year in review, or a list of the entries with a tag
+ * and/or of a media type. Revoking a share deletes it, so the link stops
+ * working. Notes and reviews stay private unless the share allows them.
+ */
+
+import { buildMediaFilters, entryTagsSql } from './mediaQuery.js';
+import { getStats, resolvePeriod } from './stats.js';
+import { getActivity } from './activity.js';
+import { CALENDAR_GROUPS, listMediaTypes } from './mediaTypes.js';
+import { generateToken } from '../utils/secrets.js';
+import { ratingSql } from '../utils/rating.js';
+
+export const SHARE_KINDS = ['year', 'list'];
+
+// Tags listed in a year in review
+const TOP_TAGS = 10;
+
+const SHARE_COLUMNS =
+  'id, slug, kind, year, media_type, tag, show_notes, created_at';
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toShare = (row) => ({ ...row, show_notes: Boolean(row.show_notes) });
+
+export async function listShares(db, userId) {
+  const rows = await db.all(
+    `SELECT ${SHARE_COLUMNS} FROM shares WHERE user_id = ? ORDER BY id`,
+    [userId]
+  );
+  return rows.map(toShare);
+}
+
+/**
+ * A year in review keeps only its year and a list only its media type and
+ * tag.
+ * @returns {Promise<{id: number, slug: string}>} the slug is the share's
+ *   address, /share/<slug>
+ */
+export async function createShare(
+  db,
+  userId,
+  { kind, year, media_type, tag, show_notes = false }
+) {
+  const slug = generateToken();
+  const isList = kind === 'list';
+  const result = await db.run(
+    `INSERT INTO shares (user_id, slug, kind, year, media_type, tag, show_notes)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      userId,
+      slug,
+      kind,
+      isList ? null : (year ?? new Date().getFullYear()),
+      (isList && media_type) || null,
+      isList && tag ? tag.toLowerCase() : null,
+      show_notes ? 1 : 0,
+    ]
+  );
+  return { id: result.lastID, slug };
+}
+
+export async function revokeShare(db, userId, id) {
+  const result = await db.run(
+    'DELETE FROM shares WHERE id = ? AND user_id = ?',
+    [id, userId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * The share behind a slug, with its owner's user_id and username, or null.
+ */
+export async function findShare(db, slug) {
+  const row = await db.get(
+    `SELECT s.id, s.user_id, u.username, s.kind, s.year, s.media_type, s.tag,
+            s.show_notes
+     FROM shares s INNER JOIN users u ON u.id = s.user_id
+     WHERE s.slug = ?`,
+    [slug]
+  );
+  return row ? toShare(row) : null;
+}
+
+// Entries of the share's owner matching `query` (see buildMediaFilters),
+// newest first with planned entries last
+async function sharedEntries(db, share, query) {
+  const filters = buildMediaFilters(query, share.user_id);
+  return db.all(
+    `SELECT title, author, media_type, volume_episode, start_date, end_date,
+            status, ${ratingSql()} AS rating,
+            ${share.show_notes ? 'notes, review,' : ''}
+            ${entryTagsSql('media.id')} AS tags
+     FROM media
+     WHERE ${filters.conditions.join(' AND ')}
+     ORDER BY COALESCE(start_date, '') DESC, title COLLATE NOCASE`,
+    filters.params
+  );
+}
+
+/**
+ * The year's statistics per media type, its most used tags, a calendar per
+ * calendar group (see calendarMonths) and its entries.
+ */
+export async function getYearInReview(db, share) {
+  const period = resolvePeriod({ period: 'year', year: share.year });
+  const userId = share.user_id;
+
+  const stats = await getStats(db, { period, userId });
+  const byTag = await getStats(db, { period, groupBy: 'tag', userId });
+  const activity = await getActivity(db, {
+    from: period.from,
+    to: period.to,
+    details: true,
+    userId,
+  });
+  const mediaTypes = await listMediaTypes(db);
+
+  return {
+    totals: stats.totals,
+    groups: stats.groups,
+    topTags: byTag.groups
+      .filter((group) => group.key !== null)
+      .slice(0, TOP_TAGS)
+      .map(({ key, count }) => ({ tag: key, count })),
+    calendars: CALENDAR_GROUPS.map((group) => ({
+      group,
+      months: calendarMonths(
+        share.year,
+        activity.days,
+        mediaTypes
+          .filter((type) => type.calendar_group === group)
+          .map((type) => type.key)
+      ),
+    })),
+    entries: await sharedEntries(db, share, { year: share.year }),
+  };
+}
+
+/**
+ * Entries with the share's tag and/or media type.
+ */
+export async function getSharedList(db, share) {
+  return {
+    entries: await sharedEntries(db, share, {
+      media_type: share.media_type ?? undefined,
+      tags: share.tag ?? undefined,
+    }),
+  };
+}
+
+/**
+ * Month grids for a year's calendar: the number of blank cells before the
+ * 1st (weeks start on Monday) and, per day, the entries of `mediaTypes`
+ * active on it.
+ * @param {number} year
+ * @param {Object[]} days active days from getActivity with details
+ * @param {string[]} mediaTypes media types shown on the calendar
+ */
+export function calendarMonths(year, days, mediaTypes) {
+  const entriesByDate = new Map(
+    days.map((day) => [
+      day.date,
+      day.entries.filter((entry) => mediaTypes.includes(entry.media_type)),
+    ])
+  );
+
+  return Array.from({ length: 12 }, (_, month) => {
+    const length = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+    const firstDay = new Date(Date.UTC(year, month, 1)).getUTCDay();
+    return {
+      month,
+      blanks: (firstDay + 6) % 7,
+      days: Array.from({ length }, (_, i) => {
+        const date = `${year}-${pad(month + 1)}-${pad(i + 1)}`;
+        return { day: i + 1, entries: entriesByDate.get(date) || [] };
+      }),
+    };
+  });
+}
@@ -0,0 +1,201 @@
+/**
+ * Statistics over consumption entries
+ * Aggregates are computed in SQL over every entry whose consumption period
+ * overlaps the requested period; days are the entry's whole length.
+ */
+
+import { buildMediaFilters, entryDaysSql } from './mediaQuery.js';
+import { ratingSql } from '../utils/rating.js';
+
+export const STATS_PERIODS = ['year', 'month', 'week', 'custom'];
+
+// Group key expression per group_by option, over the filtered entries `m`.
+// Entries with several tags count once for each tag; months are the month
+// an entry was finished (or started, while still in progress).
+const GROUPS = {
+  media_type: { key: 'm.media_type' },
+  author: { key: "NULLIF(m.author, '')" },
+  month: { key: "strftime('%Y-%m', COALESCE(m.end_date, m.start_date))" },
+  tag: {
+    key: 't.name',
+    join: `LEFT JOIN media_tags mt ON mt.media_id = m.id
+           LEFT JOIN tags t ON t.id = mt.tag_id`,
+  },
+};
+
+export const STATS_GROUPS = Object.keys(GROUPS);
+
+const pad = (n) => String(n).padStart(2, '0');
+const isoDate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * First and last day of an ISO 8601 week, or null if the year has no such
+ * week. Week 1 is the week containing January 4th.
+ */
+export function isoWeekRange(year, week) {
+  const jan4 = new Date(Date.UTC(year, 0, 4));
+  const monday = new Date(jan4);
+  monday.setUTCDate(
+    jan4.getUTCDate() - ((jan4.getUTCDay() + 6) % 7) + (week - 1) * 7
+  );
+  const sunday = new Date(monday);
+  sunday.setUTCDate(monday.getUTCDate() + 6);
+
+  // A week belongs to the year its Thursday falls in
+  const thursday = new Date(monday);
+  thursday.setUTCDate(monday.getUTCDate() + 3);
+  if (week < 1 || thursday.getUTCFullYear() !== year) {
+    return null;
+  }
+  return { from: isoDate(monday), to: isoDate(sunday) };
+}
+
+/**
+ * Turn period query parameters into a date range.
+ * year: `year`; month: `year` + `month`; week: `week` as YYYY-Www;
+ * custom: `from` + `to`. The year defaults to the current one.
+ * @returns {{type: string, from: string, to: string}}
+ */
+export function resolvePeriod({
+  period = 'year',
+  year,
+  month,
+  week,
+  from,
+  to,
+}) {
+  const y = year ? parseInt(year) : new Date().getFullYear();
+
+  switch (period) {
+    case 'month': {
+      const m = parseInt(month);
+      const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+      return {
+        type: period,
+        from: `${y}-${pad(m)}-01`,
+        to: `${y}-${pad(m)}-${pad(lastDay)}`,
+      };
+    }
+    case 'week': {
+      const [, weekYear, weekNumber] = /^(\d{4})-W(\d{2})$/.exec(week);
+      return {
+        type: period,
+        ...isoWeekRange(parseInt(weekYear), parseInt(weekNumber)),
+      };
+    }
+    case 'custom':
+      return { type: period, from, to };
+    default:
+      return { type: 'year', from: `${y}-01-01`, to: `${y}-12-31` };
+  }
+}
+
+const emptySummary = () => ({
+  count: 0,
+  completed: 0,
+  in_progress: 0,
+  discontinued: 0,
+  total_days: 0,
+  avg_days: null,
+  longest: null,
+  shortest: null,
+  rated: 0,
+  avg_rating: null,
+});
+
+// Counts, days, average rating and the longest/shortest finished entry per
+// group key
+async function summarize(db, filters, { key, join = '' }) {
+  const where = filters.conditions.length
+    ? `WHERE ${filters.conditions.join(' AND ')}`
+    : '';
+  const grouped = `
+    WITH entries AS (
+      SELECT id, title, author, media_type, start_date, end_date, discontinued,
+             rating, ${entryDaysSql()} AS days
+      FROM media
+      ${where}
+    ), grouped AS (
+      SELECT ${key} AS group_key, m.* FROM entries m ${join}
+    )`;
+
+  const rows = await db.all(
+    `${grouped}
+     SELECT group_key AS key, COUNT(*) AS count,
+            SUM(end_date IS NOT NULL AND discontinued = 0) AS completed,
+            SUM(end_date IS NULL AND discontinued = 0) AS in_progress,
+            SUM(discontinued = 1) AS discontinued,
+            COALESCE(SUM(days), 0) AS total_days,
+            ROUND(AVG(days), 1) AS avg_days,
+            COUNT(rating) AS rated,
+            ROUND(${ratingSql('AVG(rating)')}, 2) AS avg_rating
+     FROM grouped
+     GROUP BY group_key
+     ORDER BY count DESC, group_key`,
+    filters.params
+  );
+
+  const extremes = await db.all(
+    `${grouped}, ranked AS (
+       SELECT group_key, id, title, author, media_type, start_date, end_date, days,
+              ROW_NUMBER() OVER (PARTITION BY group_key ORDER BY days DESC, start_date, id) AS longest_rank,
+              ROW_NUMBER() OVER (PARTITION BY group_key ORDER BY days ASC, start_date, id) AS shortest_rank
+       FROM grouped
+       WHERE days IS NOT NULL
+     )
+     SELECT * FROM ranked WHERE longest_rank = 1 OR shortest_rank = 1`,
+    filters.params
+  );
+
+  return rows.map((row) => {
+    const summary = { ...emptySummary(), ...row };
+    for (const {
+      group_key,
+      longest_rank,
+      shortest_rank,
+      ...entry
+    } of extremes) {
+      if (group_key !== row.key) {
+        continue;
+      }
+      if (longest_rank === 1) {
+        summary.longest = entry;
+      }
+      if (shortest_rank === 1) {
+        summary.shortest = entry;
+      }
+    }
+    return summary;
+  });
+}
+
+/**
+ * Statistics for a period, overall and per group.
+ * @param {Object} options
+ * @param {{from: string, to: string}} options.period date range
+ * @param {string} options.groupBy one of STATS_GROUPS
+ * @param {Object} options.filters extra media filters (media_type, tags, tags_match)
+ * @param {number} [options.userId] only count this user's entries
+ */
+export async function getStats(
+  db,
+  { period, groupBy = 'media_type', filters = {}, userId }
+) {
+  const conditions = buildMediaFilters(
+    {
+      from: period.from,
+      to: period.to,
+      media_type: filters.media_type,
+      tags: filters.tags,
+      tags_match: filters.tags_match,
+    },
+    userId
+  );
+
+  const [totals] = await summarize(db, conditions, { key: "'all'" });
+  const groups = await summarize(db, conditions, GROUPS[groupBy]);
+
+  const overall = totals || emptySummary();
+  delete overall.key;
+  return { period, group_by: groupBy, totals: overall, groups };
+}
@@ -0,0 +1,82 @@
+/**
+ * Personal access tokens
+ * Scripts and integrations authenticate with a token sent as a Bearer
+ * header instead of a session cookie. A token acts for the user who created
+ * it, limited to its scopes; like sessions, only its hash is stored, so the
+ * token itself is shown once, when it is created.
+ */
+
+import { generateToken, hashToken } from '../utils/secrets.js';
+
+// Each scope includes the ones before it: write can also read, and admin
+// can also manage tokens, accounts, media types and restores
+export const TOKEN_SCOPES = ['read', 'write', 'admin'];
+
+// Makes tokens recognisable, e.g. to secret scanners
+export const TOKEN_PREFIX = 'mlg_';
+
+export function hasScope(scopes, scope) {
+  const level = TOKEN_SCOPES.indexOf(scope);
+  return scopes.some((granted) => TOKEN_SCOPES.indexOf(granted) >= level);
+}
+
+function toToken(row) {
+  return { ...row, scopes: row.scopes.split(',') };
+}
+
+export async function listTokens(db, userId) {
+  const rows = await db.all(
+    `SELECT id, name, scopes, created_at, last_used_at FROM api_tokens
+     WHERE user_id = ? ORDER BY id`,
+    [userId]
+  );
+  return rows.map(toToken);
+}
+
+/**
+ * @returns {Promise<{id: number, token: string}>} the token to hand to the
+ *   client; it can't be read back later
+ */
+export async function createToken(db, userId, { name, scopes }) {
+  const token = `${TOKEN_PREFIX}${generateToken()}`;
+  const result = await db.run(
+    'INSERT INTO api_tokens (user_id, name, token_hash, scopes) VALUES (?, ?, ?, ?)',
+    [userId, name, hashToken(token), [...new Set(scopes)].join(',')]
+  );
+  return { id: result.lastID, token };
+}
+
+export async function revokeToken(db, userId, id) {
+  const result = await db.run(
+    'DELETE FROM api_tokens WHERE id = ? AND user_id = ?',
+    [id, userId]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * The user and scopes a token grants, or null for an unknown or revoked
+ * token. Records when the token was last used.
+ */
+export async function authenticateToken(db, token) {
+  const row = await db.get(
+    `SELECT k.id AS token_id, k.scopes, u.id, u.username, u.is_admin,
+            u.created_at, u.updated_at
+     FROM api_tokens k INNER JOIN users u ON u.id = k.user_id
+     WHERE k.token_hash = ?`,
+    [hashToken(token)]
+  );
+  if (!row) {
+    return null;
+  }
+  await db.run(
+    'UPDATE api_tokens SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [row.token_id]
+  );
+
+  const { token_id, scopes, is_admin, ...user } = row;
+  return {
+    user: { ...user, is_admin: Boolean(is_admin) },
+    token: { id: token_id, scopes: scopes.split(',') },
+  };
+}
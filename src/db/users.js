@@ -0,0 +1,160 @@
+/**
+ * Users and login sessions
+ * Every title, tag and goal belongs to a user. A session is a random token
+ * kept in a cookie; the database only holds its hash (see ../utils/secrets.js).
+ */
+
+import {
+  hashPassword,
+  verifyPassword,
+  generateToken,
+  hashToken,
+} from '../utils/secrets.js';
+
+// Owner of the data from before there were accounts; it has no password
+// until the first login sets one up
+export const DEFAULT_USERNAME = 'default';
+
+// A well-formed scrypt hash no password matches
+const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(128)}`;
+
+const USER_COLUMNS = 'id, username, is_admin, created_at, updated_at';
+
+// Administrators may change what all users share, such as media types
+const toUser = (row) =>
+  row ? { ...row, is_admin: Boolean(row.is_admin) } : null;
+
+export async function listUsers(db) {
+  const rows = await db.all(
+    `SELECT ${USER_COLUMNS} FROM users ORDER BY username`
+  );
+  return rows.map(toUser);
+}
+
+export async function getUser(db, id) {
+  const row = await db.get(`SELECT ${USER_COLUMNS} FROM users WHERE id = ?`, [
+    id,
+  ]);
+  return toUser(row);
+}
+
+// Usernames are case-insensitive
+export async function findUser(db, username) {
+  const row = await db.get(
+    `SELECT ${USER_COLUMNS} FROM users WHERE username = ?`,
+    [username]
+  );
+  return toUser(row);
+}
+
+/**
+ * Whether any user can log in; until then the page offers to set up the
+ * default user's credentials.
+ */
+export async function hasPasswords(db) {
+  const row = await db.get(
+    'SELECT 1 FROM users WHERE password_hash IS NOT NULL LIMIT 1'
+  );
+  return Boolean(row);
+}
+
+/**
+ * @returns {Promise<number>} the new user's id
+ * @throws if the username is taken (SQLITE_CONSTRAINT)
+ */
+export async function createUser(db, { username, password, isAdmin = false }) {
+  const result = await db.run(
+    'INSERT INTO users (username, password_hash, is_admin) VALUES (?, ?, ?)',
+    [username, await hashPassword(password), isAdmin ? 1 : 0]
+  );
+  return result.lastID;
+}
+
+export async function setAdmin(db, id, isAdmin) {
+  await db.run(
+    'UPDATE users SET is_admin = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [isAdmin ? 1 : 0, id]
+  );
+}
+
+// Changing the password ends the user's other sessions
+export async function setPassword(db, id, password, { keepSession } = {}) {
+  await db.run(
+    `UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [await hashPassword(password), id]
+  );
+  await db.run('DELETE FROM sessions WHERE user_id = ? AND id != ?', [
+    id,
+    keepSession ? hashToken(keepSession) : '',
+  ]);
+}
+
+export async function renameUser(db, id, username) {
+  await db.run(
+    'UPDATE users SET username = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+    [username, id]
+  );
+}
+
+/**
+ * @returns {Promise<Object|null>} the user, or null for an unknown username
+ *   or a wrong password
+ */
+export async function authenticateUser(db, username, password) {
+  const row = await db.get(
+    'SELECT id, password_hash FROM users WHERE username = ?',
+    [username]
+  );
+  // Unknown users and users without a password still cost a scrypt
+  // comparison, so response times don't tell which usernames exist
+  const valid = await verifyPassword(
+    password,
+    row?.password_hash || DUMMY_PASSWORD_HASH
+  );
+  if (!row?.password_hash || !valid) {
+    return null;
+  }
+  return getUser(db, row.id);
+}
+
+/**
+ * Start a session lasting `days`.
+ * @returns {Promise<string>} the token to hand to the client
+ */
+export async function createSession(db, userId, days) {
+  const token = generateToken();
+  await db.run(
+    `INSERT INTO sessions (id, user_id, expires_at)
+     VALUES (?, ?, datetime('now', ?))`,
+    [hashToken(token), userId, `+${days} days`]
+  );
+  return token;
+}
+
+/**
+ * The user a session token belongs to, or null if it is unknown or expired.
+ */
+export async function getSessionUser(db, token) {
+  const row = await db.get(
+    `SELECT u.id, u.username, u.is_admin, u.created_at, u.updated_at
+     FROM sessions s INNER JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.expires_at > datetime('now')`,
+    [hashToken(token)]
+  );
+  return toUser(row);
+}
+
+export async function deleteSession(db, token) {
+  await db.run('DELETE FROM sessions WHERE id = ?', [hashToken(token)]);
+}
+
+/**
+ * @returns {Promise<number>} the number of expired sessions removed
+ */
+export async function purgeExpiredSessions(db) {
+  const result = await db.run(
+    "DELETE FROM sessions WHERE expires_at <= datetime('now')"
+  );
+  return result.changes;
+}
@@ -0,0 +1,118 @@
+/**
+ * Media log CSV import/export
+ * Maps spreadsheet columns onto media fields and back.
+ */
+
+import { parseCsv, formatCsv, unescapeCell } from '../utils/csv.js';
+import { PROGRESS_FIELDS } from '../utils/progress.js';
+
+// Column order used by the export and recognised by the import. Ratings are
+// on the configured scale (RATING_SCALE), as in the API.
+export const MEDIA_CSV_COLUMNS = [
+  'title',
+  'author',
+  'media_type',
+  'start_date',
+  'end_date',
+  'volume_episode',
+  'tags',
+  'notes',
+  'discontinued',
+  'status',
+  'priority',
+  ...PROGRESS_FIELDS,
+  'rating',
+  'review',
+];
+
+// Planned entries have no start date, so a file with a status column may
+// leave it out; rows still need a start date unless they are planned
+const REQUIRED_COLUMNS = ['title', 'media_type'];
+
+export class CsvImportError extends Error {}
+
+export function mediaToCsv(entries) {
+  const rows = entries.map((entry) =>
+    MEDIA_CSV_COLUMNS.map((column) =>
+      column === 'discontinued' ? Boolean(entry.discontinued) : entry[column]
+    )
+  );
+  return formatCsv([MEDIA_CSV_COLUMNS, ...rows]);
+}
+
+/**
+ * Resolve which media field each CSV column feeds. Explicit `mapping`
+ * entries ({ "Tytuł": "title" }) win; other headers are used when they
+ * already name a media field. Unknown columns are ignored.
+ */
+function resolveColumns(headers, mapping = {}) {
+  const columns = headers.map((header) => {
+    const name = header.trim();
+    if (Object.prototype.hasOwnProperty.call(mapping, name)) {
+      return mapping[name] || null;
+    }
+    const normalized = name.toLowerCase();
+    return MEDIA_CSV_COLUMNS.includes(normalized) ? normalized : null;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter((field) => !columns.includes(field));
+  if (!columns.includes('start_date') && !columns.includes('status')) {
+    missing.push('start_date');
+  }
+  if (missing.length > 0) {
+    throw new CsvImportError(`Missing required columns: ${missing.join(', ')}`);
+  }
+
+  const duplicate = columns.find(
+    (field, i) => field && columns.indexOf(field) !== i
+  );
+  if (duplicate) {
+    throw new CsvImportError(`More than one column maps to ${duplicate}`);
+  }
+
+  return columns;
+}
+
+/**
+ * Parse CSV text into media items, one per data row. Empty cells are left
+ * out so optional fields fall back to their defaults, and the apostrophe
+ * the export puts before formula-like text is removed.
+ * @returns {{ mapping: Object, items: Object[] }}
+ */
+export function csvToMediaItems(text, { mapping, delimiter = ',' } = {}) {
+  let rows;
+  try {
+    rows = parseCsv(text, delimiter);
+  } catch (error) {
+    throw new CsvImportError(`Invalid CSV: ${error.message}`);
+  }
+
+  if (rows.length < 2) {
+    throw new CsvImportError(
+      'CSV must contain a header row and at least one data row'
+    );
+  }
+
+  const [headers, ...dataRows] = rows;
+  const columns = resolveColumns(headers, mapping);
+
+  const items = dataRows.map((cells) => {
+    const item = {};
+    columns.forEach((field, i) => {
+      const value = unescapeCell((cells[i] ?? '').trim());
+      if (field && value !== '') {
+        item[field] = value;
+      }
+    });
+    return item;
+  });
+
+  const resolved = {};
+  headers.forEach((header, i) => {
+    if (columns[i]) {
+      resolved[header.trim()] = columns[i];
+    }
+  });
+
+  return { mapping: resolved, items };
+}
@@ -0,0 +1,112 @@
+/**
+ * Goodreads library export importer
+ * Reads goodreads_library_export.csv ("My Books" → Import and export).
+ * "Read Count" is ignored: the export only dates the latest read, so each
+ * book becomes one entry.
+ */
+
+import { parseCsvRecords } from '../utils/csv.js';
+import { starsToRating } from '../utils/rating.js';
+
+// Exclusive shelves describe reading state; every other shelf becomes a tag
+const EXCLUSIVE_SHELVES = ['read', 'currently-reading', 'to-read'];
+
+const REQUIRED_HEADERS = [
+  'Title',
+  'Author',
+  'Exclusive Shelf',
+  'Date Read',
+  'Date Added',
+];
+
+// Goodreads writes dates as YYYY/MM/DD
+function toIsoDate(value) {
+  const match = /^(\d{4})[/-](\d{2})[/-](\d{2})$/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+function reviewToNotes(review) {
+  return review
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<[^>]+>/g, '')
+    .trim()
+    .slice(0, 1000);
+}
+
+/**
+ * Map a Goodreads export onto media items.
+ * Finished books use "Date Read" as both start and end date (the export has
+ * no start date); books being read start on "Date Added" and stay open.
+ * @returns {{ rows: Array<{index: number, item: Object}>, skipped: Object[] }}
+ */
+export function parseGoodreads(text) {
+  const records = parseCsvRecords(text);
+  if (records.length > 0) {
+    const missing = REQUIRED_HEADERS.filter(
+      (header) => !(header in records[0])
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Not a Goodreads export (missing: ${missing.join(', ')})`
+      );
+    }
+  }
+
+  const rows = [];
+  const skipped = [];
+
+  records.forEach((record, index) => {
+    const title = record['Title'];
+    const shelf = record['Exclusive Shelf'];
+    const dateRead = toIsoDate(record['Date Read']);
+    const dateAdded = toIsoDate(record['Date Added']);
+
+    if (shelf === 'to-read') {
+      skipped.push({ index, title, reason: 'Book is on the to-read shelf' });
+      return;
+    }
+
+    let startDate;
+    let endDate = null;
+    if (shelf === 'currently-reading') {
+      startDate = dateAdded;
+    } else {
+      startDate = dateRead || dateAdded;
+      endDate = startDate;
+    }
+
+    if (!startDate) {
+      skipped.push({ index, title, reason: 'No read or added date' });
+      return;
+    }
+
+    const tags = (record['Bookshelves'] || '')
+      .split(',')
+      .map((shelfName) => shelfName.trim())
+      .filter(
+        (shelfName) => shelfName && !EXCLUSIVE_SHELVES.includes(shelfName)
+      );
+
+    const item = {
+      title,
+      author: record['Author'],
+      media_type: 'book',
+      start_date: startDate,
+      end_date: endDate,
+      tags: tags.join(', '),
+    };
+    // "My Rating" is 1-5 stars, 0 when unrated
+    const rating = starsToRating(record['My Rating']);
+    if (rating !== null) {
+      item.rating = rating;
+    }
+    const notes = reviewToNotes(record['My Review'] || '');
+    if (notes) {
+      item.notes = notes;
+    }
+
+    rows.push({ index, item });
+  });
+
+  return { rows, skipped };
+}
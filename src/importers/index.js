@@ -0,0 +1,29 @@
+/**
+ * Importers for exports from other services
+ * Each importer turns file contents into `{ rows, skipped }`, where rows
+ * are `{ index, item }` pairs ready for validation and insertion.
+ */
+
+import { CsvImportError } from './csv.js';
+import { parseGoodreads } from './goodreads.js';
+import { parseLetterboxd } from './letterboxd.js';
+
+export const IMPORTERS = {
+  goodreads: parseGoodreads,
+  letterboxd: parseLetterboxd,
+};
+
+export function parseServiceExport(source, text) {
+  const importer = IMPORTERS[source];
+  if (!importer) {
+    throw new CsvImportError(
+      `Unknown import source: ${source} (use ${Object.keys(IMPORTERS).join(' or ')})`
+    );
+  }
+
+  try {
+    return importer(text);
+  } catch (error) {
+    throw new CsvImportError(error.message);
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Letterboxd diary importer
+ * Reads diary.csv from the Letterboxd data export (Settings → Data).
+ */
+
+import { parseCsvRecords } from '../utils/csv.js';
+import { starsToRating } from '../utils/rating.js';
+
+const REQUIRED_HEADERS = ['Name', 'Watched Date'];
+
+/**
+ * Map diary rows onto movie entries watched on a single day. Every diary
+ * row, including rewatches, becomes its own entry under the same title.
+ * @returns {{ rows: Array<{index: number, item: Object}>, skipped: Object[] }}
+ */
+export function parseLetterboxd(text) {
+  const records = parseCsvRecords(text);
+  if (records.length > 0) {
+    const missing = REQUIRED_HEADERS.filter(
+      (header) => !(header in records[0])
+    );
+    if (missing.length > 0) {
+      throw new Error(
+        `Not a Letterboxd diary (missing: ${missing.join(', ')})`
+      );
+    }
+  }
+
+  const rows = [];
+  const skipped = [];
+
+  records.forEach((record, index) => {
+    const title = record['Name'];
+    const watched = record['Watched Date'] || record['Date'];
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(watched)) {
+      skipped.push({ index, title, reason: 'No watched date' });
+      return;
+    }
+
+    const item = {
+      title,
+      media_type: 'movie',
+      start_date: watched,
+      end_date: watched,
+      tags: record['Tags'] || '',
+    };
+    // "Rating" is 0.5-5 stars, empty when unrated
+    const rating = starsToRating(record['Rating']);
+    if (rating !== null) {
+      item.rating = rating;
+    }
+    if (record['Rewatch'] === 'Yes') {
+      item.notes = 'Rewatch';
+    }
+
+    rows.push({ index, item });
+  });
+
+  return { rows, skipped };
+}
@@ -0,0 +1,151 @@
+/**
+ * Session and API token authentication
+ * The session token travels in an HttpOnly cookie; `sessionAuth` looks it
+ * up and sets `req.user`, and `requireUser` turns requests without a user
+ * away. Scripts send an API token as a Bearer header instead, which
+ * `bearerAuth` checks and which sets `req.token` with its scopes.
+ * `requireAdmin` keeps instance-wide changes to administrators.
+ */
+
+import env from '../config/env.js';
+import { getSessionUser } from '../db/users.js';
+import { authenticateToken, hasScope } from '../db/tokens.js';
+
+export const SESSION_COOKIE = 'medialog_session';
+
+export function parseCookies(header = '') {
+  const cookies = {};
+  for (const pair of header.split(';')) {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      const value = pair.slice(index + 1).trim();
+      try {
+        cookies[pair.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch {
+        // Ignore malformed cookies
+      }
+    }
+  }
+  return cookies;
+}
+
+export function sessionToken(req) {
+  return parseCookies(req.headers.cookie)[SESSION_COOKIE] || null;
+}
+
+/**
+ * Set `req.user` from the session cookie, if it names a live session.
+ * @param {Function} getDb returns the current database
+ */
+export const sessionAuth = (getDb) => async (req, res, next) => {
+  const token = sessionToken(req);
+  try {
+    req.user = token ? await getSessionUser(getDb(), token) : null;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authenticate requests with an `Authorization: Bearer <token>` header as
+ * the token's user; an unknown or revoked token is rejected even when a
+ * session cookie is present.
+ * @param {Function} getDb returns the current database
+ */
+export const bearerAuth = (getDb) => async (req, res, next) => {
+  const header = req.headers.authorization;
+  if (!header) {
+    return next();
+  }
+
+  const [scheme, token] = header.split(' ');
+  if (scheme !== 'Bearer' || !token) {
+    return res
+      .status(401)
+      .json({ error: 'Authorization must be a Bearer token' });
+  }
+
+  useToken(getDb(), token, req, res, next);
+};
+
+/**
+ * Accept the API token as a `?token=` query parameter too, for clients that
+ * can't send headers, such as calendar apps subscribing to a feed. Mount it
+ * only on the routes meant for them: URLs end up in logs and histories.
+ * @param {Function} getDb returns the current database
+ */
+export const queryTokenAuth = (getDb) => (req, res, next) => {
+  const { token } = req.query;
+  if (req.token || typeof token !== 'string') {
+    return next();
+  }
+  useToken(getDb(), token, req, res, next);
+};
+
+// Act as the token's user, with its scopes
+async function useToken(db, token, req, res, next) {
+  try {
+    const found = await authenticateToken(db, token);
+    if (!found) {
+      return res.status(401).json({ error: 'Invalid API token' });
+    }
+    req.user = found.user;
+    req.token = found.token;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+export function requireUser(req, res, next) {
+  if (!req.user) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+}
+
+// Requests made with a token need a scope; logged-in sessions have them all
+function checkScope(req, res, next, scope) {
+  if (req.token && !hasScope(req.token.scopes, scope)) {
+    return res
+      .status(403)
+      .json({ error: `This API token lacks the ${scope} scope` });
+  }
+  next();
+}
+
+/**
+ * Reading needs the `read` scope and any other method `write`.
+ */
+export function requireMethodScope(req, res, next) {
+  const scope = ['GET', 'HEAD', 'OPTIONS'].includes(req.method)
+    ? 'read'
+    : 'write';
+  checkScope(req, res, next, scope);
+}
+
+export const requireScope = (scope) => (req, res, next) =>
+  checkScope(req, res, next, scope);
+
+// For what all users share, such as media types
+export function requireAdmin(req, res, next) {
+  if (!req.user.is_admin) {
+    return res.status(403).json({ error: 'Only an administrator can do this' });
+  }
+  next();
+}
+
+export function setSessionCookie(res, token) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: env.NODE_ENV === 'production',
+    maxAge: env.SESSION_TTL_DAYS * 24 * 60 * 60 * 1000,
+    path: '/',
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { path: '/' });
+}
@@ -1,12 +1,17 @@
 import rateLimit from 'express-rate-limit';
 import env from '../config/env.js';
 
+// Requests with an API token (see ./auth.js) are counted per token, others
+// per IP
+const clientKey = (req) => (req.token ? `token:${req.token.id}` : req.ip);
+
 // Create rate limiter middleware
 export const apiLimiter = rateLimit({
   windowMs: env.RATE_LIMIT_WINDOW_MS, // 15 minutes
-  max: env.RATE_LIMIT_MAX_REQUESTS, // limit each IP to 100 requests per windowMs
+  max: env.RATE_LIMIT_MAX_REQUESTS, // limit each IP or token to 100 requests per windowMs
+  keyGenerator: clientKey,
   message: {
-    error: 'Too many requests from this IP, please try again later.',
+    error: 'Too many requests, please try again later.',
   },
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
@@ -16,8 +21,20 @@ export const apiLimiter = rateLimit({
 export const writeApiLimiter = rateLimit({
   windowMs: env.RATE_LIMIT_WINDOW_MS,
   max: Math.floor(env.RATE_LIMIT_MAX_REQUESTS / 2), // 50 requests
+  keyGenerator: clientKey,
+  message: {
+    error: 'Too many write requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Login attempts, so passwords can't be guessed at the API's pace
+export const loginLimiter = rateLimit({
+  windowMs: env.RATE_LIMIT_WINDOW_MS,
+  max: Math.max(Math.floor(env.RATE_LIMIT_MAX_REQUESTS / 10), 5), // 10 requests
   message: {
-    error: 'Too many write requests from this IP, please try again later.',
+    error: 'Too many login attempts from this IP, please try again later.',
   },
   standardHeaders: true,
   legacyHeaders: false,
@@ -1,105 +1,129 @@
 import { body, param, query, validationResult } from 'express-validator';
+import env from '../config/env.js';
+import { SORT_FIELDS, toList, decodeCursor } from '../db/mediaQuery.js';
+import { MEDIA_CSV_COLUMNS } from '../importers/csv.js';
+import { IMPORTERS } from '../importers/index.js';
+import { STATS_PERIODS, STATS_GROUPS, isoWeekRange } from '../db/stats.js';
+import { GOAL_PERIODS } from '../db/goals.js';
+import { PROGRESS_UNITS } from '../utils/progress.js';
+import { RATING_SCALE, RATING_STEP, isValidRating } from '../utils/rating.js';
+import { ENTRY_STATUSES } from '../utils/status.js';
+import {
+  CALENDAR_GROUPS,
+  MEDIA_TYPE_KEY_PATTERN,
+  mediaTypeKeys,
+} from '../db/mediaTypes.js';
+import { TOKEN_SCOPES } from '../db/tokens.js';
+import { SHARE_KINDS } from '../db/shares.js';
+import { createMediaSchemas, formatIssues } from '../schemas/media.js';
+
+const RATING_MESSAGE = `must be between ${RATING_STEP} and ${RATING_SCALE} in steps of ${RATING_STEP}`;
+
+// Media types come from the media_types table, so they are checked when a
+// request is validated rather than listed in the chains
+function isKnownMediaType(value) {
+  if (!mediaTypeKeys().includes(value)) {
+    throw new Error(`Media type must be one of: ${mediaTypeKeys().join(', ')}`);
+  }
+  return true;
+}
+
+// Accepts one media type or a comma-separated / repeated list of them
+function isMediaTypeList(value) {
+  const types = toList(value);
+  if (types.length === 0) {
+    throw new Error('Media type must not be empty');
+  }
+  types.forEach(isKnownMediaType);
+  return true;
+}
+
+// Accepts one status or a comma-separated / repeated list of them
+function isStatusList(value) {
+  const statuses = toList(value);
+  if (statuses.length === 0) {
+    throw new Error('Status must not be empty');
+  }
+  for (const status of statuses) {
+    if (!ENTRY_STATUSES.includes(status)) {
+      throw new Error(`Status must be one of: ${ENTRY_STATUSES.join(', ')}`);
+    }
+  }
+  return true;
+}
 
 // Middleware to handle validation errors
 export const handleValidationErrors = (req, res, next) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
-    return res.status(400).json({ errors: errors.array() });
+    return sendValidationErrors(res, errors.array());
+  }
+  next();
+};
+
+// Date limits for entries, from the environment; 0 turns a limit off
+export const DATE_LIMITS = {
+  maxYearsAgo: env.START_DATE_MAX_YEARS_AGO,
+  maxYearsAhead: env.START_DATE_MAX_YEARS_AHEAD,
+  maxDurationDays: env.MAX_DURATION_DAYS,
+};
+
+/**
+ * Whether a request lifts the limits on old start dates and long durations
+ * with `?allowHistorical=true`, e.g. to import years of history at once.
+ */
+export function allowsHistorical(req) {
+  return req.query.allowHistorical === 'true';
+}
+
+/**
+ * Media entry schemas (see src/schemas/media.js) for the current media types.
+ * @param {Object} [options]
+ * @param {boolean} [options.allowHistorical] lift the past and duration limits
+ */
+export function mediaSchemas({ allowHistorical = false } = {}) {
+  return createMediaSchemas({
+    mediaTypes: mediaTypeKeys(),
+    ratingScale: RATING_SCALE,
+    ratingStep: RATING_STEP,
+    limits: allowHistorical
+      ? { ...DATE_LIMITS, maxYearsAgo: 0, maxDurationDays: 0 }
+      : DATE_LIMITS,
+  });
+}
+
+// Respond with validation errors; `error` repeats the first message for
+// clients that show a single one
+export function sendValidationErrors(res, errors) {
+  return res.status(400).json({ error: errors[0].msg, errors });
+}
+
+/**
+ * Validate one media entry against a schema.
+ * @returns {{data: Object}|{errors: Object[]}} the parsed entry or the
+ *   validation errors
+ */
+export function parseMediaEntry(entry, schema = mediaSchemas().entry) {
+  const result = schema.safeParse(entry);
+  return result.success
+    ? { data: result.data }
+    : { errors: formatIssues(result.error) };
+}
+
+// Middleware replacing the body with its parsed value, for the schema
+// picked from mediaSchemas()
+const validateBody = (pick) => (req, res, next) => {
+  const schemas = mediaSchemas({ allowHistorical: allowsHistorical(req) });
+  const result = pick(schemas).safeParse(req.body);
+  if (!result.success) {
+    return sendValidationErrors(res, formatIssues(result.error));
   }
+  req.body = result.data;
   next();
 };
 
 // Validation rules for media creation
-export const validateMediaCreation = [
-  body('title')
-    .trim()
-    .notEmpty()
-    .withMessage('Title is required')
-    .isLength({ max: 255 })
-    .withMessage('Title must be less than 255 characters')
-    .escape(),
-  body('author')
-    .optional()
-    .trim()
-    .isLength({ max: 255 })
-    .withMessage('Author must be less than 255 characters')
-    .escape(),
-  body('media_type')
-    .trim()
-    .notEmpty()
-    .withMessage('Media type is required')
-    .isIn(['book', 'comic', 'movie', 'series', 'anime', 'cartoon'])
-    .withMessage('Media type must be one of: book, comic, movie, series, anime, cartoon'),
-  body('volume_episode')
-    .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Volume/Episode must be less than 100 characters')
-    .escape(),
-  body('tags')
-    .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Tags must be less than 500 characters')
-    .escape(),
-  body('start_date')
-    .trim()
-    .notEmpty()
-    .withMessage('Start date is required')
-    .isISO8601()
-    .withMessage('Start date must be a valid date in YYYY-MM-DD format')
-    .custom((value) => {
-      const startDate = new Date(value);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      // Allow dates up to 10 years in the past and 1 year in the future
-      const tenYearsAgo = new Date();
-      tenYearsAgo.setFullYear(tenYearsAgo.getFullYear() - 10);
-      const oneYearFromNow = new Date();
-      oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
-      
-      if (startDate < tenYearsAgo || startDate > oneYearFromNow) {
-        throw new Error('Start date must be within the last 10 years or next year');
-      }
-      return true;
-    }),
-  body('end_date')
-    .optional({ values: 'null' })
-    .trim()
-    .isISO8601()
-    .withMessage('End date must be a valid date in YYYY-MM-DD format')
-    .custom((value, { req }) => {
-      // If end_date is not provided, skip validation
-      if (!value) {
-        return true;
-      }
-      
-      const startDate = new Date(req.body.start_date);
-      const endDate = new Date(value);
-      
-      if (endDate < startDate) {
-        throw new Error('End date must be after or equal to start date');
-      }
-      
-      // Check if duration is reasonable (max 1 year)
-      const diffTime = Math.abs(endDate - startDate);
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      
-      if (diffDays > 365) {
-        throw new Error('Duration cannot exceed 365 days');
-      }
-      
-      return true;
-    }),
-  body('notes')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Notes must be less than 1000 characters')
-    .escape(),
-  handleValidationErrors,
-];
+export const validateMediaCreation = [validateBody((schemas) => schemas.entry)];
 
 // Validation rules for media deletion
 export const validateMediaDeletion = [
@@ -109,180 +133,654 @@ export const validateMediaDeletion = [
   handleValidationErrors,
 ];
 
+// Validation rules for restoring a media entry from the trash
+export const validateMediaRestore = validateMediaDeletion;
+
+// Validation rules for the change history of a media entry
+export const validateMediaHistory = validateMediaDeletion;
+
+// Validation rules for reverting a media entry to a past version
+export const validateMediaRevert = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Media ID must be a positive integer'),
+  param('version')
+    .isInt({ min: 1 })
+    .withMessage('Version must be a positive integer'),
+  handleValidationErrors,
+];
+
+// Validation rules for incrementing the progress of a media entry
+export const validateProgressIncrement = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Media ID must be a positive integer'),
+  body('unit')
+    .optional()
+    .isIn(PROGRESS_UNITS)
+    .withMessage(`Unit must be one of: ${PROGRESS_UNITS.join(', ')}`),
+  handleValidationErrors,
+];
+
+// Validation rules for purging the trash
+export const validateTrashPurge = [
+  query('older_than_days')
+    .optional()
+    .isInt({ min: 0, max: 3650 })
+    .withMessage('older_than_days must be between 0 and 3650'),
+  handleValidationErrors,
+];
+
 // Validation rules for media update
 export const validateMediaUpdate = [
   param('id')
     .isInt({ min: 1 })
     .withMessage('Media ID must be a positive integer'),
-  body('title')
-    .trim()
-    .notEmpty()
-    .withMessage('Title is required')
-    .isLength({ max: 255 })
-    .withMessage('Title must be less than 255 characters')
-    .escape(),
-  body('author')
+  handleValidationErrors,
+  validateBody((schemas) => schemas.entry),
+];
+
+// Validation rules for media query
+export const validateMediaQuery = [
+  query('year')
     .optional()
-    .trim()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be between 1900 and 2100'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('From must be a valid date in YYYY-MM-DD format'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date in YYYY-MM-DD format'),
+  query('media_type').optional().custom(isMediaTypeList),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list')
+    .isLength({ max: 500 })
+    .withMessage('Tags must be less than 500 characters'),
+  query('tags_match')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tags_match must be any or all'),
+  query('author')
+    .optional()
+    .isString()
+    .withMessage('Author must be a string')
     .isLength({ max: 255 })
-    .withMessage('Author must be less than 255 characters')
-    .escape(),
-  body('media_type')
+    .withMessage('Author must be less than 255 characters'),
+  query('in_progress')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('in_progress must be true or false'),
+  query('discontinued')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Discontinued must be true or false'),
+  query('status').optional().custom(isStatusList),
+  query(['min_rating', 'max_rating'])
+    .optional()
+    .custom(isValidRating)
+    .withMessage(`Rating filters ${RATING_MESSAGE}`),
+  query('rated')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('rated must be true or false'),
+  query('sort')
+    .optional()
+    .isIn(Object.keys(SORT_FIELDS))
+    .withMessage(`Sort must be one of: ${Object.keys(SORT_FIELDS).join(', ')}`),
+  query('order')
+    .optional()
+    .isIn(['asc', 'desc'])
+    .withMessage('Order must be asc or desc'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  query('cursor')
+    .optional()
+    .custom((value) => {
+      if (typeof value !== 'string' || !decodeCursor(value)) {
+        throw new Error('Cursor is invalid');
+      }
+      return true;
+    }),
+  handleValidationErrors,
+];
+
+// Validation rules for full-text search
+export const validateSearchQuery = [
+  query('q')
     .trim()
     .notEmpty()
-    .withMessage('Media type is required')
-    .isIn(['book', 'comic', 'movie', 'series', 'anime', 'cartoon'])
-    .withMessage('Media type must be one of: book, comic, movie, series, anime, cartoon'),
-  body('volume_episode')
+    .withMessage('Search query is required')
+    .isLength({ max: 200 })
+    .withMessage('Search query must be less than 200 characters'),
+  query('media_type')
+    .optional()
+    .custom(isKnownMediaType),
+  query('tag')
     .optional()
     .trim()
     .isLength({ max: 100 })
-    .withMessage('Volume/Episode must be less than 100 characters')
-    .escape(),
-  body('tags')
+    .withMessage('Tag must be less than 100 characters'),
+  query('from')
     .optional()
-    .trim()
-    .isLength({ max: 500 })
-    .withMessage('Tags must be less than 500 characters')
-    .escape(),
-  body('start_date')
-    .trim()
-    .notEmpty()
-    .withMessage('Start date is required')
     .isISO8601()
-    .withMessage('Start date must be a valid date in YYYY-MM-DD format')
+    .withMessage('From must be a valid date in YYYY-MM-DD format'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('To must be a valid date in YYYY-MM-DD format'),
+  query('discontinued')
+    .optional()
+    .isIn(['true', 'false'])
+    .withMessage('Discontinued must be true or false'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200'),
+  handleValidationErrors,
+];
+
+// Validation rules for statistics; each period type requires its own
+// parameters (month: month, week: week, custom: from and to)
+export const validateStatsQuery = [
+  query('period')
+    .optional()
+    .isIn(STATS_PERIODS)
+    .withMessage(`Period must be one of: ${STATS_PERIODS.join(', ')}`),
+  query('year')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be between 1900 and 2100'),
+  query('month')
+    .if(query('period').equals('month'))
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12'),
+  query('week')
+    .if(query('period').equals('week'))
     .custom((value) => {
-      const startDate = new Date(value);
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      // Allow dates up to 10 years in the past and 1 year in the future
-      const tenYearsAgo = new Date();
-      tenYearsAgo.setFullYear(tenYearsAgo.getFullYear() - 10);
-      const oneYearFromNow = new Date();
-      oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
-      
-      if (startDate < tenYearsAgo || startDate > oneYearFromNow) {
-        throw new Error('Start date must be within the last 10 years or next year');
+      const match = /^(\d{4})-W(\d{2})$/.exec(value || '');
+      if (!match || !isoWeekRange(parseInt(match[1]), parseInt(match[2]))) {
+        throw new Error('Week must be a valid ISO week in YYYY-Www format');
       }
       return true;
     }),
-  body('end_date')
-    .optional({ values: 'null' })
-    .trim()
+  query('from')
+    .if(query('period').equals('custom'))
     .isISO8601()
-    .withMessage('End date must be a valid date in YYYY-MM-DD format')
+    .withMessage('From must be a valid date in YYYY-MM-DD format'),
+  query('to')
+    .if(query('period').equals('custom'))
+    .isISO8601()
+    .withMessage('To must be a valid date in YYYY-MM-DD format')
     .custom((value, { req }) => {
-      // If end_date is not provided, skip validation
-      if (!value) {
-        return true;
+      if (value < req.query.from) {
+        throw new Error('To must not be before from');
       }
-      
-      const startDate = new Date(req.body.start_date);
-      const endDate = new Date(value);
-      
-      if (endDate < startDate) {
-        throw new Error('End date must be after or equal to start date');
+      return true;
+    }),
+  query('group_by')
+    .optional()
+    .isIn(STATS_GROUPS)
+    .withMessage(`group_by must be one of: ${STATS_GROUPS.join(', ')}`),
+  query('media_type').optional().custom(isMediaTypeList),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list')
+    .isLength({ max: 500 })
+    .withMessage('Tags must be less than 500 characters'),
+  query('tags_match')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tags_match must be any or all'),
+  handleValidationErrors,
+];
+
+// Validation rules for daily activity; ranges are limited to ten years
+export const validateActivityQuery = [
+  query('from')
+    .isISO8601()
+    .withMessage('From must be a valid date in YYYY-MM-DD format'),
+  query('to')
+    .isISO8601()
+    .withMessage('To must be a valid date in YYYY-MM-DD format')
+    .custom((value, { req }) => {
+      const days = (new Date(value) - new Date(req.query.from)) / (1000 * 60 * 60 * 24);
+      if (days < 0) {
+        throw new Error('To must not be before from');
       }
-      
-      // Check if duration is reasonable (max 1 year)
-      const diffTime = Math.abs(endDate - startDate);
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      
-      if (diffDays > 365) {
-        throw new Error('Duration cannot exceed 365 days');
+      if (days > 3660) {
+        throw new Error('Range cannot exceed 10 years');
       }
-      
       return true;
     }),
-  body('notes')
+  query('media_type').optional().custom(isMediaTypeList),
+  query('details')
     .optional()
+    .isIn(['true', 'false'])
+    .withMessage('details must be true or false'),
+  handleValidationErrors,
+];
+
+// Validation rules for goal creation and update; a goal needs a media type,
+// a tag, or both
+const goalRules = [
+  body('media_type')
+    .optional({ values: 'falsy' })
+    .custom(isKnownMediaType),
+  body('tag')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Tag must be a string')
     .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Notes must be less than 1000 characters')
-    .escape(),
+    .isLength({ max: 50 })
+    .withMessage('Tag must be less than 50 characters'),
+  body()
+    .custom((value) => {
+      if (!value.media_type && !(typeof value.tag === 'string' && value.tag.trim())) {
+        throw new Error('Goal must have a media type, a tag, or both');
+      }
+      return true;
+    }),
+  body('period')
+    .isIn(GOAL_PERIODS)
+    .withMessage(`Period must be one of: ${GOAL_PERIODS.join(', ')}`),
+  body('year')
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be between 1900 and 2100')
+    .toInt(),
+  body('month')
+    .if(body('period').equals('month'))
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12')
+    .toInt(),
+  body('target')
+    .isInt({ min: 1, max: 10000 })
+    .withMessage('Target must be between 1 and 10000')
+    .toInt(),
+];
+
+export const validateGoalCreation = [...goalRules, handleValidationErrors];
+
+export const validateGoalUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Goal ID must be a positive integer'),
+  ...goalRules,
   handleValidationErrors,
 ];
 
-// Validation rules for media query
-export const validateMediaQuery = [
+export const validateGoalId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Goal ID must be a positive integer'),
+  handleValidationErrors,
+];
+
+// Validation rules for goal listing
+export const validateGoalQuery = [
   query('year')
     .optional()
     .isInt({ min: 1900, max: 2100 })
     .withMessage('Year must be between 1900 and 2100'),
+  query('month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12'),
+  handleValidationErrors,
+];
+
+// Validation rules for the backlog of planned entries
+export const validateBacklogQuery = [
+  query('media_type').optional().custom(isMediaTypeList),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a comma-separated list')
+    .isLength({ max: 500 })
+    .withMessage('Tags must be less than 500 characters'),
+  query('tags_match')
+    .optional()
+    .isIn(['any', 'all'])
+    .withMessage('tags_match must be any or all'),
+  handleValidationErrors,
+];
+
+// Validation rules for adding a planned entry to the backlog
+export const validateBacklogCreation = [
+  validateBody((schemas) => schemas.backlog),
+];
+
+// Validation rules for changing the priority of a planned entry
+export const validateBacklogUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Media ID must be a positive integer'),
+  body('priority')
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Priority must be between 0 and 10')
+    .toInt(),
+  handleValidationErrors,
+];
+
+// Validation rules for starting a planned entry
+export const validateBacklogStart = validateMediaDeletion;
+
+// Validation rules for media types; fields are optional on update, where
+// the ones left out keep their value
+const mediaTypeRules = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('label')
+      .isString()
+      .withMessage('Label must be a string')
+      .trim()
+      .notEmpty()
+      .withMessage('Label is required')
+      .isLength({ max: 50 })
+      .withMessage('Label must be less than 50 characters'),
+    body('emoji')
+      .optional()
+      .isString()
+      .withMessage('Emoji must be a string')
+      .trim()
+      .isLength({ max: 10 })
+      .withMessage('Emoji must be at most 10 characters'),
+    field('colour')
+      .matches(/^#[0-9a-fA-F]{6}$/)
+      .withMessage('Colour must be a hex colour such as #8b5cf6'),
+    field('calendar_group')
+      .isIn(CALENDAR_GROUPS)
+      .withMessage(`Calendar group must be one of: ${CALENDAR_GROUPS.join(', ')}`),
+    body('position')
+      .optional()
+      .isInt({ min: 0, max: 1000 })
+      .withMessage('Position must be between 0 and 1000')
+      .toInt(),
+  ];
+};
+
+const mediaTypeKey = (location) =>
+  location('key')
+    .matches(MEDIA_TYPE_KEY_PATTERN)
+    .withMessage(
+      'Key must be 2-30 lowercase letters, digits or underscores, starting with a letter'
+    );
+
+export const validateMediaTypeCreation = [
+  mediaTypeKey(body),
+  ...mediaTypeRules(false),
   handleValidationErrors,
 ];
 
+export const validateMediaTypeUpdate = [
+  mediaTypeKey(param),
+  ...mediaTypeRules(true),
+  handleValidationErrors,
+];
+
+export const validateMediaTypeKey = [mediaTypeKey(param), handleValidationErrors];
+
 // Validation rules for bulk media creation
 export const validateBulkMediaCreation = [
-  body('items')
-    .isArray({ min: 1, max: 200 })
-    .withMessage('Items must be an array with 1-200 entries'),
-  body('items.*.title')
-    .trim()
+  validateBody((schemas) => schemas.bulk),
+];
+
+/**
+ * Validate items that did not arrive as a request body (e.g. rows parsed
+ * from an import file) with the media entry schema. Valid items are updated
+ * in place with their parsed values.
+ * @param {Object[]} items
+ * @param {Object} [options] passed to mediaSchemas()
+ * @returns {Map<number, string[]>} error messages by item index
+ */
+export function validateMediaItems(items, options) {
+  const schema = mediaSchemas(options).entry;
+  const errors = new Map();
+  items.forEach((item, index) => {
+    const result = parseMediaEntry(item, schema);
+    if (result.errors) {
+      errors.set(
+        index,
+        result.errors.map((error) => error.msg)
+      );
+    } else {
+      Object.assign(item, result.data);
+    }
+  });
+  return errors;
+}
+
+// Validation rules for CSV export
+export const validateExportQuery = [
+  query('year')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be between 1900 and 2100'),
+  query('media_type').optional().custom(isMediaTypeList),
+  handleValidationErrors,
+];
+
+// Validation rules for the iCalendar feed
+export const validateCalendarQuery = [
+  query('media_type').optional().custom(isMediaTypeList),
+  query('tag')
+    .optional()
+    .isString()
+    .withMessage('Tag must be a comma-separated list')
+    .isLength({ max: 500 })
+    .withMessage('Tag must be less than 500 characters'),
+  handleValidationErrors,
+];
+
+// Validation rules for Goodreads / Letterboxd imports
+export const validateServiceImport = [
+  param('source')
+    .isIn(Object.keys(IMPORTERS))
+    .withMessage(`Source must be one of: ${Object.keys(IMPORTERS).join(', ')}`),
+  body('csv')
+    .isString()
+    .withMessage('CSV content must be a string')
     .notEmpty()
-    .withMessage('Title is required')
-    .isLength({ max: 255 })
-    .withMessage('Title must be less than 255 characters')
-    .escape(),
-  body('items.*.author')
+    .withMessage('CSV content is required'),
+  body('commit')
     .optional()
-    .trim()
-    .isLength({ max: 255 })
-    .withMessage('Author must be less than 255 characters')
-    .escape(),
-  body('items.*.media_type')
-    .trim()
+    .isBoolean({ strict: true })
+    .withMessage('Commit must be a boolean'),
+  handleValidationErrors,
+];
+
+// Validation rules for CSV import
+export const validateCsvImport = [
+  body('csv')
+    .isString()
+    .withMessage('CSV content must be a string')
     .notEmpty()
-    .withMessage('Media type is required')
-    .isIn(['book', 'comic', 'movie', 'series', 'anime', 'cartoon'])
-    .withMessage('Media type must be one of: book, comic, movie, series, anime, cartoon'),
-  body('items.*.volume_episode')
+    .withMessage('CSV content is required'),
+  body('mapping')
     .optional()
-    .trim()
-    .isLength({ max: 100 })
-    .withMessage('Volume/Episode must be less than 100 characters')
-    .escape(),
-  body('items.*.tags')
+    .isObject()
+    .withMessage('Mapping must be an object of CSV header to field name'),
+  body('mapping.*')
+    .optional({ values: 'null' })
+    .isIn(MEDIA_CSV_COLUMNS)
+    .withMessage(`Mapped fields must be one of: ${MEDIA_CSV_COLUMNS.join(', ')}`),
+  body('delimiter')
+    .optional()
+    .isIn([',', ';', '\t'])
+    .withMessage('Delimiter must be a comma, semicolon or tab'),
+  body('commit')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Commit must be a boolean'),
+  handleValidationErrors,
+];
+
+// Validation rules for restoring a backup (the document itself is checked
+// by restoreBackup)
+export const validateRestore = [
+  query('mode')
+    .optional()
+    .isIn(['replace', 'merge'])
+    .withMessage('Mode must be replace or merge'),
+  body()
+    .isObject()
+    .withMessage('Backup must be a JSON object'),
+  handleValidationErrors,
+];
+
+// Validation rules for title lookup
+export const validateTitleId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Title ID must be a positive integer'),
+  handleValidationErrors,
+];
+
+// Validation rules for title listing
+export const validateTitleQuery = [
+  query('media_type')
     .optional()
+    .custom(isKnownMediaType),
+  query('min_count')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('min_count must be a positive integer'),
+  handleValidationErrors,
+];
+
+// Validation rules for title metadata update
+export const validateTitleUpdate = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Title ID must be a positive integer'),
+  handleValidationErrors,
+  validateBody((schemas) => schemas.title),
+];
+
+// Validation rules for adding a consumption entry to an existing title
+export const validateTitleEntryCreation = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Title ID must be a positive integer'),
+  handleValidationErrors,
+  validateBody((schemas) => schemas.titleEntry),
+];
+
+// Validation rules for accounts: usernames are letters, digits and . _ -
+const usernameRule = () =>
+  body('username')
+    .isString()
+    .withMessage('Username must be a string')
     .trim()
-    .isLength({ max: 500 })
-    .withMessage('Tags must be less than 500 characters')
-    .escape(),
-  body('items.*.start_date')
+    .matches(/^[\p{L}\p{N}._-]{2,40}$/u)
+    .withMessage(
+      'Username must be 2-40 letters, digits, dots, underscores or hyphens'
+    );
+
+const passwordRule = (name) =>
+  body(name)
+    .isString()
+    .withMessage('Password must be a string')
+    .isLength({ min: 8, max: 200 })
+    .withMessage('Password must be 8-200 characters');
+
+export const validateLogin = [
+  body('username').isString().withMessage('Username is required').trim(),
+  body('password').isString().withMessage('Password is required'),
+  handleValidationErrors,
+];
+
+// Setting up the first account and adding one take the same fields
+export const validateUserCreation = [
+  usernameRule(),
+  passwordRule('password'),
+  handleValidationErrors,
+];
+
+export const validatePasswordChange = [
+  body('current_password')
+    .isString()
+    .withMessage('Current password is required'),
+  passwordRule('password'),
+  handleValidationErrors,
+];
+
+// Validation rules for API tokens
+export const validateTokenCreation = [
+  body('name')
+    .isString()
+    .withMessage('Name must be a string')
     .trim()
     .notEmpty()
-    .withMessage('Start date is required')
-    .isISO8601()
-    .withMessage('Start date must be a valid date in YYYY-MM-DD format')
+    .withMessage('Name is required')
+    .isLength({ max: 100 })
+    .withMessage('Name must be less than 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(TOKEN_SCOPES)
+    .withMessage(`Scopes must be some of: ${TOKEN_SCOPES.join(', ')}`),
+  handleValidationErrors,
+];
+
+export const validateTokenId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Token ID must be a positive integer'),
+  handleValidationErrors,
+];
+
+// Validation rules for share links; a list shares a media type, a tag, or
+// both, and a year in review defaults to the current year
+export const validateShareCreation = [
+  body('kind')
+    .isIn(SHARE_KINDS)
+    .withMessage(`Kind must be one of: ${SHARE_KINDS.join(', ')}`),
+  body('year')
+    .optional()
+    .isInt({ min: 1900, max: 2100 })
+    .withMessage('Year must be between 1900 and 2100')
+    .toInt(),
+  body('media_type')
+    .optional({ values: 'falsy' })
+    .custom(isKnownMediaType),
+  body('tag')
+    .optional({ values: 'falsy' })
+    .isString()
+    .withMessage('Tag must be a string')
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Tag must be less than 50 characters'),
+  body()
     .custom((value) => {
-      const startDate = new Date(value);
-      
-      // Allow dates up to 10 years in the past and 1 year in the future
-      const tenYearsAgo = new Date();
-      tenYearsAgo.setFullYear(tenYearsAgo.getFullYear() - 10);
-      const oneYearFromNow = new Date();
-      oneYearFromNow.setFullYear(oneYearFromNow.getFullYear() + 1);
-      
-      if (startDate < tenYearsAgo || startDate > oneYearFromNow) {
-        throw new Error('Start date must be within the last 10 years or next year');
+      if (
+        value.kind === 'list' &&
+        !value.media_type &&
+        !(typeof value.tag === 'string' && value.tag.trim())
+      ) {
+        throw new Error('A shared list must have a media type, a tag, or both');
       }
       return true;
     }),
-  body('items.*.end_date')
-    .optional({ values: 'null' })
-    .trim()
-    .isISO8601()
-    .withMessage('End date must be a valid date in YYYY-MM-DD format'),
-  body('items.*.notes')
-    .optional()
-    .trim()
-    .isLength({ max: 1000 })
-    .withMessage('Notes must be less than 1000 characters')
-    .escape(),
-  body('items.*.discontinued')
+  body('show_notes')
     .optional()
     .isBoolean()
-    .withMessage('Discontinued must be a boolean'),
+    .withMessage('show_notes must be a boolean')
+    .toBoolean(),
+  handleValidationErrors,
+];
+
+export const validateShareId = [
+  param('id')
+    .isInt({ min: 1 })
+    .withMessage('Share ID must be a positive integer'),
   handleValidationErrors,
 ];
@@ -0,0 +1,288 @@
+/**
+ * Media entry schema
+ * The one definition of a valid media entry, used by the v1, legacy and
+ * bulk routes, by imports and by the forms on the index page. It imports
+ * nothing but zod and browser-safe helpers, so the page can load it too
+ * (see BROWSER_MODULES in server.js); media types and the rating scale are
+ * passed in, as they come from the database and the environment.
+ */
+
+import { z } from 'zod';
+import { ENTRY_STATUSES } from '../utils/status.js';
+import {
+  PROGRESS_FIELDS,
+  PROGRESS_TOTALS,
+  PROGRESS_UNITS,
+} from '../utils/progress.js';
+import { formatLocalDate, daysBetween } from '../utils/date.js';
+
+export const MAX_BULK_ITEMS = 200;
+
+// How far back and ahead a start date may be, in years, and the longest
+// consumption period, in days; 0 turns a limit off
+export const DEFAULT_DATE_LIMITS = {
+  maxYearsAgo: 10,
+  maxYearsAhead: 1,
+  maxDurationDays: 365,
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Empty strings in optional fields (e.g. blank form inputs) mean no value
+const blankToNull = (value) =>
+  typeof value === 'string' && value.trim() === '' ? null : value;
+
+// Numeric strings (form and CSV values) become numbers
+const toNumber = (value) =>
+  typeof value === 'string' && value.trim() !== '' && !isNaN(value)
+    ? Number(value)
+    : value;
+
+const toBoolean = (value) =>
+  ({ true: true, false: false, 1: true, 0: false })[String(value)] ?? value;
+
+function isDate(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (!match) {
+    return false;
+  }
+  const date = new Date(Date.UTC(match[1], match[2] - 1, match[3]));
+  return date.toISOString().slice(0, 10) === value;
+}
+
+const shiftYears = (date, years) => {
+  const shifted = new Date(date);
+  shifted.setFullYear(shifted.getFullYear() + years);
+  return formatLocalDate(shifted);
+};
+
+const requiredText = (label, max) =>
+  z
+    .string({
+      required_error: `${label} is required`,
+      invalid_type_error: `${label} must be a string`,
+    })
+    .trim()
+    .min(1, `${label} is required`)
+    .max(max, `${label} must be less than ${max} characters`);
+
+// Optional text; null is stored as an empty string
+const optionalText = (label, max) =>
+  z.preprocess(
+    (value) => (value === null ? '' : value),
+    z
+      .string({ invalid_type_error: `${label} must be a string` })
+      .trim()
+      .max(max, `${label} must be less than ${max} characters`)
+      .optional()
+  );
+
+const dateField = (label) =>
+  z.preprocess(
+    blankToNull,
+    z
+      .string({
+        invalid_type_error: `${label} must be a valid date in YYYY-MM-DD format`,
+      })
+      .trim()
+      .refine(isDate, `${label} must be a valid date in YYYY-MM-DD format`)
+      .nullish()
+  );
+
+const integerField = (label, min, max, message) =>
+  z.preprocess(
+    (value) => toNumber(blankToNull(value)),
+    z
+      .number({ invalid_type_error: message })
+      .int(message)
+      .min(min, message)
+      .max(max, message)
+      .nullish()
+  );
+
+/**
+ * Build the schemas for the current media types and rating scale.
+ * Parsing trims text, turns numeric strings into numbers and blank dates
+ * into null; unknown fields are passed through.
+ * @param {Object} options
+ * @param {string[]} options.mediaTypes keys of the known media types
+ * @param {number} options.ratingScale highest rating (5 or 10)
+ * @param {number} options.ratingStep smallest rating and step between ratings
+ * @param {Object} [options.limits] date limits (see DEFAULT_DATE_LIMITS)
+ * @param {Date} [options.today] reference day for the allowed date range
+ * @returns {{entry, titleEntry, title, backlog, items, bulk}} zod schemas
+ */
+export function createMediaSchemas({
+  mediaTypes,
+  ratingScale,
+  ratingStep,
+  limits = DEFAULT_DATE_LIMITS,
+  today = new Date(),
+}) {
+  const { maxYearsAgo, maxYearsAhead, maxDurationDays } = limits;
+  const earliest = maxYearsAgo ? shiftYears(today, -maxYearsAgo) : null;
+  const latest = maxYearsAhead ? shiftYears(today, maxYearsAhead) : null;
+  const years = (n) => `${n} year${n === 1 ? '' : 's'}`;
+  const ratingMessage = `Rating must be between ${ratingStep} and ${ratingScale} in steps of ${ratingStep}`;
+
+  const progress = Object.fromEntries(
+    PROGRESS_FIELDS.map((field) => {
+      const isTotal = field.endsWith('_total');
+      const label = capitalize(field.replace('_', ' '));
+      return [
+        field,
+        integerField(
+          label,
+          isTotal ? 1 : 0,
+          100000,
+          `${label} must be a ${isTotal ? 'positive' : 'non-negative'} integer`
+        ),
+      ];
+    })
+  );
+
+  const fields = z
+    .object({
+      title: requiredText('Title', 255),
+      author: optionalText('Author', 255),
+      media_type: requiredText('Media type', 50).refine(
+        (key) => mediaTypes.includes(key),
+        `Media type must be one of: ${mediaTypes.join(', ')}`
+      ),
+      volume_episode: optionalText('Volume/Episode', 100),
+      tags: optionalText('Tags', 500),
+      start_date: dateField('Start date')
+        .refine(
+          (date) => !isDate(date) || !earliest || date >= earliest,
+          `Start date must be within the last ${years(maxYearsAgo)}`
+        )
+        .refine(
+          (date) => !isDate(date) || !latest || date <= latest,
+          `Start date must be at most ${years(maxYearsAhead)} ahead`
+        ),
+      end_date: dateField('End date'),
+      notes: optionalText('Notes', 1000),
+      discontinued: z.preprocess(
+        toBoolean,
+        z
+          .boolean({ invalid_type_error: 'Discontinued must be a boolean' })
+          .optional()
+      ),
+      status: z
+        .enum(ENTRY_STATUSES, {
+          errorMap: () => ({
+            message: `Status must be one of: ${ENTRY_STATUSES.join(', ')}`,
+          }),
+        })
+        .optional(),
+      priority: integerField(
+        'Priority',
+        0,
+        10,
+        'Priority must be between 0 and 10'
+      ),
+      ...progress,
+      rating: z.preprocess(
+        (value) => toNumber(blankToNull(value)),
+        z
+          .number({ invalid_type_error: ratingMessage })
+          .refine(
+            (rating) =>
+              rating >= ratingStep &&
+              rating <= ratingScale &&
+              Number.isInteger(rating / ratingStep),
+            ratingMessage
+          )
+          .nullish()
+      ),
+      // null clears the review, while leaving it out keeps it
+      review: z
+        .string({ invalid_type_error: 'Review must be a string' })
+        .trim()
+        .max(10000, 'Review must be less than 10000 characters')
+        .nullish(),
+    })
+    .passthrough();
+
+  // Rules across fields: dates against each other and the status, and
+  // progress against its totals
+  const checkEntry = (entry, ctx) => {
+    const issue = (path, message) =>
+      ctx.addIssue({ code: z.ZodIssueCode.custom, path: [path], message });
+    const { status, start_date, end_date } = entry;
+
+    if (!start_date && status !== 'planned') {
+      issue('start_date', 'Start date is required');
+    }
+    if (isDate(start_date) && isDate(end_date)) {
+      if (end_date < start_date) {
+        issue('end_date', 'End date must be after or equal to start date');
+      } else if (
+        maxDurationDays &&
+        daysBetween(start_date, end_date) > maxDurationDays
+      ) {
+        issue('end_date', `Duration cannot exceed ${maxDurationDays} days`);
+      }
+    }
+
+    if (status === 'planned' && (start_date || end_date)) {
+      issue('status', 'Planned entries cannot have dates');
+    } else if (status === 'in_progress' && end_date) {
+      issue('status', 'Entries in progress cannot have an end date');
+    } else if (status === 'completed' && !end_date) {
+      issue('status', 'Completed entries need an end date');
+    }
+
+    for (const unit of PROGRESS_UNITS) {
+      const total = entry[PROGRESS_TOTALS[unit]];
+      if (total != null && entry[unit] != null && entry[unit] > total) {
+        issue(unit, `${capitalize(unit)} cannot exceed its total`);
+      }
+    }
+  };
+
+  const items = (item) =>
+    z
+      .array(item, {
+        invalid_type_error: `Items must be an array with 1-${MAX_BULK_ITEMS} entries`,
+      })
+      .min(1, `Items must be an array with 1-${MAX_BULK_ITEMS} entries`)
+      .max(
+        MAX_BULK_ITEMS,
+        `Items must be an array with 1-${MAX_BULK_ITEMS} entries`
+      );
+
+  const entry = fields.superRefine(checkEntry);
+
+  return {
+    entry,
+    // A further consumption of an existing title, which has the metadata
+    titleEntry: fields
+      .omit({ title: true, author: true, media_type: true })
+      .superRefine(checkEntry),
+    title: fields.pick({ title: true, author: true, media_type: true }),
+    // A planned entry: no dates yet, ordered by priority
+    backlog: fields
+      .extend({ status: z.literal('planned').default('planned') })
+      .superRefine(checkEntry),
+    items: items(z.unknown()),
+    bulk: z.object({ items: items(entry) }).passthrough(),
+  };
+}
+
+/**
+ * Validation errors in the API's response format: one `{ path, msg }` per
+ * problem, with bulk item paths such as `items[2].title`.
+ */
+export function formatIssues(error) {
+  return error.issues.map((issue) => ({
+    type: 'field',
+    location: 'body',
+    path: issue.path
+      .map((part, i) =>
+        typeof part === 'number' ? `[${part}]` : i === 0 ? part : `.${part}`
+      )
+      .join(''),
+    msg: issue.message,
+  }));
+}
@@ -0,0 +1,103 @@
+/**
+ * CSV helpers (RFC 4180)
+ * Quoted fields may contain delimiters, doubled quotes and line breaks.
+ */
+
+/**
+ * Parse CSV text into an array of rows, each an array of cell strings.
+ * Blank lines are skipped and a leading byte order mark is ignored.
+ */
+export function parseCsv(text, delimiter = ',') {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(cell);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    cell = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error('Unterminated quoted field');
+  }
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+// Spreadsheets run text starting with =, +, -, @, a tab or a CR as a
+// formula; such text is exported with a leading apostrophe, which they
+// hide. Text already starting with an apostrophe gets one too, so
+// unescapeCell can tell the two apart.
+const ESCAPED_START = /^[=+\-@\t\r']/;
+
+// Undo the apostrophe added on export
+export function unescapeCell(text) {
+  return text.startsWith("'") && ESCAPED_START.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (typeof value === 'string' && ESCAPED_START.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format rows (arrays of values) as CSV text with CRLF line endings.
+ */
+export function formatCsv(rows) {
+  return rows.map((row) => `${row.map(formatCell).join(',')}\r\n`).join('');
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by trimmed header.
+ */
+export function parseCsvRecords(text, delimiter = ',') {
+  const [headers = [], ...rows] = parseCsv(text, delimiter);
+  const keys = headers.map((header) => header.trim());
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()]))
+  );
+}
@@ -0,0 +1,25 @@
+/**
+ * Date helpers
+ * Dates are stored as YYYY-MM-DD strings in the server's local time zone.
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Local calendar date as YYYY-MM-DD (toISOString would give the UTC date)
+export function formatLocalDate(date = new Date()) {
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Whole days from `from` to `to` (both YYYY-MM-DD), negative if `to` is earlier
+export function daysBetween(from, to) {
+  return Math.round(
+    (Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000)
+  );
+}
+
+// The YYYY-MM-DD date `days` days after `date` (before, if negative)
+export function addDays(date, days) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + days);
+  return next.toISOString().slice(0, 10);
+}
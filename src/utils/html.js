@@ -0,0 +1,29 @@
+/**
+ * HTML entities in stored text
+ * Text used to be stored HTML-escaped, as express-validator's escape()
+ * does; it is now stored as entered and escaped where it is rendered.
+ */
+
+const ENTITIES = {
+  '&amp;': '&',
+  '&quot;': '"',
+  '&#x27;': "'",
+  '&lt;': '<',
+  '&gt;': '>',
+  '&#x2F;': '/',
+  '&#x5C;': '\\',
+  '&#96;': '`',
+};
+
+/**
+ * Undo escape() on a stored value; anything else is returned unchanged.
+ * Each entity is decoded once, so "&amp;lt;" becomes "&lt;".
+ */
+export function unescapeHtml(value) {
+  return typeof value === 'string'
+    ? value.replace(
+        /&(?:amp|quot|#x27|lt|gt|#x2F|#x5C|#96);/g,
+        (e) => ENTITIES[e]
+      )
+    : value;
+}
@@ -0,0 +1,119 @@
+/**
+ * iCalendar helpers (RFC 5545)
+ * Text values are escaped, lines are folded at 75 octets and end in CRLF.
+ */
+
+import { addDays } from './date.js';
+
+// Commas, semicolons and backslashes are escaped; line breaks become \n
+export function escapeText(value) {
+  return String(value ?? '')
+    .replace(/[\\;,]/g, (c) => `\\${c}`)
+    .replace(/\r?\n|\r/g, '\\n');
+}
+
+/**
+ * Split a content line into lines of at most 75 octets, continued with a
+ * leading space; characters are never split.
+ */
+export function foldLine(line) {
+  const lines = [];
+  let current = '';
+  let octets = 0;
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    if (octets + size > (lines.length === 0 ? 75 : 74)) {
+      lines.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  lines.push(current);
+  return lines.join('\r\n ');
+}
+
+// YYYY-MM-DD to a DATE value
+export const formatDate = (date) => date.replace(/-/g, '');
+
+// An SQLite UTC timestamp (YYYY-MM-DD HH:MM:SS) to a UTC DATE-TIME value
+export const formatTimestamp = (timestamp) =>
+  `${timestamp.replace(/[-:]/g, '').replace(' ', 'T')}Z`;
+
+// The current time as a UTC DATE-TIME value
+const formatNow = () => new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+
+/**
+ * An iCalendar document.
+ * @param {Object} options
+ * @param {string} options.name calendar name shown by calendar apps
+ * @param {Array<Array<[string, string]>>} options.events each event's
+ *   properties as [name, value] pairs; values must already be escaped
+ */
+export function formatCalendar({ name, events }) {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Media Log//Media Log//PL',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  for (const properties of events) {
+    lines.push('BEGIN:VEVENT');
+    lines.push(
+      ...properties.map(([property, value]) => `${property}:${value}`)
+    );
+    lines.push('END:VEVENT');
+  }
+  lines.push('END:VCALENDAR');
+
+  return lines.map((line) => `${foldLine(line)}\r\n`).join('');
+}
+
+/**
+ * A media entry as an all-day event from its start date to its end date.
+ * DTEND is the day after the end date, as it is exclusive. Entries still in
+ * progress have no DTEND, which calendar apps show on the start date only.
+ * DTSTAMP is the time of the entry's last change, falling back to its
+ * creation time and then to now, as migrated or restored rows may lack both.
+ * @param {Object} entry a row of the media view with its tags
+ * @param {string} hostname domain part of the event's UID
+ * @param {Object} typeLabels media type labels by key
+ */
+export function mediaEvent(entry, hostname, typeLabels) {
+  // As in the calendars' tooltips: "Title - Author (Volume/Episode)"
+  let summary = entry.title;
+  if (entry.author) {
+    summary += ` - ${entry.author}`;
+  }
+  if (entry.volume_episode) {
+    summary += ` (${entry.volume_episode})`;
+  }
+
+  const categories = [
+    typeLabels[entry.media_type] || entry.media_type,
+    ...(entry.tags ? entry.tags.split(', ') : []),
+  ];
+
+  const stamp = entry.updated_at || entry.created_at;
+  const properties = [
+    ['UID', `media-${entry.id}@${hostname}`],
+    ['DTSTAMP', stamp ? formatTimestamp(stamp) : formatNow()],
+    ['DTSTART;VALUE=DATE', formatDate(entry.start_date)],
+  ];
+  if (entry.end_date) {
+    properties.push([
+      'DTEND;VALUE=DATE',
+      formatDate(addDays(entry.end_date, 1)),
+    ]);
+  }
+  properties.push(
+    ['SUMMARY', escapeText(summary)],
+    ['CATEGORIES', categories.map(escapeText).join(',')],
+    ['TRANSP', 'TRANSPARENT']
+  );
+  return properties;
+}
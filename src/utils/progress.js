@@ -0,0 +1,150 @@
+/**
+ * Structured progress of a consumption entry
+ * Seasons and episodes for series, volumes and chapters for books and
+ * comics, each unit with an optional total.
+ */
+
+export const PROGRESS_UNITS = ['episode', 'volume', 'chapter'];
+
+// Column holding the total for each unit
+export const PROGRESS_TOTALS = {
+  episode: 'episodes_total',
+  volume: 'volumes_total',
+  chapter: 'chapters_total',
+};
+
+export const PROGRESS_FIELDS = [
+  'season',
+  'episode',
+  'episodes_total',
+  'volume',
+  'volumes_total',
+  'chapter',
+  'chapters_total',
+];
+
+// Unit counted when none has been recorded yet
+const DEFAULT_UNITS = {
+  book: 'chapter',
+  comic: 'volume',
+  audiobook: 'chapter',
+};
+
+/**
+ * Unit an increment applies to: the first one already in use, otherwise
+ * the usual one for the media type.
+ */
+export function defaultProgressUnit(entry) {
+  const used = ['chapter', 'episode', 'volume'].find(
+    (unit) => entry[unit] !== null && entry[unit] !== undefined
+  );
+  return used || DEFAULT_UNITS[entry.media_type] || 'episode';
+}
+
+const NUMBER_WITH_TOTAL = String.raw`(\d+)(?:\s*(?:\/|z|of)\s*(\d+))?`;
+
+const PATTERNS = [
+  {
+    regex: new RegExp(String.raw`\bs(\d+)\s*e${NUMBER_WITH_TOTAL}`, 'i'),
+    fields: ['season', 'episode', 'episodes_total'],
+  },
+  {
+    regex: /\b(?:sezon|season)\s*(\d+)/i,
+    fields: ['season'],
+  },
+  {
+    regex: new RegExp(
+      String.raw`\b(?:odcinek|odc\.?|episode|ep\.?|e)\s*${NUMBER_WITH_TOTAL}`,
+      'i'
+    ),
+    fields: ['episode', 'episodes_total'],
+  },
+  {
+    regex: new RegExp(
+      String.raw`\b(?:tom|t\.|volume|vol\.?|v\.?)\s*${NUMBER_WITH_TOTAL}`,
+      'i'
+    ),
+    fields: ['volume', 'volumes_total'],
+  },
+  {
+    regex: new RegExp(
+      String.raw`\b(?:rozdział|rozdz\.?|chapter|ch\.?)\s*${NUMBER_WITH_TOTAL}`,
+      'i'
+    ),
+    fields: ['chapter', 'chapters_total'],
+  },
+];
+
+/**
+ * Parse a free-text volume/episode value such as "S02E05", "odc. 5/24",
+ * "Tom 7 z 12" or "Rozdział 12". A bare number ("7" or "7/12") is a volume
+ * for comics, a chapter for books and an episode otherwise.
+ * @returns {Object} the recognised progress fields (empty if none)
+ */
+export function parseVolumeEpisode(text, mediaType) {
+  const value = (text || '').trim();
+  const progress = {};
+
+  for (const { regex, fields } of PATTERNS) {
+    const match = regex.exec(value);
+    if (!match) {
+      continue;
+    }
+    fields.forEach((field, i) => {
+      if (match[i + 1] !== undefined && progress[field] === undefined) {
+        progress[field] = parseInt(match[i + 1]);
+      }
+    });
+  }
+
+  const bare = new RegExp(String.raw`^${NUMBER_WITH_TOTAL}$`, 'i').exec(value);
+  if (bare && Object.keys(progress).length === 0) {
+    const unit = DEFAULT_UNITS[mediaType] || 'episode';
+    progress[unit] = parseInt(bare[1]);
+    if (bare[2] !== undefined) {
+      progress[PROGRESS_TOTALS[unit]] = parseInt(bare[2]);
+    }
+  }
+
+  return progress;
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const withTotal = (value, total) => (total ? `${value}/${total}` : `${value}`);
+
+/**
+ * Human-readable label for structured progress, e.g. "S02E05/24" or
+ * "Tom 7/12, Rozdz. 3"; empty when no progress is recorded.
+ */
+export function formatProgress(entry) {
+  const parts = [];
+  const has = (field) => entry[field] !== null && entry[field] !== undefined;
+
+  if (has('season') && has('episode')) {
+    parts.push(
+      `S${pad(entry.season)}E${withTotal(pad(entry.episode), entry.episodes_total)}`
+    );
+  } else if (has('episode')) {
+    parts.push(`Odc. ${withTotal(entry.episode, entry.episodes_total)}`);
+  } else if (has('season')) {
+    parts.push(`Sezon ${entry.season}`);
+  }
+  if (has('volume')) {
+    parts.push(`Tom ${withTotal(entry.volume, entry.volumes_total)}`);
+  }
+  if (has('chapter')) {
+    parts.push(`Rozdz. ${withTotal(entry.chapter, entry.chapters_total)}`);
+  }
+
+  return parts.join(', ');
+}
+
+/**
+ * Whether a unit has reached its total, so the entry is complete.
+ */
+export function isProgressComplete(entry) {
+  return PROGRESS_UNITS.some((unit) => {
+    const total = entry[PROGRESS_TOTALS[unit]];
+    return total && entry[unit] !== null && entry[unit] >= total;
+  });
+}
@@ -0,0 +1,52 @@
+/**
+ * Ratings
+ * Entries are rated with half-stars from 0.5 to 5 or with points from 1 to
+ * 10, depending on RATING_SCALE. Both map onto whole points 1-10, which is
+ * what the database stores, so the scale can be switched at any time.
+ */
+
+import env from '../config/env.js';
+
+export const RATING_SCALE = env.RATING_SCALE;
+
+// Smallest rating and the step between ratings on the configured scale
+export const RATING_STEP = RATING_SCALE === 5 ? 0.5 : 1;
+
+const POINTS_PER_UNIT = 10 / RATING_SCALE;
+
+// Stored points for a rating on the configured scale (null stays null)
+export function toRatingPoints(rating) {
+  if (rating === null || rating === undefined || rating === '') {
+    return null;
+  }
+  return Math.round(Number(rating) * POINTS_PER_UNIT);
+}
+
+/**
+ * A star rating from another service (0.5-5 stars, as Letterboxd rates, or
+ * whole stars, as Goodreads does) on the configured scale; null for no
+ * rating.
+ */
+export function starsToRating(value) {
+  const stars = Number(value);
+  if (!Number.isFinite(stars) || stars < 0.5 || stars > 5) {
+    return null;
+  }
+  const rating = (stars * RATING_SCALE) / 5;
+  return Math.round(rating / RATING_STEP) * RATING_STEP;
+}
+
+// SQL expression turning a stored points column into the configured scale
+export const ratingSql = (column = 'rating') =>
+  POINTS_PER_UNIT === 1 ? column : `${column} / ${POINTS_PER_UNIT}.0`;
+
+// Whether a value is a valid rating on the configured scale
+export function isValidRating(value) {
+  const rating = Number(value);
+  return (
+    Number.isFinite(rating) &&
+    rating >= RATING_STEP &&
+    rating <= RATING_SCALE &&
+    Number.isInteger(rating / RATING_STEP)
+  );
+}
@@ -0,0 +1,49 @@
+/**
+ * Passwords and random tokens
+ * Passwords are stored as salted scrypt hashes; session tokens are random
+ * and only their SHA-256 digest is stored, so a copy of the database can't
+ * be used to log in.
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password as `scrypt$<salt>$<hash>` (hex).
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash; false for a missing or unknown
+ * hash format.
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(
+    password,
+    Buffer.from(salt, 'hex'),
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+// 256 random bits, URL- and cookie-safe
+export function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
@@ -0,0 +1,32 @@
+/**
+ * Entry status
+ * Planned entries have no dates yet; the others are in progress, completed
+ * or dropped. Dropped replaces the former boolean `discontinued`, which the
+ * API still accepts and returns.
+ */
+
+export const ENTRY_STATUSES = [
+  'planned',
+  'in_progress',
+  'completed',
+  'dropped',
+];
+
+/**
+ * Status implied by an entry's dates. Only `dropped` is taken from the
+ * entry itself (`status`, or the legacy `discontinued` flag when no status
+ * is given), so the status can never contradict the dates.
+ */
+export function entryStatus({ status, discontinued, start_date, end_date }) {
+  const dropped =
+    status !== undefined && status !== null
+      ? status === 'dropped'
+      : Boolean(discontinued);
+  if (dropped) {
+    return 'dropped';
+  }
+  if (!start_date) {
+    return 'planned';
+  }
+  return end_date ? 'completed' : 'in_progress';
+}